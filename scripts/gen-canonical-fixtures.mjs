@@ -11,18 +11,19 @@
 //   4. Emits fixtures/canonical--<name>.events.json
 //
 // Scenarios are hand-curated to cover: single-move, multi-move, capture,
-// setup stones, rewind, force-commit, missed-group, and all-correct.
+// setup stones, rewind, force-commit, missed-group, all-correct, and a
+// mid-sequence checkpoint.
 // Each SGF is small; every path is exercised.
 
 import fs from 'node:fs'
 import path from 'node:path'
 import crypto from 'node:crypto'
-import { init, step, changedGroups, totalMistakes, mistakesByGroup, phase } from '../src/session.js'
+import { init, step, changedGroups, totalMistakes, scoredGroups, sessionMistakesByGroup, segmentCount, phase } from '../src/session.js'
 import config from '../src/config.js'
 
 const OUT_DIR = path.resolve(import.meta.dirname, '..', 'fixtures')
 const SCHEMA_VERSION = 1
-const EVENT_SCHEMA_VERSION = 2
+const EVENT_SCHEMA_VERSION = 3
 const DEFAULT_CONFIG = { maxSubmits: config.maxSubmits, maxQuestions: 2 }
 
 function sha256Hex(s) { return 'sha256:' + crypto.createHash('sha256').update(s).digest('hex') }
@@ -142,6 +143,23 @@ const SCENARIOS = [
       step(s, { kind: 'submit' })
     },
   },
+  {
+    name: 'checkpoint-two-segments',
+    description: 'Checkpoint after 6 moves, rebase, wrong-then-correct end-of-sequence exercise',
+    sgf: '(;SZ[9];B[cc];W[gg];B[cd];W[gf];B[dc];W[fg];B[ee];W[ef];B[de];W[ff])',
+    play(s) {
+      for (let i = 0; i < 6; i++) step(s, { kind: 'advance' })
+      step(s, { kind: 'checkpoint' })
+      markAllCorrect(s)
+      step(s, { kind: 'submit' })
+      step(s, { kind: 'rebase' })
+      dispatchAllAdvances(s)
+      step(s, { kind: 'setMark', vertex: changedGroups(s)[0].vertex, value: 1 })
+      step(s, { kind: 'submit' })
+      markAllCorrect(s)
+      step(s, { kind: 'submit' })
+    },
+  },
 ]
 
 function buildFixture({ name, description, sgf, play }) {
@@ -155,10 +173,10 @@ function buildFixture({ name, description, sgf, play }) {
     .map(([key, m]) => ({ key, value: m.value, color: m.color }))
     .sort((a, b) => a.key.localeCompare(b.key))
 
-  let changedGroupsVertices = changedGroups(s).map(g => g.vertex)
+  let changedGroupsVertices = scoredGroups(s).map(g => g.vertex)
   let mistakes = totalMistakes(s)
-  let mbg = mistakesByGroup(s)
-  let groupCount = changedGroups(s).length
+  let mbg = sessionMistakesByGroup(s)
+  let groupCount = scoredGroups(s).length
   let correct = Math.max(0, groupCount - mistakes)
 
   return {
@@ -194,6 +212,7 @@ function buildFixture({ name, description, sgf, play }) {
       finalMarks,
       submitResults: s.submitResults,
       changedGroupsVertices,
+      segmentCount: segmentCount(s),
     },
   }
 }
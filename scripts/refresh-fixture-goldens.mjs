@@ -31,7 +31,7 @@
 
 import fs from 'node:fs'
 import path from 'node:path'
-import { init, step, mistakesByGroup, totalMistakes, changedGroups } from '../src/session.js'
+import { init, step, sessionMistakesByGroup, totalMistakes, scoredGroups } from '../src/session.js'
 import { computeParScore, computeAccPoints } from '../src/scoring.js'
 import config from '../src/config.js'
 
@@ -49,9 +49,9 @@ for (let f of fs.readdirSync(dir)) {
   let s = init(fx.sgf.content, fx.config)
   for (let e of fx.events) step(s, e)
 
-  let mbg = mistakesByGroup(s)
+  let mbg = sessionMistakesByGroup(s)
   let mistakes = totalMistakes(s)
-  let total = changedGroups(s).length
+  let total = scoredGroups(s).length
   let correct = Math.max(0, total - mistakes)
   let accuracy = total > 0 ? correct / total : 1
 
@@ -22,7 +22,7 @@ import crypto from 'node:crypto'
 import JSZip from 'jszip'
 import { init, step } from '../src/session.js'
 
-const EVENT_SCHEMA_VERSION = 2
+const EVENT_SCHEMA_VERSION = 3
 const SCHEMA_VERSION = 1
 
 function usage(code = 1) {
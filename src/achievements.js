@@ -0,0 +1,97 @@
+// Achievements: declarative rules over the score and replay history.
+// Each rule names a stat (computed once by achievementStats) and a
+// target; an achievement unlocks when its stat reaches the target.
+// Pure — achievements.jsx gathers the history from db and persists
+// unlocks in kv `achievements` ({ [id]: unlockedAt }).
+
+import { starsFromScore } from './scoring.js'
+import { longestStreak } from './activity.js'
+import { exerciseProblemId } from './navigation.js'
+
+export const ACHIEVEMENTS = [
+  { id: 'perfect-1', category: 'Perfect scores', stat: 'perfectScores', target: 1, title: 'Flawless', description: 'Finish a problem without a single mistake' },
+  { id: 'perfect-10', category: 'Perfect scores', stat: 'perfectScores', target: 10, title: 'Sharp eyes', description: '10 perfect scores' },
+  { id: 'perfect-50', category: 'Perfect scores', stat: 'perfectScores', target: 50, title: 'Liberty counter', description: '50 perfect scores' },
+  { id: 'perfect-100', category: 'Perfect scores', stat: 'perfectScores', target: 100, title: 'Perfect century', description: '100 perfect scores' },
+  { id: 'solved-10', category: 'Problems solved', stat: 'solvedProblems', target: 10, title: 'Warming up', description: 'Solve 10 different problems' },
+  { id: 'solved-100', category: 'Problems solved', stat: 'solvedProblems', target: 100, title: 'Regular', description: 'Solve 100 different problems' },
+  { id: 'solved-500', category: 'Problems solved', stat: 'solvedProblems', target: 500, title: 'Bookworm', description: 'Solve 500 different problems' },
+  { id: 'streak-3', category: 'Streaks', stat: 'longestStreak', target: 3, title: 'Habit forming', description: '3-day streak' },
+  { id: 'streak-7', category: 'Streaks', stat: 'longestStreak', target: 7, title: 'Week of reading', description: '7-day streak' },
+  { id: 'streak-30', category: 'Streaks', stat: 'longestStreak', target: 30, title: 'Month of reading', description: '30-day streak' },
+  { id: 'folder-1', category: 'Folders', stat: 'foldersCompleted', target: 1, title: 'Chapter closed', description: 'Solve every problem in a folder' },
+  { id: 'folder-5', category: 'Folders', stat: 'foldersCompleted', target: 5, title: 'Bookshelf', description: 'Solve every problem in 5 folders' },
+  { id: 'long-5star', category: 'Skill', stat: 'longFiveStars', target: 1, title: 'Deep reader', description: '5★ on a problem of 30+ moves' },
+  { id: 'clean-10', category: 'Skill', stat: 'cleanReplays', target: 10, title: 'No second looks', description: 'Finish 10 problems perfectly without rewinding' },
+  { id: 'checkpoint-1', category: 'Skill', stat: 'checkpointSolves', target: 1, title: 'Halfway check', description: 'Finish a problem with a mid-sequence Mark Libs' },
+]
+
+// Minimum sequence length for the 'long-5star' rule.
+const LONG_PROBLEM_MOVES = 30
+
+// The replay-derived stats, folded one replay record ({ events, goldens })
+// at a time so a caller can keep them current without re-reading every
+// replay: replayCounts(all), then replayCounts([latest], counts).
+export function replayCounts(replays, counts = { cleanReplays: 0, checkpointSolves: 0 }) {
+  for (let r of replays) {
+    if (r.goldens?.scoreEntry?.mistakes === 0 && !r.events.some(e => e.kind === 'rewind')) counts.cleanReplays++
+    if ((r.goldens?.segmentCount || 1) >= 2) counts.checkpointSolves++
+  }
+  return counts
+}
+
+// Stats the rules read. Inputs:
+//   sgfs       — sgf records (id, path, moveCount, solved)
+//   allScores  — [{ sgfId, scores }]; a variation's key counts toward
+//                its problem (solved once, whichever lines were played)
+//   replays    — replayCounts() of the v:3 replay records
+//   days       — activityByDay() map
+export function achievementStats({ sgfs, allScores, replays, days }) {
+  let byId = new Map(sgfs.map(s => [s.id, s]))
+  let scored = new Set(allScores.filter(a => a.scores.length > 0).map(a => exerciseProblemId(a.sgfId)))
+  let entries = allScores.flatMap(a => a.scores.map(s => ({ sgfId: exerciseProblemId(a.sgfId), s })))
+
+  // A folder counts once every problem with an exercise in it is solved.
+  let folders = new Map()
+  for (let s of sgfs) {
+    if ((s.moveCount || 0) === 0) continue
+    let f = folders.get(s.path || '') || { total: 0, solved: 0 }
+    f.total++
+    if (s.solved || scored.has(s.id)) f.solved++
+    folders.set(s.path || '', f)
+  }
+
+  return {
+    perfectScores: entries.filter(({ s }) => s.accuracy === 1 && !s.mistakes).length,
+    solvedProblems: scored.size,
+    longestStreak: longestStreak(days),
+    foldersCompleted: [...folders.values()].filter(f => f.solved === f.total).length,
+    longFiveStars: entries.filter(({ sgfId, s }) =>
+      (byId.get(sgfId)?.moveCount || 0) >= LONG_PROBLEM_MOVES && starsFromScore(s) === 5).length,
+    cleanReplays: replays.cleanReplays,
+    checkpointSolves: replays.checkpointSolves,
+  }
+}
+
+export function achievementProgress(achievement, stats) {
+  return Math.min(stats[achievement.stat] || 0, achievement.target)
+}
+
+// Achievements whose rule now holds but aren't in `unlocked` yet.
+export function newlyUnlocked(stats, unlocked) {
+  return ACHIEVEMENTS.filter(a => !unlocked[a.id] && achievementProgress(a, stats) >= a.target)
+}
+
+// Gallery model: categories in declaration order, each with its
+// achievements, unlocked count and per-achievement progress.
+export function achievementGallery(stats, unlocked) {
+  let categories = []
+  for (let a of ACHIEVEMENTS) {
+    let cat = categories.find(c => c.name === a.category)
+    if (!cat) categories.push(cat = { name: a.category, items: [], unlockedCount: 0 })
+    let unlockedAt = unlocked[a.id] || null
+    if (unlockedAt) cat.unlockedCount++
+    cat.items.push({ ...a, unlockedAt, progress: achievementProgress(a, stats) })
+  }
+  return categories
+}
@@ -0,0 +1,104 @@
+import { useState, useEffect } from 'preact/hooks'
+import { getAllSgfs, getAllScores, getAllReplays, getUnlockedAchievements, unlockAchievements } from './db.js'
+import { ACHIEVEMENTS, achievementStats, replayCounts, newlyUnlocked, achievementGallery } from './achievements.js'
+import { loadActivity } from './activity.jsx'
+
+// The costly inputs — every sgf record and the counts over every replay —
+// read once and then kept current: checkAchievements folds in the replay
+// it is handed, and the library drops the cache whenever it reloads the
+// sgf list (imports, deletes, renames).
+let history = null
+
+export function resetAchievementHistory() {
+  history = null
+}
+
+async function loadStats(replay = null) {
+  if (!history) history = { sgfs: await getAllSgfs(), replays: replayCounts(getAllReplays()) }
+  else if (replay) replayCounts([replay], history.replays)
+  let allScores = getAllScores()
+  return achievementStats({ ...history, allScores, days: loadActivity(allScores) })
+}
+
+// Evaluate every rule against the current history, persist what's newly
+// unlocked and return it (for unlockEffects). Called after a finalize
+// with the replay it just stored (null when it stored none under
+// `replay:*`, like a daily run).
+export async function checkAchievements(replay) {
+  let fresh = newlyUnlocked(await loadStats(replay), getUnlockedAchievements())
+  if (fresh.length > 0) unlockAchievements(fresh.map(a => a.id), Date.now())
+  return fresh
+}
+
+// "3/15" for the Library pill.
+export function achievementCount() {
+  let unlocked = getUnlockedAchievements()
+  return { unlocked: ACHIEVEMENTS.filter(a => unlocked[a.id]).length, total: ACHIEVEMENTS.length }
+}
+
+// Toast shown over the current screen (app.jsx) when a finalize unlocks
+// something.
+export function UnlockToast({ items, onClose }) {
+  useEffect(() => {
+    let id = setTimeout(onClose, 4000)
+    return () => clearTimeout(id)
+  }, [items])
+  return (
+    <div class="achievement-toast" onClick={onClose}>
+      {items.map(a => (
+        <div key={a.id}>
+          <div class="achievement-toast-head">🏅 Achievement unlocked</div>
+          <div class="achievement-toast-title">{a.title}</div>
+          <div class="achievement-toast-desc">{a.description}</div>
+        </div>
+      ))}
+    </div>
+  )
+}
+
+// Gallery: every achievement by category, with the unlocked count per
+// category and progress toward each locked one ("3/10").
+export function Achievements({ stats, onExit }) {
+  let categories = achievementGallery(stats, getUnlockedAchievements())
+  useEffect(() => {
+    function onKeyDown(e) {
+      if (e.key === 'Escape') { e.preventDefault(); onExit() }
+    }
+    window.addEventListener('keydown', onKeyDown)
+    return () => window.removeEventListener('keydown', onKeyDown)
+  }, [])
+  return (
+    <div class="achievements">
+      <h2>Achievements</h2>
+      {categories.map(cat => (
+        <section key={cat.name} class="achievement-category">
+          <h3>{cat.name} <span class="achievement-cat-count">{cat.unlockedCount}/{cat.items.length}</span></h3>
+          <div class="achievement-grid">
+            {cat.items.map(a => (
+              <div key={a.id} class={`achievement${a.unlockedAt ? ' achievement-unlocked' : ''}`}
+                title={a.unlockedAt ? `Unlocked ${new Date(a.unlockedAt).toLocaleDateString()}` : 'Locked'}>
+                <div class="achievement-title">{a.unlockedAt ? '🏅' : '🔒'} {a.title}</div>
+                <div class="achievement-desc">{a.description}</div>
+                {!a.unlockedAt && <div class="achievement-progress">{a.progress}/{a.target}</div>}
+              </div>
+            ))}
+          </div>
+        </section>
+      ))}
+      <div class="daily-actions">
+        <button class="bar-btn" title="Back to library (Esc)" onClick={onExit}>Back</button>
+      </div>
+    </div>
+  )
+}
+
+// Screen wrapper: stats need the sgf list, which loads async.
+export function AchievementsScreen({ onExit }) {
+  let [stats, setStats] = useState(null)
+  useEffect(() => {
+    resetAchievementHistory()
+    loadStats().then(setStats)
+  }, [])
+  if (!stats) return <p class="loading">Loading...</p>
+  return <Achievements stats={stats} onExit={onExit} />
+}
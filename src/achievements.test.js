@@ -0,0 +1,96 @@
+import { describe, it, expect } from 'vitest'
+import { ACHIEVEMENTS, achievementStats, replayCounts, achievementProgress, newlyUnlocked, achievementGallery } from './achievements.js'
+
+let perfect = { date: 1, accuracy: 1, mistakes: 0, parScore: 100, accPoints: 100, speedPoints: 0 }
+let sloppy = { date: 2, accuracy: 0.5, mistakes: 2, parScore: 100, accPoints: 40, speedPoints: 0 }
+
+function statsOf(over = {}) {
+  return achievementStats({ sgfs: [], allScores: [], replays: replayCounts([]), days: new Map(), ...over })
+}
+
+describe('achievementStats', () => {
+  it('counts perfect scores and distinct solved problems', () => {
+    let stats = statsOf({
+      allScores: [
+        { sgfId: 1, scores: [perfect, sloppy] },
+        { sgfId: 2, scores: [{ ...perfect, date: 3 }] },
+        { sgfId: 3, scores: [] },
+      ],
+    })
+    expect(stats.perfectScores).toBe(2)
+    expect(stats.solvedProblems).toBe(2)
+  })
+
+  it('counts a problem\'s variations as that problem', () => {
+    let sgfs = [{ id: 1, moveCount: 30 }, { id: 2, path: 'a', moveCount: 5 }]
+    let stats = statsOf({
+      sgfs,
+      allScores: [{ sgfId: 1, scores: [perfect] }, { sgfId: '1.1', scores: [perfect] }, { sgfId: '2.1', scores: [sloppy] }],
+    })
+    expect(stats.solvedProblems).toBe(2)
+    expect(stats.longFiveStars).toBe(2)
+    expect(stats.foldersCompleted).toBe(2)
+  })
+
+  it('completes a folder once every problem with an exercise is solved', () => {
+    let sgfs = [
+      { id: 1, path: 'a', moveCount: 5, solved: true },
+      { id: 2, path: 'a', moveCount: 0 },
+      { id: 3, path: 'b', moveCount: 5, solved: true },
+      { id: 4, path: 'b', moveCount: 5 },
+    ]
+    expect(statsOf({ sgfs }).foldersCompleted).toBe(1)
+    expect(statsOf({ sgfs, allScores: [{ sgfId: 4, scores: [sloppy] }] }).foldersCompleted).toBe(2)
+  })
+
+  it('only counts 5★ on long problems for Deep reader', () => {
+    let sgfs = [{ id: 1, moveCount: 30 }, { id: 2, moveCount: 10 }]
+    let allScores = [{ sgfId: 1, scores: [perfect, sloppy] }, { sgfId: 2, scores: [perfect] }]
+    expect(statsOf({ sgfs, allScores }).longFiveStars).toBe(1)
+  })
+
+  it('reads clean and checkpoint solves from replays', () => {
+    let replay = (events, mistakes, segmentCount) => ({ events, goldens: { scoreEntry: { mistakes }, segmentCount } })
+    let counts = replayCounts([
+      replay([{ kind: 'advance' }], 0, 1),
+      replay([{ kind: 'rewind' }], 0, 1),
+      replay([{ kind: 'advance' }], 1, 2),
+    ])
+    let stats = statsOf({ replays: counts })
+    expect(stats.cleanReplays).toBe(1)
+    expect(stats.checkpointSolves).toBe(1)
+    // One more finalize folds into the same counts.
+    replayCounts([replay([{ kind: 'advance' }], 0, 2)], counts)
+    expect(counts).toEqual({ cleanReplays: 2, checkpointSolves: 2 })
+  })
+
+  it('takes the longest streak from the activity days', () => {
+    let day = { solved: 1, attempts: 1, avgStars: 3 }
+    let days = new Map([['2026-10-01', day], ['2026-10-02', day], ['2026-10-03', day], ['2026-10-09', day]])
+    expect(statsOf({ days }).longestStreak).toBe(3)
+  })
+})
+
+describe('newlyUnlocked', () => {
+  it('returns rules that hold and are not yet unlocked', () => {
+    let stats = { ...statsOf(), perfectScores: 10, longestStreak: 3 }
+    let ids = newlyUnlocked(stats, { 'perfect-1': 5 }).map(a => a.id)
+    expect(ids).toEqual(['perfect-10', 'streak-3'])
+  })
+})
+
+describe('achievementGallery', () => {
+  it('groups by category with unlocked counts and capped progress', () => {
+    let stats = { ...statsOf(), perfectScores: 12 }
+    let gallery = achievementGallery(stats, { 'perfect-1': 5, 'perfect-10': 6 })
+    expect(gallery.map(c => c.name)).toEqual(['Perfect scores', 'Problems solved', 'Streaks', 'Folders', 'Skill'])
+    expect(gallery.flatMap(c => c.items)).toHaveLength(ACHIEVEMENTS.length)
+    let perfects = gallery[0]
+    expect(perfects.unlockedCount).toBe(2)
+    expect(perfects.items.map(a => [a.unlockedAt, a.progress])).toEqual([[5, 1], [6, 10], [null, 12], [null, 12]])
+  })
+
+  it('progress never exceeds the target', () => {
+    expect(achievementProgress(ACHIEVEMENTS[0], { perfectScores: 40 })).toBe(1)
+  })
+})
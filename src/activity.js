@@ -0,0 +1,107 @@
+// Daily activity model: every stored scoreEntry (and daily-challenge
+// result) carries a `date`; bucketing them by local calendar day gives
+// the streak counter and the calendar heatmap. Pure — db.js supplies the
+// entries.
+//
+// Entry shape consumed here: { sgfKey, date, stars } where sgfKey
+// identifies the problem (distinct problems per day count as "solved";
+// a problem's variations are one problem) and stars is null when the
+// source has no star data.
+
+import { dateKey, DAILY_TIERS } from './daily.js'
+import { starsFromScore } from './scoring.js'
+import { exerciseProblemId } from './navigation.js'
+
+// Heat levels 0–4 by day score = problems solved × (avg stars / 5).
+// A day with any activity is at least level 1.
+const HEAT_THRESHOLDS = [0, 2, 5, 10]
+
+export function addDays(key, n) {
+  let [y, m, d] = key.split('-').map(Number)
+  return dateKey(new Date(y, m - 1, d + n))
+}
+
+// Flatten db sources into activity entries. allScores: [{sgfId, scores}]
+// (getAllScores); dailyResults: [{key, result}] (getDailyResults). Daily
+// entries carry no star data; they're keyed by path/filename. An abandoned
+// daily problem was opened but never finished, so it isn't activity.
+export function activityEntries(allScores, dailyResults = []) {
+  let entries = []
+  for (let { sgfId, scores } of allScores) {
+    for (let s of scores) entries.push({ sgfKey: `id:${exerciseProblemId(sgfId)}`, date: s.date, stars: starsFromScore(s) || null })
+  }
+  for (let { result } of dailyResults) {
+    for (let tier of DAILY_TIERS) {
+      let e = result.problems?.[tier]
+      if (e && !e.abandoned) entries.push({ sgfKey: `daily:${e.path}/${e.filename}`, date: e.date, stars: null })
+    }
+  }
+  return entries
+}
+
+// Map<dayKey, { solved, attempts, avgStars }>.
+export function activityByDay(entries) {
+  let buckets = new Map()
+  for (let e of entries) {
+    if (!e.date) continue
+    let key = dateKey(new Date(e.date))
+    let b = buckets.get(key)
+    if (!b) buckets.set(key, b = { problems: new Set(), attempts: 0, starsSum: 0, starred: 0 })
+    b.problems.add(e.sgfKey)
+    b.attempts++
+    if (e.stars != null) { b.starsSum += e.stars; b.starred++ }
+  }
+  let days = new Map()
+  for (let [key, b] of buckets) {
+    days.set(key, { solved: b.problems.size, attempts: b.attempts, avgStars: b.starred ? b.starsSum / b.starred : null })
+  }
+  return days
+}
+
+export function heatLevel(day) {
+  if (!day || day.solved === 0) return 0
+  let score = day.solved * (day.avgStars ?? 3) / 5
+  let level = 1
+  for (let i = 1; i < HEAT_THRESHOLDS.length; i++) if (score >= HEAT_THRESHOLDS[i]) level = i + 1
+  return level
+}
+
+// Current streak ending today. A streak that ran through yesterday is
+// still alive (not yet broken) until today ends: { length, activeToday }.
+export function currentStreak(days, today) {
+  let activeToday = days.has(today)
+  let key = activeToday ? today : addDays(today, -1)
+  let length = 0
+  while (days.has(key)) { length++; key = addDays(key, -1) }
+  return { length, activeToday }
+}
+
+export function longestStreak(days) {
+  let best = 0
+  for (let key of days.keys()) {
+    if (days.has(addDays(key, -1))) continue   // not the start of a run
+    let length = 0
+    for (let k = key; days.has(k); k = addDays(k, 1)) length++
+    best = Math.max(best, length)
+  }
+  return best
+}
+
+// GitHub-style grid: `weeks` columns ending with the week containing
+// `today`, each a Sunday-first array of 7 cells { key, level, day }.
+// Cells after today are null.
+export function heatmapWeeks(days, today, weeks = 26) {
+  let [y, m, d] = today.split('-').map(Number)
+  let weekday = new Date(y, m - 1, d).getDay()
+  let start = addDays(today, -weekday - 7 * (weeks - 1))
+  let grid = []
+  for (let w = 0; w < weeks; w++) {
+    let column = []
+    for (let i = 0; i < 7; i++) {
+      let key = addDays(start, w * 7 + i)
+      column.push(key > today ? null : { key, level: heatLevel(days.get(key)), day: days.get(key) || null })
+    }
+    grid.push(column)
+  }
+  return grid
+}
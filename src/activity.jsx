@@ -0,0 +1,59 @@
+import { useEffect } from 'preact/hooks'
+import { getAllScores, getDailyResults } from './db.js'
+import { activityEntries, activityByDay, currentStreak, longestStreak, heatmapWeeks } from './activity.js'
+import { dateKey } from './daily.js'
+
+// Activity for the current kv contents — shared by the Library streak
+// pill, the heatmap screen and achievements (which pass the scores they
+// already read).
+export function loadActivity(allScores = getAllScores()) {
+  return activityByDay(activityEntries(allScores, getDailyResults()))
+}
+
+function cellTitle(cell) {
+  let [y, m, d] = cell.key.split('-').map(Number)
+  let label = new Date(y, m - 1, d).toLocaleDateString(undefined, { month: 'short', day: 'numeric' })
+  if (!cell.day) return `${label}: no activity`
+  let stars = cell.day.avgStars != null ? `, avg ${cell.day.avgStars.toFixed(1)}★` : ''
+  return `${label}: ${cell.day.solved} problem${cell.day.solved === 1 ? '' : 's'}${stars}`
+}
+
+// Calendar heatmap screen: streak stats plus a GitHub-style grid of the
+// last half year, one cell per day, intensity from problems solved and
+// average stars.
+export function Activity({ onExit }) {
+  let today = dateKey()
+  let days = loadActivity()
+  let streak = currentStreak(days, today)
+  let weeks = heatmapWeeks(days, today)
+  useEffect(() => {
+    function onKeyDown(e) {
+      if (e.key === 'Escape') { e.preventDefault(); onExit() }
+    }
+    window.addEventListener('keydown', onKeyDown)
+    return () => window.removeEventListener('keydown', onKeyDown)
+  }, [])
+  return (
+    <div class="activity">
+      <h2>Activity</h2>
+      <table class="rush-stats"><tbody>
+        <tr><td>Current streak</td><td>{streak.length} day{streak.length === 1 ? '' : 's'}</td></tr>
+        <tr><td>Longest streak</td><td>{longestStreak(days)} days</td></tr>
+        <tr><td>Active days</td><td>{days.size}</td></tr>
+      </tbody></table>
+      {!streak.activeToday && streak.length > 0 && (
+        <p class="activity-warn">Solve a problem today to keep your streak.</p>
+      )}
+      <div class="heatmap">
+        {weeks.map((column, w) => column.map((cell, i) =>
+          cell
+            ? <div key={`${w}:${i}`} class={`heat-cell heat-${cell.level}${cell.key === today ? ' heat-today' : ''}`} title={cellTitle(cell)} />
+            : <div key={`${w}:${i}`} class="heat-cell heat-none" />
+        ))}
+      </div>
+      <div class="daily-actions">
+        <button class="bar-btn" title="Back to library (Esc)" onClick={onExit}>Back</button>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,96 @@
+import { describe, it, expect } from 'vitest'
+import { addDays, activityEntries, activityByDay, heatLevel, currentStreak, longestStreak, heatmapWeeks } from './activity.js'
+
+// Local-time timestamp for a day key, at noon.
+function at(key, hour = 12) {
+  let [y, m, d] = key.split('-').map(Number)
+  return new Date(y, m - 1, d, hour).getTime()
+}
+
+function daysOf(...keys) {
+  return new Map(keys.map(k => [k, { solved: 1, attempts: 1, avgStars: 3 }]))
+}
+
+describe('addDays', () => {
+  it('crosses month and year boundaries', () => {
+    expect(addDays('2026-02-28', 1)).toBe('2026-03-01')
+    expect(addDays('2026-01-01', -1)).toBe('2025-12-31')
+  })
+})
+
+describe('activityByDay', () => {
+  it('counts distinct problems and averages stars per local day', () => {
+    let entries = [
+      { sgfKey: 'id:1', date: at('2026-10-19', 9), stars: 5 },
+      { sgfKey: 'id:1', date: at('2026-10-19', 10), stars: 3 },
+      { sgfKey: 'id:2', date: at('2026-10-19', 23), stars: null },
+      { sgfKey: 'id:2', date: at('2026-10-20', 1), stars: 2 },
+    ]
+    let days = activityByDay(entries)
+    expect(days.get('2026-10-19')).toEqual({ solved: 2, attempts: 3, avgStars: 4 })
+    expect(days.get('2026-10-20')).toEqual({ solved: 1, attempts: 1, avgStars: 2 })
+  })
+
+  it('activityEntries flattens score histories and daily results', () => {
+    let scoreEntry = { date: at('2026-10-19'), accuracy: 1, mistakes: 0, parScore: 100, accPoints: 100, speedPoints: 0 }
+    let daily = { key: '2026-10-18', result: { problems: { easy: { path: 'a', filename: 'x.sgf', date: at('2026-10-18') } } } }
+    let entries = activityEntries([{ sgfId: 7, scores: [scoreEntry] }], [daily])
+    expect(entries).toEqual([
+      { sgfKey: 'id:7', date: scoreEntry.date, stars: 5 },
+      { sgfKey: 'daily:a/x.sgf', date: at('2026-10-18'), stars: null },
+    ])
+    expect(activityEntries([{ sgfId: '7.2', scores: [scoreEntry] }])[0].sgfKey).toBe('id:7')
+  })
+
+  it('activityEntries skips abandoned daily problems', () => {
+    let abandoned = { path: 'a', filename: 'x.sgf', date: at('2026-10-18'), abandoned: true }
+    let finished = { path: 'a', filename: 'y.sgf', date: at('2026-10-18') }
+    let daily = { key: '2026-10-18', result: { problems: { easy: abandoned, medium: finished } } }
+    expect(activityEntries([], [daily]).map(e => e.sgfKey)).toEqual(['daily:a/y.sgf'])
+  })
+})
+
+describe('heatLevel', () => {
+  it('scales with problems solved and stars', () => {
+    expect(heatLevel(undefined)).toBe(0)
+    expect(heatLevel({ solved: 1, avgStars: 1 })).toBe(1)
+    expect(heatLevel({ solved: 4, avgStars: 5 })).toBe(2)
+    expect(heatLevel({ solved: 4, avgStars: 1 })).toBe(1)
+    expect(heatLevel({ solved: 12, avgStars: 5 })).toBe(4)
+  })
+})
+
+describe('streaks', () => {
+  it('counts consecutive days ending today', () => {
+    let days = daysOf('2026-10-17', '2026-10-18', '2026-10-19')
+    expect(currentStreak(days, '2026-10-19')).toEqual({ length: 3, activeToday: true })
+  })
+
+  it('a streak through yesterday is still alive today', () => {
+    let days = daysOf('2026-10-17', '2026-10-18')
+    expect(currentStreak(days, '2026-10-19')).toEqual({ length: 2, activeToday: false })
+  })
+
+  it('a missed day resets it', () => {
+    let days = daysOf('2026-10-16', '2026-10-17')
+    expect(currentStreak(days, '2026-10-19').length).toBe(0)
+  })
+
+  it('longest run anywhere in history', () => {
+    let days = daysOf('2026-01-30', '2026-01-31', '2026-02-01', '2026-02-02', '2026-03-05', '2026-03-06')
+    expect(longestStreak(days)).toBe(4)
+    expect(longestStreak(new Map())).toBe(0)
+  })
+})
+
+describe('heatmapWeeks', () => {
+  it('Sunday-first columns ending with the current week', () => {
+    // 2026-10-19 is a Monday.
+    let grid = heatmapWeeks(daysOf('2026-10-19'), '2026-10-19', 2)
+    expect(grid.length).toBe(2)
+    expect(grid[0][0].key).toBe('2026-10-11')
+    expect(grid[1][0].key).toBe('2026-10-18')
+    expect(grid[1][1]).toMatchObject({ key: '2026-10-19', level: 1 })
+    expect(grid[1][2]).toBeNull()
+  })
+})
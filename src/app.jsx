@@ -1,8 +1,14 @@
 import { useState } from 'preact/hooks'
 import { Library } from './library.jsx'
 import { Quiz } from './quiz.jsx'
-import { getAllSgfs, updateSgf, addScore, getBestScore, getLatestScoreDate, kv, kvSet, kvRemove } from './db.js'
-import { siblings as siblingsAt, stepSibling, nextUnsolved, toSelection } from './navigation.js'
+import { Rush } from './rush.jsx'
+import { TimeTrial } from './time-trial.jsx'
+import { Daily } from './daily.jsx'
+import { Activity } from './activity.jsx'
+import { AchievementsScreen, UnlockToast } from './achievements.jsx'
+import { getAllSgfs, updateSgf, addScore, getBestScore, getLatestScoreDate, getScores, kv, kvSet, kvRemove } from './db.js'
+import { siblings as siblingsAt, stepSibling, nextUnsolved, dueForReview, toSelection, exerciseKey, stepVariation, nextUnscoredVariation } from './navigation.js'
+import { dueDate } from './scheduler.js'
 import { ErrorBoundary } from './error-boundary.jsx'
 
 export function App() {
@@ -12,9 +18,21 @@ export function App() {
     try { let a = JSON.parse(saved); a.restored = true; return a } catch { return null }
   })
   const [cwd, setCwd] = useState(() => kv('lastPath', ''))
+  // Mode screen in progress: { kind: 'rush', variant, path },
+  // { kind: 'timeTrial', path }, { kind: 'daily' }, { kind: 'activity' }
+  // or { kind: 'achievements' }.
+  // In-memory only — a reload abandons it.
+  const [run, setRun] = useState(null)
+  // Achievement unlocks waiting in the toast. Held here, above every
+  // screen: a run's Quiz is swapped out as soon as it finalizes.
+  const [unlocked, setUnlocked] = useState([])
+  let onUnlocked = a => setUnlocked(u => [...u, a])
 
-  function selectSgf({ id, content, path, filename, solved }) {
-    let val = { id, content, path, filename, solved: !!solved }
+  // review: true while working through the library-wide "Review due"
+  // queue — goNextUnsolved then pulls from that queue instead of siblings.
+  // variation: the line drilled (0 = main line; see navigation.js).
+  function selectSgf({ id, content, path, filename, solved, review, quizAt, variation }) {
+    let val = { id, content, path, filename, solved: !!solved, review: !!review, quizAt: quizAt || null, variation: variation || 0 }
     kvSet('activeSgf', JSON.stringify(val))
     kvSet('lastPath', path)
     setCwd(path)
@@ -31,13 +49,15 @@ export function App() {
     kvSet('lastPath', newCwd)
   }
 
+  // The record's progress and solved flag follow the main line; a
+  // variation only keeps its own score history.
   function saveProgress({ correct, done, total }) {
-    updateSgf(active.id, { correct, done, total })
+    if (!active.variation) updateSgf(active.id, { correct, done, total })
   }
 
   function markSolved(correct, done, scoreEntry) {
-    updateSgf(active.id, { solved: true, correct, done })
-    if (scoreEntry) addScore(active.id, scoreEntry)
+    if (!active.variation) updateSgf(active.id, { solved: true, correct, done })
+    if (scoreEntry) addScore(exerciseKey(active.id, active.variation), scoreEntry)
     setActive(prev => {
       let next = { ...prev, solved: true }
       kvSet('activeSgf', JSON.stringify(next))
@@ -45,35 +65,88 @@ export function App() {
     })
   }
 
+  // The problem's own "quiz at move" setting (see quiz-at.js).
+  function saveQuizAt(quizAt) {
+    updateSgf(active.id, { quizAt })
+    setActive(prev => {
+      let next = { ...prev, quizAt }
+      kvSet('activeSgf', JSON.stringify(next))
+      return next
+    })
+  }
+
   let scoreLookup = (id) => {
     let b = getBestScore(id)
-    return { bestAccuracy: b ? b.accuracy : null, latestDate: getLatestScoreDate(id) }
+    return { bestAccuracy: b ? b.accuracy : null, latestDate: getLatestScoreDate(id), due: dueDate(getScores(id)) }
   }
 
+  let drillVariations = () => kv('quizVariations', '0') === '1'
+
   async function goStep(delta) {
     let all = await getAllSgfs()
-    let next = stepSibling(siblingsAt(all, active.path), active.id, delta)
+    let list = siblingsAt(all, active.path)
+    if (drillVariations()) {
+      let next = stepVariation(list, active.id, active.variation, delta)
+      if (next) selectSgf({ ...toSelection(next.sgf), variation: next.variation })
+      return
+    }
+    let next = stepSibling(list, active.id, delta)
     if (next) selectSgf(toSelection(next))
   }
 
+  // Spaced repetition drives "next": unsolved siblings first, then the
+  // most overdue review. Once nothing is due, back to the library.
   async function goNextUnsolved() {
     let all = await getAllSgfs()
+    if (active.review) {
+      let [next] = dueForReview(all, scoreLookup)
+      if (next) selectSgf({ ...toSelection(next), review: true })
+      else clearSgf()
+      return
+    }
+    if (drillVariations()) {
+      let current = all.find(s => s.id === active.id)
+      let v = current && nextUnscoredVariation(current, active.variation, scoreLookup)
+      if (v != null) { selectSgf({ ...toSelection(current), variation: v }); return }
+    }
     let r = nextUnsolved(siblingsAt(all, active.path), active.id, scoreLookup)
-    if (r) selectSgf(toSelection(r.sgf))
+    if (r && r.reason !== 'upcoming') selectSgf(toSelection(r.sgf))
     else clearSgf()
   }
 
+  let toast = unlocked.length > 0 && <UnlockToast items={unlocked} onClose={() => setUnlocked([])} />
+
+  if (run) {
+    let exit = () => setRun(null)
+    return <>
+      <ErrorBoundary onReset={exit}>
+        {run.kind === 'rush' && <Rush variant={run.variant} path={run.path} onExit={exit} onUnlocked={onUnlocked} />}
+        {run.kind === 'timeTrial' && <TimeTrial path={run.path} onExit={exit} onUnlocked={onUnlocked} />}
+        {run.kind === 'daily' && <Daily onExit={exit} onUnlocked={onUnlocked} />}
+        {run.kind === 'activity' && <Activity onExit={exit} />}
+        {run.kind === 'achievements' && <AchievementsScreen onExit={exit} />}
+      </ErrorBoundary>
+      {toast}
+    </>
+  }
   if (active) {
-    return (
+    return <>
       <ErrorBoundary onReset={clearSgf}>
-        <Quiz key={active.id} sgf={active.content}
-          sgfId={active.id}
-          wasSolved={active.solved} restored={!!active.restored}
-          onBack={clearSgf} onSolved={markSolved} onProgress={saveProgress} onLoadError={clearSgf}
+        <Quiz key={exerciseKey(active.id, active.variation)} sgf={active.content}
+          sgfId={exerciseKey(active.id, active.variation)} variation={active.variation || 0}
+          wasSolved={active.variation ? getScores(exerciseKey(active.id, active.variation)).length > 0 : active.solved}
+          restored={!!active.restored}
+          quizAt={active.quizAt} onQuizAtChange={saveQuizAt}
+          onBack={clearSgf} onSolved={markSolved} onProgress={saveProgress} onUnlocked={onUnlocked} onLoadError={clearSgf}
           onPrev={() => goStep(-1)} onNext={() => goStep(1)}
           onNextUnsolved={goNextUnsolved} />
       </ErrorBoundary>
-    )
+      {toast}
+    </>
   }
-  return <Library onSelect={selectSgf} cwd={cwd} onCwdChange={changeCwd} />
+  return <>
+    <Library onSelect={selectSgf} cwd={cwd} onCwdChange={changeCwd}
+      onRun={r => setRun({ ...r, path: cwd })} />
+    {toast}
+  </>
 }
@@ -85,13 +85,13 @@ describe.skipIf(!hasZip)('SGFBooks.zip', () => {
     let outOfBounds = []
     for (let { name, content } of entries) {
       try {
-        let { moves, boardSize } = parseSgf(content)
+        let { moves, boardWidth, boardHeight } = parseSgf(content)
         for (let i = 0; i < moves.length; i++) {
           let v = moves[i].vertex
           if (!v) continue
           let [x, y] = v
-          if (x < 0 || x >= boardSize || y < 0 || y >= boardSize) {
-            outOfBounds.push({ name, moveIdx: i, vertex: v, boardSize })
+          if (x < 0 || x >= boardWidth || y < 0 || y >= boardHeight) {
+            outOfBounds.push({ name, moveIdx: i, vertex: v, boardWidth, boardHeight })
             break
           }
         }
@@ -99,7 +99,7 @@ describe.skipIf(!hasZip)('SGFBooks.zip', () => {
     }
     if (outOfBounds.length > 0) {
       console.log(`Out-of-bounds moves (${outOfBounds.length}):`)
-      for (let o of outOfBounds) console.log(`  ${o.name}: move ${o.moveIdx} at [${o.vertex}] on ${o.boardSize}x${o.boardSize}`)
+      for (let o of outOfBounds) console.log(`  ${o.name}: move ${o.moveIdx} at [${o.vertex}] on ${o.boardWidth}x${o.boardHeight}`)
     }
     expect(outOfBounds.length).toBe(0)
   })
@@ -3,7 +3,8 @@
 
 export default {
   // Liberty labels cap: groups with more liberties show "N+".
-  // e.g. 5 means labels are 1, 2, 3, 4, 5+.
+  // e.g. 5 means labels are 1, 2, 3, 4, 5+. This is the default; the
+  // Library menu's "Liberty cap" (session libertyCap) can raise it to 8.
   maxLibertyLabel: 5,
 
   // Maximum number of Done presses per exercise. After this many submits,
@@ -15,15 +16,41 @@ export default {
   // Changing these numbers reshapes accuracy scoring; see docs/SCORING.md.
   pointsByMistakes: [20, 12, 6, 0],
 
+  // Stone-recall, capture and liberty-point exercises: the same schedule per
+  // intersection asked. Stones are many and individually easier than a
+  // liberty count, so each is worth half a group. See docs/SCORING.md.
+  stonePointsByMistakes: [10, 6, 3, 0],
+
+  // Capture-race question: two adjacent opposing groups with at most
+  // this many liberties each are asked "who wins, by how many?"
+  // alongside their liberty counts. See semeai.js.
+  semeaiMaxLiberties: 4,
+
+  // Minimum moves into a segment before the "Mark Libs" checkpoint
+  // button enables. See docs/CHECKPOINT_SPEC.md.
+  checkpointMinMoves: 4,
+
   // Duration (ms) of the red-flash on a wrong submit.
   wrongFlashMs: 150,
 
   // Time budget for speed bonus. The full max-time window in seconds is
-  // 2 × (cupBaseSec + totalMoves·cupPerMoveSec + groupCount·cupPerGroupSec).
+  // 2 × (cupBaseSec + moveCount·cupPerMoveSec + groupCount·cupPerGroupSec).
   // Config stays in per-move/per-group units so tuning "how much time per
   // move?" is natural; the doubling to produce the full window happens at
   // the effects.js call site.
   cupBaseSec: 3,
   cupPerMoveSec: 1.5,
   cupPerGroupSec: 1.5,
+
+  // Daily challenge source: problems under this library path (recursive).
+  // '' draws from the whole library, so the picks are shared only between
+  // identical libraries; set it to the default collection's top folder to
+  // give every user with that collection the same three problems.
+  dailyFolder: '',
+
+  // Time Trial (time-trial.js): lives per run, per-problem clock, and one
+  // bonus point per this many seconds left on a solved problem's clock.
+  timeTrialLives: 4,
+  timeTrialProblemSec: 60,
+  timeTrialBonusSec: 10,
 }
@@ -0,0 +1,100 @@
+// Daily challenge: three problems per day (easy, medium, hard) picked
+// deterministically from a canonical folder by a date-seeded RNG, so the
+// same library yields the same three problems for everyone. Each problem
+// can be played once; results live in kv `daily:<YYYY-MM-DD>`, apart
+// from the per-problem `scores:<id>` history. Opening a problem records
+// it as abandoned straight away, so backing out doesn't free a replay;
+// finalizing replaces that entry with the result. Its live log and replay
+// go under DAILY_KV_PREFIX, out of sight of the library (resume offers,
+// practice history, achievements).
+//
+// Ranking: accuracy descending, total time ascending as the tiebreaker.
+
+import { mulberry32, hashString } from './engine.js'
+
+export const DAILY_TIERS = ['easy', 'medium', 'hard']
+
+// Prefix for the daily runs' `session:*` / `replay:*` keys.
+export const DAILY_KV_PREFIX = 'daily.'
+
+// Day #1 of the daily challenge.
+const DAILY_EPOCH = Date.UTC(2026, 0, 1)
+
+// Local calendar date as YYYY-MM-DD — a new challenge at local midnight.
+export function dateKey(date = new Date()) {
+  let m = String(date.getMonth() + 1).padStart(2, '0')
+  let d = String(date.getDate()).padStart(2, '0')
+  return `${date.getFullYear()}-${m}-${d}`
+}
+
+// 1-based challenge number for a date key ("TsumeSight Daily #47").
+export function dailyNumber(key) {
+  let [y, m, d] = key.split('-').map(Number)
+  return Math.round((Date.UTC(y, m - 1, d) - DAILY_EPOCH) / 86400000) + 1
+}
+
+// Candidate problems under `folder` (recursive), easiest first. Difficulty
+// is sequence length — the number of moves to read out. Ordered by
+// library-independent fields only (no ids) so the pick is reproducible
+// across devices.
+export function dailyPool(sgfs, folder = '') {
+  let inFolder = s => {
+    let p = s.path || ''
+    return !folder || p === folder || p.startsWith(folder + '/')
+  }
+  return sgfs
+    .filter(s => inFolder(s) && (s.moveCount || 0) > 0)
+    .sort((a, b) => a.moveCount - b.moveCount ||
+      (a.path || '').localeCompare(b.path || '') || a.filename.localeCompare(b.filename))
+}
+
+// The day's picks: [{tier, sgf}] — one from each third of the pool.
+// Null when the pool is too small to fill every tier.
+export function pickDaily(pool, key) {
+  if (pool.length < DAILY_TIERS.length) return null
+  let random = mulberry32(hashString(`daily:${key}`))
+  return DAILY_TIERS.map((tier, i) => {
+    let lo = Math.floor(i * pool.length / DAILY_TIERS.length)
+    let hi = Math.floor((i + 1) * pool.length / DAILY_TIERS.length)
+    return { tier, sgf: pool[lo + Math.floor(random() * (hi - lo))] }
+  })
+}
+
+// Result entry stored per tier once a problem finalizes. popupData (when
+// given) adds the per-group points in display order and the stars, for
+// the share card (share.js).
+export function dailyEntry(sgf, scoreEntry, popupData) {
+  let { correct, total, accuracy, totalMs, mistakes, date } = scoreEntry
+  let entry = { path: sgf.path || '', filename: sgf.filename, correct, total, accuracy, totalMs, mistakes, date }
+  if (popupData) {
+    entry.pointsByGroup = popupData.pointsByGroup
+    entry.stars = popupData.stars
+  }
+  return entry
+}
+
+// Entry for a tier whose attempt started but hasn't finalized: one
+// missed question, so quitting a problem never beats answering it.
+export function abandonedEntry(sgf, date = Date.now()) {
+  return { path: sgf.path || '', filename: sgf.filename, correct: 0, total: 1, accuracy: 0, totalMs: 0, mistakes: 0, date, abandoned: true }
+}
+
+// Aggregate over a day's result ({problems: {tier: entry}}).
+export function dailyScore(result) {
+  let entries = DAILY_TIERS.map(t => result?.problems?.[t]).filter(Boolean)
+  let correct = entries.reduce((s, e) => s + e.correct, 0)
+  let total = entries.reduce((s, e) => s + e.total, 0)
+  return {
+    played: entries.length,
+    complete: entries.length === DAILY_TIERS.length,
+    correct,
+    total,
+    accuracy: total > 0 ? correct / total : 0,
+    totalMs: entries.reduce((s, e) => s + (e.totalMs || 0), 0),
+  }
+}
+
+// Sort comparator over dailyScore() values: accuracy first, time breaks ties.
+export function compareDaily(a, b) {
+  return b.accuracy - a.accuracy || a.totalMs - b.totalMs
+}
@@ -0,0 +1,154 @@
+import { useState, useEffect } from 'preact/hooks'
+import { Quiz } from './quiz.jsx'
+import { getAllSgfs, getDailyResult, addDailyEntry, getDailyResults } from './db.js'
+import { DAILY_TIERS, DAILY_KV_PREFIX, dateKey, dailyNumber, dailyPool, pickDaily, dailyEntry, abandonedEntry, dailyScore, compareDaily } from './daily.js'
+import { formatClock } from './rush.jsx'
+import { ShareButtons } from './quiz-finish.jsx'
+import { dailyShareText } from './share.js'
+import config from './config.js'
+
+const TIER_LABELS = { easy: 'Easy', medium: 'Medium', hard: 'Hard' }
+
+function formatDay(key) {
+  let [y, m, d] = key.split('-').map(Number)
+  return new Date(y, m - 1, d).toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' })
+}
+
+function scoreText(score) {
+  return `${Math.round(score.accuracy * 100)}% · ${formatClock(score.totalMs)}`
+}
+
+// Daily challenge screen: today's three problems, each playable once,
+// plus a read-only archive of past days. Problems open in a regular
+// <Quiz> under DAILY_KV_PREFIX; the attempt is recorded in `daily:<date>`
+// as it opens and the finalize result replaces it — the problem's own
+// score history is left alone.
+export function Daily({ onExit, onUnlocked }) {
+  let today = dateKey()
+  let [sgfs, setSgfs] = useState(null)
+  let [view, setView] = useState({ key: today })   // { key } day, or { archive: true }
+  let [playing, setPlaying] = useState(null)       // { tier, sgf }
+  useEffect(() => { getAllSgfs().then(setSgfs) }, [])
+
+  if (!sgfs) return <p class="loading">Loading...</p>
+  let picks = pickDaily(dailyPool(sgfs, config.dailyFolder), today)
+  let nextUnplayed = () => {
+    let result = getDailyResult(today)
+    return picks?.find(p => !result?.problems[p.tier]) || null
+  }
+
+  let play = pick => {
+    if (pick) addDailyEntry(today, pick.tier, abandonedEntry(pick.sgf))
+    setPlaying(pick)
+  }
+
+  if (playing) {
+    let playNext = () => play(nextUnplayed())
+    return (
+      <Quiz key={playing.tier} sgf={playing.sgf.content} sgfId={playing.sgf.id}
+        wasSolved={false} restored={false} kvPrefix={DAILY_KV_PREFIX}
+        shareLabel={`TsumeSight Daily #${dailyNumber(today)} ${TIER_LABELS[playing.tier]}`}
+        onBack={() => setPlaying(null)}
+        onSolved={(correct, total, scoreEntry, popupData) =>
+          addDailyEntry(today, playing.tier, dailyEntry(playing.sgf, scoreEntry, popupData))}
+        onProgress={() => {}} onUnlocked={onUnlocked}
+        onLoadError={() => setPlaying(null)}
+        onNextUnsolved={playNext} onNext={playNext} />
+    )
+  }
+
+  if (view.archive) {
+    return <DailyArchive onOpen={key => setView({ key })} onBack={() => setView({ key: today })} />
+  }
+
+  let isToday = view.key === today
+  let dayPicks = isToday ? picks : pickDaily(dailyPool(sgfs, config.dailyFolder), view.key)
+  return (
+    <DailyDay dayKey={view.key} picks={dayPicks} result={getDailyResult(view.key)}
+      playable={isToday} onPlay={play}
+      onArchive={() => setView({ archive: true })}
+      onBack={isToday ? onExit : () => setView({ archive: true })} />
+  )
+}
+
+// One day's card: the three tiers with their recorded results.
+function DailyDay({ dayKey, picks, result, playable, onPlay, onArchive, onBack }) {
+  let score = dailyScore(result)
+  useEffect(() => {
+    function onKeyDown(e) {
+      if (e.key === 'Escape') { e.preventDefault(); onBack() }
+    }
+    window.addEventListener('keydown', onKeyDown)
+    return () => window.removeEventListener('keydown', onKeyDown)
+  }, [onBack])
+  return (
+    <div class="daily">
+      <h2>Daily #{dailyNumber(dayKey)}</h2>
+      <div class="daily-date">{formatDay(dayKey)}</div>
+      {!picks && !result && <p class="daily-empty">Not enough problems in the library for a daily challenge.</p>}
+      <div class="daily-tiers">
+        {DAILY_TIERS.map(tier => {
+          let entry = result?.problems[tier]
+          let pick = picks?.find(p => p.tier === tier)
+          if (!entry && !pick) return null
+          return (
+            <div key={tier} class="daily-tier">
+              <span class={`daily-tier-label tier-${tier}`}>{TIER_LABELS[tier]}</span>
+              <span class="daily-tier-name">{entry ? entry.filename : pick.sgf.filename}</span>
+              {entry?.abandoned
+                ? <span class="daily-tier-result" title="Opened but not finished — counts as one missed question">abandoned</span>
+                : entry
+                  ? <span class="daily-tier-result">{entry.correct}/{entry.total} · {formatClock(entry.totalMs || 0)}</span>
+                  : playable
+                    ? <button class="rush-btn" title={`Play the ${tier} problem — one attempt only`} onClick={() => onPlay(pick)}>Play</button>
+                    : <span class="daily-tier-result">—</span>}
+            </div>
+          )
+        })}
+      </div>
+      {score.played > 0 && (
+        <div class="daily-total">{score.complete ? 'Final' : 'So far'}: {scoreText(score)}</div>
+      )}
+      {score.complete && (
+        <ShareButtons text={dailyShareText(dailyNumber(dayKey), result, DAILY_TIERS, config.pointsByMistakes)} />
+      )}
+      <div class="daily-actions">
+        <button class="bar-btn" title="Back (Esc)" onClick={onBack}>Back</button>
+        {playable && <button class="bar-btn" title="Past days' results" onClick={onArchive}>Archive</button>}
+      </div>
+    </div>
+  )
+}
+
+// Past days with a stored result, newest first. The best day (accuracy,
+// then time) is highlighted.
+function DailyArchive({ onOpen, onBack }) {
+  let days = getDailyResults().map(d => ({ ...d, score: dailyScore(d.result) }))
+  let best = [...days].filter(d => d.score.complete).sort((a, b) => compareDaily(a.score, b.score))[0]
+  useEffect(() => {
+    function onKeyDown(e) {
+      if (e.key === 'Escape') { e.preventDefault(); onBack() }
+    }
+    window.addEventListener('keydown', onKeyDown)
+    return () => window.removeEventListener('keydown', onKeyDown)
+  }, [])
+  return (
+    <div class="daily">
+      <h2>Daily archive</h2>
+      {days.length === 0 && <p class="daily-empty">No daily challenges played yet.</p>}
+      <table class="rush-stats daily-archive"><tbody>
+        {days.map(d => (
+          <tr key={d.key} class={d === best ? 'daily-best' : ''} onClick={() => onOpen(d.key)}>
+            <td>#{dailyNumber(d.key)}</td>
+            <td>{formatDay(d.key)}</td>
+            <td>{d.score.played}/{DAILY_TIERS.length}</td>
+            <td>{scoreText(d.score)}</td>
+          </tr>
+        ))}
+      </tbody></table>
+      <div class="daily-actions">
+        <button class="bar-btn" title="Back to today (Esc)" onClick={onBack}>Today</button>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,111 @@
+import { describe, it, expect } from 'vitest'
+import { dateKey, dailyNumber, dailyPool, pickDaily, dailyEntry, abandonedEntry, dailyScore, compareDaily } from './daily.js'
+import { addDailyEntry, getDailyResult, getDailyResults } from './db.js'
+
+function mk(i, extra = {}) {
+  return { id: 100 + i, filename: `p${String(i).padStart(2, '0')}.sgf`, path: 'books/a', moveCount: i + 1, ...extra }
+}
+
+const library = Array.from({ length: 30 }, (_, i) => mk(i))
+
+describe('dateKey / dailyNumber', () => {
+  it('formats the local date', () => {
+    expect(dateKey(new Date(2026, 9, 5, 23, 59))).toBe('2026-10-05')
+  })
+
+  it('numbers days from the epoch', () => {
+    expect(dailyNumber('2026-01-01')).toBe(1)
+    expect(dailyNumber('2026-02-16')).toBe(47)
+  })
+})
+
+describe('dailyPool', () => {
+  it('keeps problems under the folder, easiest first', () => {
+    let sgfs = [
+      mk(5), mk(1, { path: 'books/a/sub' }), mk(3, { path: 'other' }), mk(2, { moveCount: 0 }),
+    ]
+    expect(dailyPool(sgfs, 'books/a').map(s => s.filename)).toEqual(['p01.sgf', 'p05.sgf'])
+    expect(dailyPool(sgfs, '').length).toBe(3)
+  })
+})
+
+describe('pickDaily', () => {
+  let pool = dailyPool(library)
+
+  it('one problem per difficulty third', () => {
+    let picks = pickDaily(pool, '2026-10-19')
+    expect(picks.map(p => p.tier)).toEqual(['easy', 'medium', 'hard'])
+    expect(picks[0].sgf.moveCount).toBeLessThanOrEqual(10)
+    expect(picks[1].sgf.moveCount).toBeGreaterThan(10)
+    expect(picks[1].sgf.moveCount).toBeLessThanOrEqual(20)
+    expect(picks[2].sgf.moveCount).toBeGreaterThan(20)
+  })
+
+  it('same date → same picks, independent of ids and input order', () => {
+    let shuffled = dailyPool([...library].reverse().map(s => ({ ...s, id: s.id + 1000 })))
+    let a = pickDaily(pool, '2026-10-19').map(p => p.sgf.filename)
+    let b = pickDaily(shuffled, '2026-10-19').map(p => p.sgf.filename)
+    expect(b).toEqual(a)
+  })
+
+  it('different dates vary the picks', () => {
+    let days = ['2026-10-19', '2026-10-20', '2026-10-21', '2026-10-22']
+    let picks = new Set(days.map(d => pickDaily(pool, d).map(p => p.sgf.filename).join()))
+    expect(picks.size).toBeGreaterThan(1)
+  })
+
+  it('too few problems → null', () => {
+    expect(pickDaily(pool.slice(0, 2), '2026-10-19')).toBeNull()
+  })
+})
+
+describe('daily scoring', () => {
+  let entry = (correct, total, totalMs) => ({ correct, total, totalMs })
+
+  it('aggregates played tiers', () => {
+    let score = dailyScore({ problems: { easy: entry(2, 2, 5000), hard: entry(1, 3, 20000) } })
+    expect(score).toEqual({ played: 2, complete: false, correct: 3, total: 5, accuracy: 0.6, totalMs: 25000 })
+    expect(dailyScore(null).played).toBe(0)
+  })
+
+  it('accuracy first, time breaks ties', () => {
+    let fastSloppy = { accuracy: 0.5, totalMs: 1000 }
+    let slowClean = { accuracy: 1, totalMs: 90000 }
+    let fastClean = { accuracy: 1, totalMs: 30000 }
+    expect([fastSloppy, slowClean, fastClean].sort(compareDaily)).toEqual([fastClean, slowClean, fastSloppy])
+  })
+
+  it('dailyEntry keeps identity by path/filename, not id', () => {
+    let e = dailyEntry(mk(3), { correct: 1, total: 2, accuracy: 0.5, totalMs: 900, mistakes: 1, date: 7, parScore: 40 })
+    expect(e).toEqual({ path: 'books/a', filename: 'p03.sgf', correct: 1, total: 2, accuracy: 0.5, totalMs: 900, mistakes: 1, date: 7 })
+  })
+
+  it('dailyEntry keeps the share-card squares and stars from popupData', () => {
+    let e = dailyEntry(mk(3), { correct: 1, total: 2, accuracy: 0.5, totalMs: 900, mistakes: 1, date: 7 }, { pointsByGroup: [20, 0], stars: 2 })
+    expect(e.pointsByGroup).toEqual([20, 0])
+    expect(e.stars).toBe(2)
+  })
+})
+
+describe('daily results in kv', () => {
+  it('each tier is recorded once', () => {
+    expect(addDailyEntry('2026-03-01', 'easy', { correct: 1, total: 1 })).toBe(true)
+    expect(addDailyEntry('2026-03-01', 'easy', { correct: 0, total: 1 })).toBe(false)
+    expect(getDailyResult('2026-03-01').problems.easy.correct).toBe(1)
+  })
+
+  it('an attempt counts from the start: only its own result replaces it', () => {
+    let sgf = mk(3)
+    expect(addDailyEntry('2026-02-28', 'easy', abandonedEntry(sgf, 5))).toBe(true)
+    expect(dailyScore(getDailyResult('2026-02-28'))).toMatchObject({ played: 1, correct: 0, total: 1 })
+    expect(addDailyEntry('2026-02-28', 'easy', { correct: 2, total: 2 })).toBe(true)
+    expect(addDailyEntry('2026-02-28', 'easy', { correct: 0, total: 2 })).toBe(false)
+    expect(getDailyResult('2026-02-28').problems.easy.correct).toBe(2)
+  })
+
+  it('lists days newest first', () => {
+    addDailyEntry('2026-03-03', 'hard', { correct: 1, total: 1 })
+    addDailyEntry('2026-03-02', 'medium', { correct: 1, total: 1 })
+    expect(getDailyResults().map(d => d.key)).toEqual(['2026-03-03', '2026-03-02', '2026-03-01', '2026-02-28'])
+  })
+})
@@ -1,3 +1,5 @@
+import { DAILY_KV_PREFIX } from './daily.js'
+
 const DB_NAME = 'tsumesight'
 const DB_VERSION = 2
 const STORE_NAME = 'sgfs'
@@ -82,6 +84,25 @@ export async function deleteSgfsByPrefix(prefix) {
   })
 }
 
+// Assign `fields` to every sgf in the folder `prefix` and its subfolders.
+export async function updateSgfsByPrefix(prefix, fields) {
+  let db = await openDb()
+  let all = await promisify(tx(db, 'readonly').getAll())
+  let store = tx(db, 'readwrite')
+  let count = 0
+  for (let s of all) {
+    let p = s.path || ''
+    if (p === prefix || p.startsWith(prefix + '/')) {
+      store.put(Object.assign(s, fields))
+      count++
+    }
+  }
+  return new Promise((resolve, reject) => {
+    store.transaction.oncomplete = () => resolve(count)
+    store.transaction.onerror = () => reject(store.transaction.error)
+  })
+}
+
 export async function renameSgfsByPrefix(oldPrefix, newPrefix) {
   let db = await openDb()
   let all = await promisify(tx(db, 'readonly').getAll())
@@ -138,6 +159,18 @@ export function getScores(sgfId) {
   try { return JSON.parse(raw) } catch { return [] }
 }
 
+// Every stored score history: [{ sgfId, scores }]. sgfId is a number,
+// or the `<id>.<n>` string of a variation.
+export function getAllScores() {
+  return Object.keys(kvCache)
+    .filter(k => k.startsWith('scores:'))
+    .map(k => {
+      let key = k.slice('scores:'.length)
+      let sgfId = key.includes('.') ? key : Number(key)
+      return { sgfId, scores: getScores(sgfId) }
+    })
+}
+
 export function addScore(sgfId, entry) {
   let scores = getScores(sgfId)
   scores.push(entry)
@@ -152,12 +185,67 @@ export function getBestScore(sgfId) {
   )
 }
 
+// Rush mode run history per variant, oldest first. See rush.js.
+export function getRushHistory(variant) {
+  let raw = kv(`rush:${variant}`)
+  if (!raw) return []
+  try { return JSON.parse(raw) } catch { return [] }
+}
+
+export function addRushRun(variant, entry) {
+  let history = getRushHistory(variant)
+  history.push(entry)
+  kvSet(`rush:${variant}`, JSON.stringify(history))
+}
+
+// Time Trial run history, oldest first. See time-trial.js.
+export function getTimeTrialHistory() {
+  let raw = kv('timeTrial')
+  if (!raw) return []
+  try { return JSON.parse(raw) } catch { return [] }
+}
+
+export function addTimeTrialRun(entry) {
+  let history = getTimeTrialHistory()
+  history.push(entry)
+  kvSet('timeTrial', JSON.stringify(history))
+}
+
+// Daily challenge result for a day (`daily:<YYYY-MM-DD>`), or null.
+// Shape: { problems: { easy|medium|hard: entry } } — see daily.js.
+export function getDailyResult(key) {
+  let raw = kv(`daily:${key}`)
+  if (!raw) return null
+  try { return JSON.parse(raw) } catch { return null }
+}
+
+// Record one tier's result. Each tier is played once: an existing entry
+// is never overwritten, except the abandoned one written when the attempt
+// started (see daily.js abandonedEntry). Returns whether it was written.
+export function addDailyEntry(key, tier, entry) {
+  let result = getDailyResult(key) || { problems: {} }
+  if (result.problems[tier] && !result.problems[tier].abandoned) return false
+  result.problems[tier] = entry
+  kvSet(`daily:${key}`, JSON.stringify(result))
+  return true
+}
+
+// Every stored daily result, newest day first: [{ key, result }].
+export function getDailyResults() {
+  return Object.keys(kvCache)
+    .filter(k => k.startsWith('daily:'))
+    .map(k => ({ key: k.slice('daily:'.length), result: getDailyResult(k.slice('daily:'.length)) }))
+    .filter(d => d.result)
+    .sort((a, b) => b.key.localeCompare(a.key))
+}
+
 // Write an enriched replay record (v:3). Payload shape:
 //   { events, config, viewport, goldens }
 // Mirrors the fixture schema so the converter can promote this directly
-// into a committed test fixture. See src/fixture-schema.js.
-export function addReplay(sgfId, date, payload) {
-  kvSet(`replay:${sgfId}:${date}`, JSON.stringify({ v: 3, ...payload }))
+// into a committed test fixture. See src/fixture-schema.js. `prefix`
+// keeps a mode's records apart from the problem's own (DAILY_KV_PREFIX).
+export function addReplay(sgfId, date, payload, prefix = '') {
+  kvSet(`${prefix}replay:${sgfId}:${date}`, JSON.stringify({ v: 3, ...payload }))
 }
 
 // Read a replay record, normalized to the v:3 shape regardless of what
@@ -176,6 +264,30 @@ export function getReplay(sgfId, date) {
   } catch { return null }
 }
 
+// Every readable replay record (any sgf), normalized to v:3.
+export function getAllReplays() {
+  return Object.keys(kvCache)
+    .filter(k => k.startsWith('replay:'))
+    .map(k => {
+      let [, sgfId, date] = k.split(':')
+      return getReplay(sgfId, date)
+    })
+    .filter(Boolean)
+}
+
+// Unlocked achievements: { [id]: unlockedAt }. See achievements.js.
+export function getUnlockedAchievements() {
+  let raw = kv('achievements')
+  if (!raw) return {}
+  try { return JSON.parse(raw) || {} } catch { return {} }
+}
+
+export function unlockAchievements(ids, date) {
+  let unlocked = getUnlockedAchievements()
+  for (let id of ids) unlocked[id] ??= date
+  kvSet('achievements', JSON.stringify(unlocked))
+}
+
 export function getLatestScoreDate(sgfId) {
   let scores = getScores(sgfId)
   if (scores.length === 0) return 0
@@ -191,6 +303,21 @@ export function getLatestReplay(sgfId) {
   return getReplay(sgfId, date)
 }
 
+// Live session logs for this sgf (`session:<id>:<startTime>`, under
+// `kvPrefix` like addReplay), newest first. Unparseable logs come back
+// with events = null.
+export function getSessionLogs(sgfId, kvPrefix = '') {
+  let prefix = `${kvPrefix}session:${sgfId}:`
+  return Object.keys(kvCache)
+    .filter(key => key.startsWith(prefix))
+    .map(key => {
+      let events = null
+      try { events = JSON.parse(kvCache[key]) } catch {}
+      return { key, startTime: Number(key.slice(prefix.length)), events }
+    })
+    .sort((a, b) => b.startTime - a.startTime)
+}
+
 export async function exportDb() {
   let db = await openDb()
   let sgfs = await promisify(tx(db, 'readonly').getAll())
@@ -214,6 +341,123 @@ export async function downloadExport(data) {
   URL.revokeObjectURL(url)
 }
 
+// Read a downloadExport() zip back into the exportDb() shape.
+export async function readExport(file) {
+  let { default: JSZip } = await import('jszip')
+  let zip = await JSZip.loadAsync(file)
+  let entry = zip.file('tsumesight.json')
+  if (!entry) throw new Error('Not a TsumeSight backup (tsumesight.json missing)')
+  let data = JSON.parse(await entry.async('string'))
+  if (!Array.isArray(data.sgfs) || !data.kv || typeof data.kv !== 'object')
+    throw new Error('Not a TsumeSight backup (unexpected contents)')
+  return data
+}
+
+// kv key families whose second segment is an sgf id: `scores:<id>`,
+// `replay:<id>:<date>`, `session:<id>:<startTime>`. A variation's keys
+// use `<id>.<n>` there (see navigation.js exerciseKey); a daily run's
+// keys carry DAILY_KV_PREFIX in front of the family.
+const SGF_KEYED = ['scores', 'replay', 'session']
+
+// Rewrite an sgf-keyed kv key through idMap (backup id → local id).
+// Returns the key unchanged when it isn't sgf-keyed, null when it points
+// at an id the backup doesn't contain (orphan — dropped on import).
+export function remapKvKey(key, idMap) {
+  let parts = key.split(':')
+  let family = parts[0].startsWith(DAILY_KV_PREFIX) ? parts[0].slice(DAILY_KV_PREFIX.length) : parts[0]
+  if (parts.length < 2 || !SGF_KEYED.includes(family)) return key
+  let [backupId, variation] = parts[1].split('.')
+  let id = idMap.get(backupId)
+  if (id == null) return null
+  parts[1] = variation ? `${id}.${variation}` : String(id)
+  return parts.join(':')
+}
+
+// Merge two `achievements` values: union, earliest unlock date wins.
+function mergeAchievements(a, b) {
+  let parse = raw => { try { return JSON.parse(raw) || {} } catch { return {} } }
+  let merged = parse(a)
+  for (let [id, date] of Object.entries(parse(b))) {
+    if (merged[id] == null || date < merged[id]) merged[id] = date
+  }
+  return JSON.stringify(merged)
+}
+
+// Merge two `scores:<id>` values: union of entries, deduped by date.
+function mergeScores(a, b) {
+  let parse = raw => { try { return JSON.parse(raw) || [] } catch { return [] } }
+  let byDate = new Map()
+  for (let s of [...parse(a), ...parse(b)]) if (!byDate.has(s.date)) byDate.set(s.date, s)
+  return JSON.stringify([...byDate.values()].sort((x, y) => (x.date || 0) - (y.date || 0)))
+}
+
+// Restore an exportDb() snapshot.
+//   replace — wipe both stores first, then load the backup.
+//   merge   — keep local data. Sgfs with identical content collapse into
+//             the existing record (solved ORs together); score lists and
+//             unlocked achievements are unioned; any other key only fills
+//             in when absent locally.
+// Sgf ids are never trusted: every record gets a fresh autoIncrement id
+// and sgf-keyed kv entries are rewritten to follow. `activeSgf` is
+// skipped — it points at a backup id and the user lands in the library.
+export async function importDb(data, { mode = 'merge' } = {}) {
+  let db = await openDb()
+  if (mode === 'replace') {
+    await promisify(tx(db, 'readwrite').clear())
+    await promisify(tx(db, 'readwrite', KV_STORE).clear())
+    kvCache = {}
+  }
+
+  let existing = await promisify(tx(db, 'readonly').getAll())
+  // content → { record, id } for local records, { req } for records added below
+  let byContent = new Map(existing.map(s => [s.content, { record: s, id: s.id }]))
+  let store = tx(db, 'readwrite')
+  let targets = []
+  let added = 0, merged = 0
+  for (let { id, ...fields } of data.sgfs) {
+    let target = byContent.get(fields.content)
+    if (target) {
+      merged++
+      if (fields.solved && target.record && !target.record.solved) {
+        target.record.solved = true
+        store.put(target.record)
+      }
+    } else {
+      added++
+      target = { req: store.add(fields) }
+      byContent.set(fields.content, target)
+    }
+    targets.push([String(id), target])
+  }
+  await new Promise((resolve, reject) => {
+    store.transaction.oncomplete = () => resolve()
+    store.transaction.onerror = () => reject(store.transaction.error)
+  })
+  let idMap = new Map(targets.map(([oldId, t]) => [oldId, t.req ? t.req.result : t.id]))
+
+  let kvStore = tx(db, 'readwrite', KV_STORE)
+  let kvWritten = 0
+  for (let [key, value] of Object.entries(data.kv)) {
+    if (key === 'activeSgf') continue
+    let target = remapKvKey(key, idMap)
+    if (!target) continue
+    let local = kvCache[target]
+    if (local !== undefined) {
+      if (target.startsWith('scores:')) value = mergeScores(local, value)
+      else if (target === 'achievements') value = mergeAchievements(local, value)
+      else continue
+    }
+    kvCache[target] = value
+    kvStore.put(value, target)
+    kvWritten++
+  }
+  await new Promise((resolve, reject) => {
+    kvStore.transaction.oncomplete = () => resolve()
+    kvStore.transaction.onerror = () => reject(kvStore.transaction.error)
+  })
+  return { added, merged, kvWritten }
+}
+
 export async function clearAll() {
   let db = await openDb()
   await promisify(tx(db, 'readwrite').clear())
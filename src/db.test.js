@@ -1,5 +1,6 @@
 import { describe, it, expect } from 'vitest'
-import { addReplay, getReplay, kvSet } from './db.js'
+import JSZip from 'jszip'
+import { addReplay, getReplay, kv, kvSet, addSgf, getAllSgfs, getScores, clearAll, exportDb, importDb, readExport, remapKvKey, getSessionLogs, getUnlockedAchievements, unlockAchievements } from './db.js'
 
 describe('addReplay / getReplay', () => {
   it('round-trips v:3 enriched payload', () => {
@@ -53,3 +54,150 @@ describe('addReplay / getReplay', () => {
     expect(getReplay(444, 5000)).toBeNull()
   })
 })
+
+describe('remapKvKey', () => {
+  let idMap = new Map([['3', 7]])
+
+  it('rewrites sgf-keyed families', () => {
+    expect(remapKvKey('scores:3', idMap)).toBe('scores:7')
+    expect(remapKvKey('replay:3:1700', idMap)).toBe('replay:7:1700')
+    expect(remapKvKey('session:3:1700', idMap)).toBe('session:7:1700')
+  })
+
+  it('rewrites a daily run\'s keys under their prefix', () => {
+    expect(remapKvKey('daily.session:3:1700', idMap)).toBe('daily.session:7:1700')
+    expect(remapKvKey('daily.replay:3:1700', idMap)).toBe('daily.replay:7:1700')
+    expect(remapKvKey('daily:2026-01-01', idMap)).toBe('daily:2026-01-01')
+  })
+
+  it('keeps a variation suffix on the remapped id', () => {
+    expect(remapKvKey('scores:3.10', idMap)).toBe('scores:7.10')
+    expect(remapKvKey('replay:3.2:1700', idMap)).toBe('replay:7.2:1700')
+  })
+
+  it('drops keys for ids not in the backup', () => {
+    expect(remapKvKey('scores:4', idMap)).toBeNull()
+  })
+
+  it('leaves settings keys alone', () => {
+    expect(remapKvKey('quizMaxQ', idMap)).toBe('quizMaxQ')
+    expect(remapKvKey('lastPath', idMap)).toBe('lastPath')
+  })
+})
+
+describe('importDb', () => {
+  let sgfA = '(;SZ[9];B[aa])'
+  let sgfB = '(;SZ[9];B[bb])'
+  let backup = {
+    version: 2,
+    sgfs: [
+      { id: 1, filename: 'a.sgf', path: 'p', content: sgfA, solved: true },
+      { id: 2, filename: 'b.sgf', path: 'p', content: sgfB, solved: false },
+    ],
+    kv: {
+      'scores:1': JSON.stringify([{ date: 100, accuracy: 1 }]),
+      'replay:1:100': 'r1',
+      'scores:9': JSON.stringify([{ date: 5 }]),
+      activeSgf: JSON.stringify({ id: 1 }),
+      quizMaxQ: '3',
+    },
+  }
+  let byFilename = async () => Object.fromEntries((await getAllSgfs()).map(s => [s.filename, s]))
+
+  it('remaps a daily run\'s keys and keeps the daily results', async () => {
+    await clearAll()
+    let daily = JSON.stringify({ problems: {} })
+    await importDb({ version: 2, sgfs: backup.sgfs, kv: {
+      'daily.session:1:100': '[]',
+      'daily.replay:2:100': 'r2',
+      'daily.replay:9:100': 'orphan',
+      'daily:2026-01-01': daily,
+    } }, { mode: 'replace' })
+    let sgfs = await byFilename()
+    expect(kv(`daily.session:${sgfs['a.sgf'].id}:100`)).toBe('[]')
+    expect(kv(`daily.replay:${sgfs['b.sgf'].id}:100`)).toBe('r2')
+    expect(kv('daily.replay:9:100')).toBeUndefined()
+    expect(kv('daily:2026-01-01')).toBe(daily)
+  })
+
+  it('replace wipes local data and remaps ids', async () => {
+    await clearAll()
+    await addSgf({ filename: 'old.sgf', path: '', content: '(;SZ[9])' })
+    kvSet('quizMaxQ', '1')
+    let result = await importDb(backup, { mode: 'replace' })
+    expect(result).toEqual({ added: 2, merged: 0, kvWritten: 3 })
+    let sgfs = await byFilename()
+    expect(Object.keys(sgfs).sort()).toEqual(['a.sgf', 'b.sgf'])
+    let a = sgfs['a.sgf']
+    expect(a.id).not.toBe(1)
+    expect(getScores(a.id)).toEqual([{ date: 100, accuracy: 1 }])
+    expect(getReplay(a.id, 100)).toBeNull() // 'r1' is not a valid replay blob
+    expect(kv(`replay:${a.id}:100`)).toBe('r1')
+    expect(kv('scores:9')).toBeUndefined()
+    expect(kv('activeSgf')).toBeUndefined()
+    expect(kv('quizMaxQ')).toBe('3')
+  })
+
+  it('merge dedupes by content and unions score lists', async () => {
+    await clearAll()
+    let localId = await addSgf({ filename: 'mine.sgf', path: 'x', content: sgfA, solved: false })
+    kvSet(`scores:${localId}`, JSON.stringify([{ date: 50, accuracy: 0.5 }, { date: 100, accuracy: 1 }]))
+    kvSet('quizMaxQ', '1')
+    let result = await importDb(backup, { mode: 'merge' })
+    expect(result.added).toBe(1)
+    expect(result.merged).toBe(1)
+    let sgfs = await byFilename()
+    expect(Object.keys(sgfs).sort()).toEqual(['b.sgf', 'mine.sgf'])
+    expect(sgfs['mine.sgf'].id).toBe(localId)
+    expect(sgfs['mine.sgf'].solved).toBe(true)
+    expect(getScores(localId).map(s => s.date)).toEqual([50, 100])
+    expect(kv('quizMaxQ')).toBe('1')
+  })
+
+  it('merge unions unlocked achievements, earliest date wins', async () => {
+    await clearAll()
+    unlockAchievements(['perfect-1', 'streak-3'], 50)
+    await importDb({ version: 2, sgfs: [], kv: { achievements: JSON.stringify({ 'perfect-1': 20, 'solved-10': 30 }) } })
+    expect(getUnlockedAchievements()).toEqual({ 'perfect-1': 20, 'streak-3': 50, 'solved-10': 30 })
+  })
+
+  it('round-trips through exportDb and the zip format', async () => {
+    await clearAll()
+    let id = await addSgf({ filename: 'a.sgf', path: '', content: sgfA })
+    kvSet(`scores:${id}`, JSON.stringify([{ date: 1, accuracy: 1 }]))
+    let zip = new JSZip()
+    zip.file('tsumesight.json', JSON.stringify(await exportDb()))
+    let data = await readExport(await zip.generateAsync({ type: 'uint8array' }))
+    await importDb(data, { mode: 'replace' })
+    let [restored] = await getAllSgfs()
+    expect(restored.content).toBe(sgfA)
+    expect(getScores(restored.id)).toEqual([{ date: 1, accuracy: 1 }])
+  })
+
+  it('readExport rejects zips without tsumesight.json', async () => {
+    let zip = new JSZip()
+    zip.file('other.json', '{}')
+    await expect(readExport(await zip.generateAsync({ type: 'uint8array' }))).rejects.toThrow(/backup/)
+  })
+})
+
+describe('getSessionLogs', () => {
+  it('lists one sgf\'s live logs newest first', () => {
+    kvSet('session:55:100', JSON.stringify([{ kind: 'advance', t: 0 }]))
+    kvSet('session:55:300', 'not-json')
+    kvSet('session:555:200', '[]')
+    let logs = getSessionLogs(55)
+    expect(logs.map(l => l.startTime)).toEqual([300, 100])
+    expect(logs[0].events).toBeNull()
+    expect(logs[1].events).toEqual([{ kind: 'advance', t: 0 }])
+  })
+
+  it('keeps prefixed logs and replays apart from the problem\'s own', () => {
+    kvSet('daily.session:56:100', '[]')
+    addReplay(56, 2000, { events: [] }, 'daily.')
+    expect(getSessionLogs(56)).toEqual([])
+    expect(getSessionLogs(56, 'daily.').map(l => l.startTime)).toEqual([100])
+    expect(getReplay(56, 2000)).toBeNull()
+    expect(kv('daily.replay:56:2000')).toBeTruthy()
+  })
+})
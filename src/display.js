@@ -5,11 +5,10 @@
 // Rotation and group-display ordering are separate pure helpers so
 // callers can test each layer in isolation.
 
-import config from './config.js'
-import { MISSED } from './session.js'
+import { MISSED, currentGuess } from './session.js'
 
-function makeEmptyMap(size, fill = null) {
-  return Array.from({ length: size }, () => Array(size).fill(fill))
+function makeEmptyMap(width, height, fill = null) {
+  return Array.from({ length: height }, () => Array(width).fill(fill))
 }
 
 function transpose(map) {
@@ -18,34 +17,51 @@ function transpose(map) {
   return Array.from({ length: cols }, (_, x) => Array.from({ length: rows }, (_, y) => map[y][x]))
 }
 
-function libLabel(n) {
-  return n >= config.maxLibertyLabel ? config.maxLibertyLabel + '+' : String(n)
+function libLabel(n, cap) {
+  return n >= cap ? cap + '+' : String(n)
 }
 
 // Build the four display maps for one frame. `view` comes from derive().
-// `state` is the session state (for state.marks and state.hasExercise).
+// `state` is the session state (state.marks, state.hasExercise, and
+// state.placements in stone-recall mode).
 // `opts` = {isFinished, showSeqStones}.
 export function buildMaps(view, state, { isFinished, showSeqStones }) {
   let engine = view.engine
-  let size = engine.boardSize
+  let width = engine.boardWidth, height = engine.boardHeight
   let inExercise = view.phase === 'exercise'
 
   let signMap
   if (isFinished && state.hasExercise) {
     // Final review: show all stones or initial position (eye toggle).
-    signMap = (showSeqStones ? engine.trueBoard.signMap : engine.initialBoard.signMap).map(row => [...row])
+    // "All stones" is the position the questions were about — the final
+    // one unless they asked about an earlier move.
+    let shown = showSeqStones ? engine.questionBoard || engine.trueBoard : engine.initialBoard
+    signMap = shown.signMap.map(row => [...row])
   } else {
     signMap = engine.getDisplaySignMap()
   }
-  let markerMap = makeEmptyMap(size)
-  let ghostStoneMap = makeEmptyMap(size)
-  let paintMap = makeEmptyMap(size, 0)
+  let markerMap = makeEmptyMap(width, height)
+  let ghostStoneMap = makeEmptyMap(width, height)
+  let paintMap = makeEmptyMap(width, height, 0)
 
-  // Show phase: opaque stone with move number for the just-played move.
-  if (!isFinished && engine.currentMove && engine.showingMove) {
+  // Show phase: opaque stone with move number for the just-played move
+  // (a pass has none; the quiz hint says so).
+  if (!isFinished && engine.currentMove?.vertex && engine.showingMove) {
     let [x, y] = engine.currentMove.vertex
     signMap[y][x] = engine.currentMove.sign
-    markerMap[y][x] = { type: 'label', label: String(engine.moveIndex) }
+    markerMap[y][x] = { type: 'label', label: String(engine.moveNumber) }
+  }
+
+  // Guess mode: the guess for the move just shown — the move painted
+  // green on a hit, else a cross where the guess went (red on a miss).
+  let guess = !isFinished && engine.showingMove ? currentGuess(state) : null
+  if (guess) {
+    let [gx, gy] = guess.vertex
+    if (guess.result === 'hit') paintMap[gy][gx] = 1
+    else {
+      markerMap[gy][gx] = { type: 'cross' }
+      if (guess.result === 'miss') paintMap[gy][gx] = -1
+    }
   }
 
   // Pre-marked (unchanged) groups show their fixed liberty count. Shown
@@ -55,23 +71,85 @@ export function buildMaps(view, state, { isFinished, showSeqStones }) {
     for (let g of exercise.groups) {
       if (g.changed) continue
       let [x, y] = g.vertex
-      markerMap[y][x] = { type: 'label', label: libLabel(g.libCount) }
+      markerMap[y][x] = { type: 'label', label: libLabel(g.libCount, engine.libertyCap) }
     }
   }
 
   // All user/eval marks live in state.marks with shape {value, color}.
   // Render them directly — no separate feedback overlay. Eval colors appear
   // after Done; user's next tap at the same intersection clears that color.
+  // Capture marks render as crosses rather than counts, liberty points
+  // as dots, move-order answers as the move number.
+  let captures = state.questionMode === 'captures'
+  let libpoints = state.questionMode === 'libpoints'
+  let moves = state.questionMode === 'moves'
+
+  // Liberty points: the asked groups are highlighted with circles; their
+  // stones the base view doesn't show come up as faint ghosts.
+  if (libpoints && (inExercise || isFinished)) {
+    for (let g of engine.libertyPointsExercise?.groups || []) {
+      let sign = engine.questionBoard.get(g.vertex)
+      for (let k of g.chainKeys) {
+        let [gx, gy] = k.split(',').map(Number)
+        if (signMap[gy][gx] === 0) ghostStoneMap[gy][gx] = { sign, faint: true }
+        markerMap[gy][gx] = { type: 'circle' }
+      }
+    }
+  }
   if (inExercise || isFinished) {
     for (let [key, mark] of state.marks) {
       let [mx, my] = key.split(',').map(Number)
-      let label = mark.value === MISSED ? MISSED : libLabel(mark.value)
-      markerMap[my][mx] = { type: 'label', label }
+      if (mark.value === MISSED) markerMap[my][mx] = { type: 'label', label: MISSED }
+      else if (captures) markerMap[my][mx] = { type: 'cross' }
+      else if (libpoints) markerMap[my][mx] = { type: 'point' }
+      else if (moves) markerMap[my][mx] = { type: 'label', label: String(mark.value) }
+      else markerMap[my][mx] = { type: 'label', label: libLabel(mark.value, engine.libertyCap) }
       if (mark.color === 'green') paintMap[my][mx] = 1
       else if (mark.color === 'red') paintMap[my][mx] = -1
     }
   }
 
+  // Capture review: the captured stones come back as faint ghosts
+  // wherever the intersection is empty now.
+  if (captures && isFinished) {
+    for (let t of engine.captureExercise?.targets || []) {
+      let [tx, ty] = t.vertex
+      if (signMap[ty][tx] === 0) ghostStoneMap[ty][tx] = { sign: t.sign, faint: true }
+    }
+  }
+
+  // Move-order review: questions not answered right show their move
+  // number where it was played, unless an answer sits there already.
+  if (moves && isFinished) {
+    for (let q of engine.moveExercise?.questions || []) {
+      if (state.marks.has(q.key)) continue
+      let [qx, qy] = q.vertex
+      markerMap[qy][qx] = { type: 'label', label: String(q.moveNumber) }
+    }
+  }
+
+  // Stone recall: the user's edits over the base view, painted green/red
+  // once graded. A base stone marked captured shows as a faint ghost with
+  // a cross; a missed target is flagged '?'. In finished review the eye
+  // toggle switches between this reconstruction and the true position.
+  if (state.questionMode === 'stones' && (inExercise || (isFinished && !showSeqStones))) {
+    for (let [key, p] of state.placements) {
+      let [px, py] = key.split(',').map(Number)
+      if (p.sign == null) {
+        markerMap[py][px] = { type: 'label', label: MISSED }
+      } else {
+        signMap[py][px] = p.sign
+        let before = engine.baseSignMap[py][px]
+        if (p.sign === 0 && before !== 0) {
+          ghostStoneMap[py][px] = { sign: before, faint: true }
+          markerMap[py][px] = { type: 'cross' }
+        }
+      }
+      if (p.color === 'green') paintMap[py][px] = 1
+      else if (p.color === 'red') paintMap[py][px] = -1
+    }
+  }
+
   return { signMap, markerMap, ghostStoneMap, paintMap }
 }
 
@@ -31,6 +31,14 @@ describe('display.js — buildMaps', () => {
     expect(maps.paintMap[4][4]).toBe(0)  // no color yet
   })
 
+  it('labels stop at the liberty cap', () => {
+    let s = init('(;SZ[9];B[ee])', { libertyCap: 3 })
+    advanceThroughShowing(s)
+    step(s, { kind: 'setMark', vertex: [4, 4], value: 3 })
+    let maps = buildMaps(derive(s), s, { isFinished: false, showSeqStones: false })
+    expect(maps.markerMap[4][4]).toEqual({ type: 'label', label: '3+' })
+  })
+
   it('after wrong submit: user mark gains red paint', () => {
     let s = init('(;SZ[9];B[ee])', { maxSubmits: 2 })
     advanceThroughShowing(s)
@@ -53,6 +61,117 @@ describe('display.js — buildMaps', () => {
   })
 })
 
+describe('display.js — buildMaps (stone recall)', () => {
+  let sgf = '(;SZ[9]AB[aa]AW[ba];W[ab])'
+
+  it('renders placements, captured base stones as crossed ghosts, misses as ?', () => {
+    let s = init(sgf, { questionMode: 'stones', maxSubmits: 2 })
+    advanceThroughShowing(s)
+    step(s, { kind: 'placeStone', vertex: [0, 1], sign: 1 })
+    let maps = buildMaps(derive(s), s, { isFinished: false, showSeqStones: false })
+    expect(maps.signMap[1][0]).toBe(1)
+    expect(maps.paintMap[1][0]).toBe(0)
+    step(s, { kind: 'submit' })
+    maps = buildMaps(derive(s), s, { isFinished: false, showSeqStones: false })
+    expect(maps.paintMap[1][0]).toBe(-1)  // wrong colour
+    expect(maps.signMap[0][0]).toBe(1)     // missed capture: base stone still shown
+    expect(maps.markerMap[0][0]).toEqual({ type: 'label', label: '?' })
+    step(s, { kind: 'placeStone', vertex: [0, 0], sign: 0 })
+    maps = buildMaps(derive(s), s, { isFinished: false, showSeqStones: false })
+    expect(maps.signMap[0][0]).toBe(0)
+    expect(maps.ghostStoneMap[0][0]).toEqual({ sign: 1, faint: true })
+    expect(maps.markerMap[0][0]).toEqual({ type: 'cross' })
+  })
+
+  it('finished review: eye toggle shows the true position without the overlay', () => {
+    let s = init(sgf, { questionMode: 'stones', maxSubmits: 1 })
+    advanceThroughShowing(s)
+    step(s, { kind: 'placeStone', vertex: [0, 1], sign: 1 })
+    step(s, { kind: 'submit' })
+    expect(phase(s)).toBe('finished')
+    let mine = buildMaps(derive(s), s, { isFinished: true, showSeqStones: false })
+    expect(mine.signMap[1][0]).toBe(1)
+    let truth = buildMaps(derive(s), s, { isFinished: true, showSeqStones: true })
+    expect(truth.signMap[1][0]).toBe(-1)
+    expect(truth.signMap[0][0]).toBe(0)
+    expect(truth.paintMap[1][0]).toBe(0)
+  })
+})
+
+describe('display.js — buildMaps (captures)', () => {
+  it('capture marks are crosses; review shows the captured stone as a ghost', () => {
+    let s = init('(;SZ[9];B[aa];W[ba];B[ee];W[ab])', { questionMode: 'captures', maxSubmits: 1 })
+    advanceThroughShowing(s)
+    step(s, { kind: 'setMark', vertex: [0, 0], value: 1 })
+    let maps = buildMaps(derive(s), s, { isFinished: false, showSeqStones: false })
+    expect(maps.markerMap[0][0]).toEqual({ type: 'cross' })
+    step(s, { kind: 'submit' })
+    maps = buildMaps(derive(s), s, { isFinished: true, showSeqStones: true })
+    expect(maps.paintMap[0][0]).toBe(1)
+    expect(maps.ghostStoneMap[0][0]).toEqual({ sign: 1, faint: true })
+  })
+})
+
+describe('display.js — buildMaps (move order)', () => {
+  it('answers show their move number; review reveals the unanswered moves', () => {
+    let s = init('(;SZ[9];B[aa];W[ba];B[ee];W[ab])', { questionMode: 'moves', maxQuestions: 4, maxSubmits: 1 })
+    advanceThroughShowing(s)
+    step(s, { kind: 'setMark', vertex: [4, 4], value: 1 })
+    let maps = buildMaps(derive(s), s, { isFinished: false, showSeqStones: false })
+    expect(maps.markerMap[4][4]).toEqual({ type: 'label', label: '1' })
+    expect(maps.markerMap[0][0]).toBe(null)
+    step(s, { kind: 'submit' })
+    maps = buildMaps(derive(s), s, { isFinished: true, showSeqStones: true })
+    expect(maps.paintMap[4][4]).toBe(-1)
+    expect(maps.markerMap[0][0]).toEqual({ type: 'label', label: '1' })
+    expect(maps.markerMap[1][0]).toEqual({ type: 'label', label: '4' })
+  })
+})
+
+describe('display.js — buildMaps (liberty points)', () => {
+  it('circles the asked groups, ghosts hidden stones, dots the taps', () => {
+    let s = init('(;SZ[9];B[ee];W[ef])', { questionMode: 'libpoints' })
+    advanceThroughShowing(s)
+    step(s, { kind: 'setMark', vertex: [4, 3], value: 1 })
+    let maps = buildMaps(derive(s), s, { isFinished: false, showSeqStones: false })
+    expect(maps.markerMap[4][4]).toEqual({ type: 'circle' })
+    expect(maps.ghostStoneMap[5][4]).toEqual({ sign: -1, faint: true })
+    expect(maps.markerMap[3][4]).toEqual({ type: 'point' })
+  })
+})
+
+describe('display.js — buildMaps (guess mode)', () => {
+  it('paints a hit green; a miss is a red cross', () => {
+    let s = init('(;SZ[9];B[ee];W[ef])', { guessMoves: true })
+    step(s, { kind: 'guess', vertex: [4, 4] })
+    step(s, { kind: 'advance' })
+    let maps = buildMaps(derive(s), s, { isFinished: false, showSeqStones: false })
+    expect(maps.paintMap[4][4]).toBe(1)
+    step(s, { kind: 'guess', vertex: [0, 0] })
+    step(s, { kind: 'advance' })
+    maps = buildMaps(derive(s), s, { isFinished: false, showSeqStones: false })
+    expect(maps.markerMap[0][0]).toEqual({ type: 'cross' })
+    expect(maps.paintMap[0][0]).toBe(-1)
+  })
+})
+
+describe('display.js — rectangular boards', () => {
+  it('maps are height rows of width columns, and rotate to width rows', () => {
+    let s = init('(;SZ[9:5]AB[ae]AW[be];W[ad])')
+    step(s, { kind: 'advance' })
+    let maps = buildMaps(derive(s), s, { isFinished: false, showSeqStones: false })
+    for (let m of Object.values(maps)) {
+      expect(m.length).toBe(5)
+      expect(m[0].length).toBe(9)
+    }
+    expect(maps.markerMap[3][0]).toEqual({ type: 'label', label: '1' })
+    let r = rotateMaps(maps)
+    expect(r.signMap.length).toBe(9)
+    expect(r.signMap[0].length).toBe(5)
+    expect(r.markerMap[0][3]).toEqual({ type: 'label', label: '1' })
+  })
+})
+
 describe('display.js — rotateMaps', () => {
   it('transposes all four maps', () => {
     let m = {
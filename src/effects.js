@@ -11,9 +11,12 @@
 // the parent's onSolved callback. Mirrors the old inline checkFinished
 // body but with ctx providing the bits that aren't in session state
 // (loadTimeMs, viewport, rotated, sgfId, config).
+//
+// unlockEffects(achievements) — descriptors for achievements that the
+// just-finalized session unlocked (see achievements.js).
 
-import { phase, finalized, changedGroups, mistakesByGroup, totalMistakes, pointsByGroup, penaltyByGroup } from './session.js'
-import { computeStars, computeParScore, computeAccPoints, computeSpeedPoints } from './scoring.js'
+import { phase, finalized, exerciseItems, mistakesByGroup, totalMistakes, unresolvedMistakes, extraPlacements, pointsByGroup, penaltyByGroup, scoredGroups, sessionMistakesByGroup, segmentCount, guessStats } from './session.js'
+import { computeStars, computeParScore, computeAccPoints, computeRecallPoints, computeSpeedPoints } from './scoring.js'
 import { orderGroupsByDisplay } from './display.js'
 import config from './config.js'
 
@@ -24,20 +27,26 @@ export function sideEffectsFor(next, event) {
     // (i.e., a stone was played). Activate-exercise advance → no sound.
     if (phase(next) === 'showing') out.push({ kind: 'sound/stoneClick' })
   } else if (event.kind === 'setMark') {
-    out.push({ kind: 'sound/mark', value: event.value })
+    out.push({ kind: 'sound/mark', value: event.value, max: next.libertyCap })
+  } else if (event.kind === 'placeStone' || event.kind === 'setSemeai') {
+    out.push({ kind: 'sound/stoneClick' })
   } else if (event.kind === 'submit') {
     let lastResult = next.submitResults.at(-1) || []
     let allCorrect = lastResult.every(r => r.status === 'correct')
     if (finalized(next)) {
       out.push({ kind: allCorrect ? 'sound/correct' : 'sound/wrong' })
-      let total = changedGroups(next).length
-      let wrongCount = mistakesByGroup(next).filter(m => m > 0).length
-      out.push({
-        kind: 'onProgress',
-        correct: allCorrect ? total : total - wrongCount,
-        done: total,
-        total,
-      })
+      // A checkpoint segment's finalize only hands over to the next
+      // segment; progress is reported once the problem itself is done.
+      if (!next.checkpointActive) {
+        let total = exerciseItems(next).length
+        let wrongCount = mistakesByGroup(next).filter(m => m > 0).length
+        out.push({
+          kind: 'onProgress',
+          correct: allCorrect ? total : total - wrongCount,
+          done: total,
+          total,
+        })
+      }
     } else {
       out.push({ kind: 'sound/wrong' })
       out.push({ kind: 'wrongFlash' })
@@ -51,6 +60,12 @@ export function sideEffectsFor(next, event) {
   return out
 }
 
+// One 'unlocked' descriptor per newly unlocked achievement. Evaluated
+// after finalize, once the new score is in the history the rules read.
+export function unlockEffects(achievements) {
+  return achievements.map(a => ({ kind: 'unlocked', id: a.id, title: a.title, description: a.description }))
+}
+
 // Build the payload needed at finalize. Pure except for reading
 // performance.now() via ctx.loadTimeMs.
 //
@@ -59,24 +74,32 @@ export function sideEffectsFor(next, event) {
 // Returns { date, stars, correct, total, scoreEntry, replayPayload,
 //           popupData } for the runner to fan out.
 export function computeFinalizeData(state, ctx) {
-  let groups = changedGroups(state)
+  // Every segment's groups count: checkpoint exercises taken mid-sequence
+  // are scored alongside the end-of-sequence one.
+  // In the stone-recall, capture and liberty-point modes the scored items
+  // are single intersections, on their own schedule; 'extra' answers
+  // off-target cost points and count as mistakes.
+  let perStone = ['stones', 'captures', 'libpoints'].includes(state.questionMode)
+  let groups = scoredGroups(state)
   let groupCount = groups.length
   let mistakes = totalMistakes(state)
-  let mbg = mistakesByGroup(state)
+  let mbg = sessionMistakesByGroup(state)
   let elapsedMs = Math.round(performance.now() - ctx.loadTimeMs)
   // Max time window (ms). Speed bonus starts full here at t=0 and
   // drops linearly to zero at t = maxTimeMs. Config stays in natural
   // "seconds per move" units; we compute the window as 2× the per-move
   // budget so that parScore's "half the window" convention lines up.
-  let maxTimeMs = 2 * (config.cupBaseSec + state.totalMoves * config.cupPerMoveSec + groupCount * config.cupPerGroupSec) * 1000
-  let schedule = config.pointsByMistakes
+  let maxTimeMs = 2 * (config.cupBaseSec + state.engine.moveCount * config.cupPerMoveSec + groupCount * config.cupPerGroupSec) * 1000
+  let schedule = perStone ? config.stonePointsByMistakes : config.pointsByMistakes
   let parScore = computeParScore(groupCount, maxTimeMs, schedule)
-  let accPoints = computeAccPoints(mbg, schedule)
+  let accPoints = perStone
+    ? computeRecallPoints(mbg, extraPlacements(state), schedule)
+    : computeAccPoints(mbg, schedule)
   let speedPoints = computeSpeedPoints(elapsedMs, maxTimeMs)
   let stars = computeStars(accPoints, speedPoints, mistakes, parScore)
 
   let displayIdx = orderGroupsByDisplay(groups, ctx.rotated)
-  let orderedPointsByGroup = displayIdx.map(i => pointsByGroup(mbg)[i])
+  let orderedPointsByGroup = displayIdx.map(i => pointsByGroup(mbg, schedule)[i])
 
   let correct = Math.max(0, groupCount - mistakes)
   let total = groupCount
@@ -85,6 +108,7 @@ export function computeFinalizeData(state, ctx) {
   let scoreEntry = {
     correct, total, accuracy,
     totalMs: elapsedMs, mistakes, errors: mistakes, date,
+    unresolved: unresolvedMistakes(state),
     // thresholdMs kept for starsFromScore's legacy-format fallback;
     // it's the "finish-within-this-to-get-5★-on-time" threshold,
     // which is half the max time window.
@@ -111,6 +135,10 @@ export function computeFinalizeData(state, ctx) {
         finalMarks,
         submitResults: state.submitResults,
         changedGroupsVertices,
+        segmentCount: segmentCount(state),
+        ...(state.questionMode === 'stones' && {
+          finalPlacements: [...state.placements.entries()].map(([key, p]) => ({ key, sign: p.sign, color: p.color })),
+        }),
       },
     },
     popupData: {
@@ -120,6 +148,8 @@ export function computeFinalizeData(state, ctx) {
       schedule,
       maxGroups: schedule[0] * groupCount,
       maxSpeed: Math.round(maxTimeMs / 1000),
+      // Guess mode only: next-move guesses, not part of the score.
+      guesses: state.guessMoves ? guessStats(state) : null,
     },
   }
 }
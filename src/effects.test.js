@@ -1,6 +1,7 @@
 import { describe, it, expect } from 'vitest'
 import { init, step, phase } from './session.js'
-import { sideEffectsFor, computeFinalizeData } from './effects.js'
+import { sideEffectsFor, computeFinalizeData, unlockEffects } from './effects.js'
+import config from './config.js'
 
 function advanceThroughShowing(s) {
   while (phase(s) === 'showing') step(s, { kind: 'advance' })
@@ -32,7 +33,7 @@ describe('sideEffectsFor — per-event effects', () => {
     let evt = { kind: 'setMark', vertex: [4, 4], value: 3, t: 0 }
     step(s, evt)
     let effects = sideEffectsFor(s, evt)
-    expect(effects).toEqual([{ kind: 'sound/mark', value: 3 }])
+    expect(effects).toEqual([{ kind: 'sound/mark', value: 3, max: 5 }])
   })
 
   it('wrong submit (non-finalizing) → sound/wrong + wrongFlash + cooldown', () => {
@@ -86,6 +87,26 @@ describe('sideEffectsFor — per-event effects', () => {
     expect(effects).toContainEqual({ kind: 'sound/wrong' })
     expect(effects).toContainEqual({ kind: 'onProgress', correct: 0, done: 1, total: 1 })
   })
+
+  it('finalizing a checkpoint segment → no onProgress until the last exercise', () => {
+    let s = init('(;SZ[9];B[cc];W[gg];B[cd];W[gf];B[dc];W[fg];B[ee];W[ef];B[de];W[ff])')
+    for (let i = 0; i < 6; i++) step(s, { kind: 'advance' })
+    step(s, { kind: 'checkpoint' })
+    for (let g of s.engine.libertyExercise.groups.filter(g => g.changed)) {
+      step(s, { kind: 'setMark', vertex: g.vertex, value: Math.min(g.libCount, 5) })
+    }
+    let evt = { kind: 'submit', t: 0 }
+    step(s, evt)
+    expect(sideEffectsFor(s, evt)).toEqual([{ kind: 'sound/correct' }])
+    step(s, { kind: 'rebase' })
+    advanceThroughShowing(s)
+    for (let g of s.engine.libertyExercise.groups.filter(g => g.changed)) {
+      step(s, { kind: 'setMark', vertex: g.vertex, value: Math.min(g.libCount, 5) })
+    }
+    step(s, evt)
+    expect(phase(s)).toBe('finished')
+    expect(sideEffectsFor(s, evt).map(e => e.kind)).toEqual(['sound/correct', 'onProgress'])
+  })
 })
 
 describe('computeFinalizeData', () => {
@@ -114,4 +135,89 @@ describe('computeFinalizeData', () => {
     expect(data.replayPayload.goldens.scoreEntry).toBe(data.scoreEntry)
     expect(data.popupData.accPoints).toBe(data.scoreEntry.accPoints)
   })
+
+  it('scores every checkpoint segment alongside the final exercise', () => {
+    let s = init('(;SZ[9];B[cc];W[gg];B[cd];W[gf];B[dc];W[fg];B[ee];W[ef];B[de];W[ff])')
+    for (let i = 0; i < 6; i++) step(s, { kind: 'advance' })
+    step(s, { kind: 'checkpoint' })
+    step(s, { kind: 'submit' })  // all missed
+    for (let g of s.engine.libertyExercise.groups.filter(g => g.changed)) {
+      step(s, { kind: 'setMark', vertex: g.vertex, value: Math.min(g.libCount, 5) })
+    }
+    step(s, { kind: 'submit' })
+    let firstCount = s.submitResults[0].length
+    step(s, { kind: 'rebase' })
+    advanceThroughShowing(s)
+    for (let g of s.engine.libertyExercise.groups.filter(g => g.changed)) {
+      step(s, { kind: 'setMark', vertex: g.vertex, value: Math.min(g.libCount, 5) })
+    }
+    step(s, { kind: 'submit' })
+    let lastCount = s.submitResults[0].length
+    let ctx = { sgfId: 1, config: {}, loadTimeMs: performance.now(), rotated: false, viewport: { w: 1, h: 1 } }
+    let data = computeFinalizeData(s, ctx)
+
+    expect(data.total).toBe(firstCount + lastCount)
+    expect(data.scoreEntry.mistakes).toBe(firstCount)
+    expect(data.scoreEntry.mistakesByGroup).toEqual([...Array(firstCount).fill(1), ...Array(lastCount).fill(0)])
+    // The checkpoint's misses were corrected on its second submit.
+    expect(data.scoreEntry.unresolved).toBe(0)
+    expect(data.replayPayload.goldens.segmentCount).toBe(2)
+    expect(data.popupData.pointsByGroup.length).toBe(firstCount + lastCount)
+  })
+})
+
+describe('unlockEffects', () => {
+  it('one unlocked descriptor per achievement', () => {
+    let effects = unlockEffects([{ id: 'perfect-1', category: 'Perfect scores', title: 'Flawless', description: 'd', stat: 'perfectScores', target: 1 }])
+    expect(effects).toEqual([{ kind: 'unlocked', id: 'perfect-1', title: 'Flawless', description: 'd' }])
+  })
+})
+
+describe('computeFinalizeData — guess mode', () => {
+  it('reports guess accuracy in the popup only', () => {
+    let s = init('(;SZ[9];B[ee])', { guessMoves: true })
+    step(s, { kind: 'guess', vertex: [4, 3] })
+    advanceThroughShowing(s)
+    step(s, { kind: 'setMark', vertex: [4, 4], value: 4 })
+    step(s, { kind: 'submit' })
+    let ctx = { sgfId: 1, config: { guessMoves: true }, loadTimeMs: performance.now(), rotated: false, viewport: { w: 1, h: 1 } }
+    let data = computeFinalizeData(s, ctx)
+    expect(data.popupData.guesses).toEqual({ hit: 0, near: 1, miss: 0, total: 1 })
+    expect(data.scoreEntry.mistakes).toBe(0)
+  })
+})
+
+describe('computeFinalizeData — stone recall', () => {
+  it('scores recalled stones on the recall schedule and records placements', () => {
+    let s = init('(;SZ[9]AB[aa]AW[ba];W[ab])', { questionMode: 'stones', maxSubmits: 2 })
+    advanceThroughShowing(s)
+    step(s, { kind: 'placeStone', vertex: [0, 1], sign: -1 })
+    step(s, { kind: 'placeStone', vertex: [5, 5], sign: 1 })
+    step(s, { kind: 'submit' })
+    step(s, { kind: 'placeStone', vertex: [0, 0], sign: 0 })
+    step(s, { kind: 'placeStone', vertex: [5, 5], sign: 0 })
+    step(s, { kind: 'submit' })
+    let ctx = { sgfId: 1, config: { questionMode: 'stones' }, loadTimeMs: performance.now(), rotated: false, viewport: { w: 1, h: 1 } }
+    let data = computeFinalizeData(s, ctx)
+
+    let [first, second] = config.stonePointsByMistakes
+    expect(data.total).toBe(2)
+    expect(data.scoreEntry.mistakesByGroup).toEqual([1, 0])
+    expect(data.scoreEntry.mistakes).toBe(2)  // one missed target + one extra stone
+    expect(data.scoreEntry.accPoints).toBe(second + first - first)
+    expect(data.popupData.schedule).toBe(config.stonePointsByMistakes)
+    expect(data.popupData.pointsByGroup).toEqual([second, first])
+    expect(data.replayPayload.goldens.finalPlacements).toEqual([
+      { key: '0,1', sign: -1, color: 'green' },
+      { key: '0,0', sign: 0, color: 'green' },
+    ])
+  })
+
+  it('placeStone plays a stone click', () => {
+    let s = init('(;SZ[9]AB[aa]AW[ba];W[ab])', { questionMode: 'stones' })
+    advanceThroughShowing(s)
+    let evt = { kind: 'placeStone', vertex: [0, 1], sign: -1 }
+    step(s, evt)
+    expect(sideEffectsFor(s, evt)).toEqual([{ kind: 'sound/stoneClick' }])
+  })
 })
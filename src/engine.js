@@ -1,8 +1,13 @@
 import Board from '@sabaki/go-board'
 import { parseSgf, computeRange } from './sgf-utils.js'
 import config from './config.js'
+import { findRace, readRace, checkRace } from './semeai.js'
+import { resolveQuizMove } from './quiz-at.js'
+import { findIllegalMoves, applySetup } from './legality.js'
 
-function mulberry32(seed) {
+// Deterministic PRNG + string hash. The engine seeds from the SGF text;
+// daily.js seeds from the date.
+export function mulberry32(seed) {
   return function() {
     seed |= 0; seed = seed + 0x6D2B79F5 | 0
     let t = Math.imul(seed ^ seed >>> 15, 1 | seed)
@@ -11,7 +16,7 @@ function mulberry32(seed) {
   }
 }
 
-function hashString(str) {
+export function hashString(str) {
   let hash = 0
   for (let i = 0; i < str.length; i++)
     hash = ((hash << 5) - hash + str.charCodeAt(i)) | 0
@@ -22,23 +27,94 @@ function vertexKey([x, y]) {
   return `${x},${y}`
 }
 
+// Steps of `moves` up to and including move number n.
+function stepsThroughMove(moves, n) {
+  let seen = 0
+  return moves.findIndex(m => !m.setup && ++seen === n) + 1
+}
+
+// new QuizEngine(sgf, options) — every option is optional; session.js
+// builds them from its state (engineOptions).
+//
+// `questionMode` picks the end-of-sequence exercise:
+//   'liberties' — liberty count per changed group (libertyExercise), plus
+//                 the capture-race question when there is one and
+//                 `semeaiQuestion` is on (semeai)
+//   'stones'    — rebuild the final position on the base view (recallExercise)
+//   'captures'  — tap every intersection where a stone was captured
+//                 (captureExercise)
+//   'moves'     — "tap move N" for a few random moves (moveExercise)
+//   'libpoints' — tap every liberty of the highlighted changed groups
+//                 (libertyPointsExercise)
+//
+// With `selectQuestions` on, at most `maxQuestions` changed groups are
+// asked (see _selectQuestions); without it every changed group is, and
+// maxQuestions only switches the exercise off at 0 — the behaviour older
+// replays were recorded under.
+//
+// `quizAt` ({from, to}, see quiz-at.js) moves the 'liberties' and
+// 'libpoints' questions to the position after move quizMove: groups,
+// counts and the capture race are read off boardHistory there, while the
+// exercise still starts after the last move.
+//
+// `libertyCap` is the highest liberty count asked exactly: answers and
+// labels stop at "cap+", and groups that never dropped below it aren't
+// asked.
+//
+// Moves the rules reject (illegalMoves, see legality.js) are played as
+// recorded; with `strictMoves` the sequence ends before the first one.
+//
+// `keepPasses` keeps passes in the sequence as moves that leave the board
+// as it is, so move numbers match the SGF; without it they are dropped.
+// `setupSteps` likewise keeps the main line's setup steps (AB/AW/AE below
+// the root): advancing onto one changes the visible position at once, so
+// its stones are given, not memorised. A setup step is a step of the
+// sequence (moveIndex / totalMoves, which the session's cursor follows)
+// but not a move: moveNumber / moveCount count only moves and passes, and
+// every number shown or asked — the move label, move-order answers,
+// capture and illegal-move numbers, quizAt — is a move number.
+//
+// `variation` picks which root-to-leaf line of the SGF is played: 0 is
+// the main line, the rest include the wrong variations (WV).
 export class QuizEngine {
-  constructor(sgfString, _precompute = true, maxQuestions = 3) {
+  constructor(sgfString, {
+    maxQuestions = 3, questionMode = 'liberties', semeaiQuestion = false, selectQuestions = false,
+    quizAt = null, libertyCap = config.maxLibertyLabel, strictMoves = false, keepPasses = false,
+    setupSteps = false, variation = 0,
+  } = {}) {
     this.maxQuestions = maxQuestions
+    this.libertyCap = libertyCap
+    this.questionMode = questionMode
+    this.semeaiQuestion = semeaiQuestion
+    this.selectQuestions = selectQuestions
     this.random = mulberry32(hashString(sgfString))
-    let parsed = parseSgf(sgfString)
-    this.boardSize = parsed.boardSize
+    let parsed = parseSgf(sgfString, variation)
+    this.variation = variation
+    this.variationCount = parsed.variationCount
+    this.wrongVariation = parsed.wrongVariation
+    this.boardWidth = parsed.boardWidth
+    this.boardHeight = parsed.boardHeight
     this.gameName = parsed.gameName
-    this.moves = parsed.moves.filter(m => m.vertex != null) // skip passes
+    this.illegalMoves = findIllegalMoves(parsed) // [{ moveNumber, vertex, reason }]
+    this.strictMoves = strictMoves
+    this.keepPasses = keepPasses
+    this.setupSteps = setupSteps
+    let moves = strictMoves && this.illegalMoves.length > 0
+      ? parsed.moves.slice(0, stepsThroughMove(parsed.moves, this.illegalMoves[0].moveNumber) - 1)
+      : parsed.moves
+    this.moves = moves.filter(m => m.setup ? setupSteps : m.vertex != null || keepPasses)
     this.totalMoves = this.moves.length
+    this.moveCount = this.moves.filter(m => !m.setup).length
+    this.quizMove = questionMode === 'liberties' || questionMode === 'libpoints'
+      ? resolveQuizMove(quizAt, this.moveCount, this.random) : null
 
     // Set up true board with initial position
-    this.trueBoard = Board.fromDimensions(this.boardSize)
+    this.trueBoard = Board.fromDimensions(this.boardWidth, this.boardHeight)
     for (let [x, y] of parsed.setupBlack) this.trueBoard.set([x, y], 1)
     for (let [x, y] of parsed.setupWhite) this.trueBoard.set([x, y], -1)
 
     // Snapshot initial position for end-of-sequence comparison
-    this.initialBoard = Board.fromDimensions(this.boardSize)
+    this.initialBoard = Board.fromDimensions(this.boardWidth, this.boardHeight)
     for (let [x, y] of parsed.setupBlack) this.initialBoard.set([x, y], 1)
     for (let [x, y] of parsed.setupWhite) this.initialBoard.set([x, y], -1)
 
@@ -48,52 +124,73 @@ export class QuizEngine {
     // Tracking
     this.invisibleStones = new Map() // vertexKey → {sign, vertex, moveNumber}
     this.moveIndex = 0
+    this.moveNumber = 0
     this.currentMove = null
     this.libertyExercise = null // { groups: [{ vertex, chainKeys, libCount, changed }...] }
     this.libertyExerciseActive = false
+    this.recallExercise = null // { targets: [{ vertex, key, sign, before }...] }
+    this.recallExerciseActive = false
+    this.captureExercise = null // { targets: [{ vertex, key, sign, moveNumber }...] }
+    this.captureExerciseActive = false
+    this.moveExercise = null // { questions: [{ vertex, key, sign, moveNumber }...] }
+    this.moveExerciseActive = false
+    this.libertyPointsExercise = null // { groups: [changed groups], targets: [{ vertex, key }...] }
+    this.libertyPointsExerciseActive = false
+    this.semeai = null // { black, white, shared, toMove, winner, margin } — see semeai.js
+    this.questionBoard = null // the position the liberty questions are about
     this.boardRange = computeRange(sgfString) // [minX, minY, maxX, maxY] or null
     this.showingMove = false
     this.finished = false
     this.boardHistory = [] // trueBoard after each move (for intermediate lib tracking)
+    this.setupIndices = [] // boardHistory indices of setup steps
+    this.captures = [] // every stone removed by a move: { vertex, sign, moveNumber }
   }
 
   advance() {
     if (this.moveIndex >= this.totalMoves) {
       this.finished = true
       this.currentMove = null
-      // Keep libertyExercise for review display
+      // Keep libertyExercise / recallExercise for review display
       this.libertyExerciseActive = false
+      this.recallExerciseActive = false
+      this.captureExerciseActive = false
+      this.moveExerciseActive = false
+      this.libertyPointsExerciseActive = false
       return null
     }
 
     let move = this.moves[this.moveIndex]
     this.moveIndex++
+    if (!move.setup) this.moveNumber++
     this.currentMove = move
 
-    // Play on true board (captures processed for correct liberty answers)
-    try {
+    // Play on true board (captures processed for correct liberty answers).
+    // No legality checks: illegal moves were found up front. A pass
+    // leaves the board as it is; a setup step changes the visible base too.
+    if (move.setup) {
+      this._applySetup(move.setup)
+      this.setupIndices.push(this.boardHistory.length)
+      this.boardHistory.push(this.trueBoard)
+    } else if (move.vertex == null) {
+      this.boardHistory.push(this.trueBoard)
+    } else {
+      let before = this.trueBoard
       this.trueBoard = this.trueBoard.makeMove(move.sign, move.vertex)
-    } catch {
-      // Skip illegal move — treat as end of playable sequence
-      this.moveIndex = this.totalMoves
-      this.finished = true
-      this.currentMove = null
-      this.libertyExerciseActive = false
-      return null
+      this.boardHistory.push(this.trueBoard)
+      this._recordCaptures(before, move)
+      // Track as invisible (not shown on base display)
+      let key = vertexKey(move.vertex)
+      this.invisibleStones.set(key, { sign: move.sign, vertex: move.vertex, moveNumber: this.moveNumber })
     }
 
-    this.boardHistory.push(this.trueBoard)
-
-    // Track as invisible (not shown on base display)
-    let key = vertexKey(move.vertex)
-    this.invisibleStones.set(key, { sign: move.sign, vertex: move.vertex, moveNumber: this.moveIndex })
-
-    this._advanceLiberty(move)
+    this._advanceLiberty()
 
     this.showingMove = true
     return {
       moveIndex: this.moveIndex,
       totalMoves: this.totalMoves,
+      moveNumber: this.moveNumber,
+      moveCount: this.moveCount,
       currentMove: this.currentMove,
     }
   }
@@ -103,6 +200,18 @@ export class QuizEngine {
     if (this.libertyExercise && this.libertyExercise.groups.some(g => g.changed)) {
       this.libertyExerciseActive = true
     }
+    if (this.recallExercise?.targets.length > 0) {
+      this.recallExerciseActive = true
+    }
+    if (this.captureExercise?.targets.length > 0) {
+      this.captureExerciseActive = true
+    }
+    if (this.moveExercise?.questions.length > 0) {
+      this.moveExerciseActive = true
+    }
+    if (this.libertyPointsExercise?.targets.length > 0) {
+      this.libertyPointsExerciseActive = true
+    }
   }
 
   // Check marks without submitting. Returns per changed group:
@@ -111,7 +220,7 @@ export class QuizEngine {
     assert(this.libertyExerciseActive, 'No liberty exercise active')
     let changedGroups = this.libertyExercise.groups.filter(g => g.changed)
     return changedGroups.map(g => {
-      let target = Math.min(g.libCount, config.maxLibertyLabel)
+      let target = Math.min(g.libCount, this.libertyCap)
       let userVertex = null, userVal = null
       // Check all marks in the group — any correct mark counts
       for (let k of g.chainKeys) {
@@ -126,11 +235,68 @@ export class QuizEngine {
     })
   }
 
+  // Grade a stone-recall attempt. placements: Map<key, sign> of the user's
+  // edits over the base view (0 = a base stone marked as captured).
+  // Returns one entry per target, in target order:
+  //   { status: 'correct'|'wrong'|'missed', userSign? }
+  // followed by one { status: 'extra', vertex, userSign } per edit on an
+  // intersection the sequence didn't change.
+  checkStoneRecall(placements) {
+    assert(this.recallExerciseActive, 'No stone recall exercise active')
+    let { targets } = this.recallExercise
+    let results = targets.map(t => {
+      if (!placements.has(t.key)) return { status: 'missed' }
+      let userSign = placements.get(t.key)
+      return { status: userSign === t.sign ? 'correct' : 'wrong', userSign }
+    })
+    let targetKeys = new Set(targets.map(t => t.key))
+    for (let [key, userSign] of placements) {
+      if (!targetKeys.has(key)) results.push({ status: 'extra', vertex: key, userSign })
+    }
+    return results
+  }
+
+  // Grade a capture exercise. taps: Set<key> of intersections the user
+  // marked. Returns one { status: 'correct'|'missed' } per target, in
+  // target order, then one { status: 'extra', vertex } per tap where
+  // nothing was captured.
+  checkCaptureExercise(taps) {
+    assert(this.captureExerciseActive, 'No capture exercise active')
+    return checkTaps(this.captureExercise.targets, taps)
+  }
+
+  // Grade a liberty-points exercise, like checkCaptureExercise: one
+  // result per liberty, then one 'extra' per tap on a non-liberty.
+  checkLibertyPoints(taps) {
+    assert(this.libertyPointsExerciseActive, 'No liberty points exercise active')
+    return checkTaps(this.libertyPointsExercise.targets, taps)
+  }
+
+  // Grade the capture-race answer ({winner, margin} or null) against
+  // the race's reading. Scored after the changed groups.
+  checkSemeai(answer) {
+    assert(this.libertyExerciseActive && this.semeai, 'No capture race asked')
+    return checkRace(this.semeai, answer)
+  }
+
+  // Grade a move-order exercise. marks: Map<key, number> where the value
+  // is the move number the user placed there. Returns per question, in
+  // question order: { status: 'correct'|'wrong'|'missed', userVertex?, userVal? }.
+  checkMoveExercise(marks) {
+    assert(this.moveExerciseActive, 'No move exercise active')
+    return this.moveExercise.questions.map(q => {
+      let userVertex = [...marks.keys()].find(k => marks.get(k) === q.moveNumber)
+      if (userVertex === undefined) return { status: 'missed' }
+      let status = userVertex === q.key ? 'correct' : 'wrong'
+      return { status, userVertex, userVal: q.moveNumber }
+    })
+  }
+
   getDisplaySignMap() {
     return this.baseSignMap.map(row => [...row])
   }
 
-  _advanceLiberty(move) {
+  _advanceLiberty() {
     // Only set up a liberty exercise on the final move.
     if (this.moveIndex < this.totalMoves) {
       this.libertyExercise = null
@@ -141,48 +307,246 @@ export class QuizEngine {
       this.libertyExercise = null
       return
     }
-    this._setupLibertyExercise()
+    if (this.questionMode === 'stones') {
+      this._setupStoneRecall()
+      return
+    }
+    if (this.questionMode === 'captures') {
+      this._setupCaptureExercise()
+      return
+    }
+    if (this.questionMode === 'moves') {
+      this._setupMoveExercise()
+      return
+    }
+    let k = this.quizMove == null ? this.totalMoves : stepsThroughMove(this.moves, this.quizMove)
+    let history = this.boardHistory.slice(0, k)
+    this.questionBoard = history[history.length - 1]
+    this._setupLibertyExercise(this.initialBoard, this.questionBoard, history)
+    if (this.questionMode === 'libpoints') {
+      this._setupLibertyPoints()
+      return
+    }
+    if (this.semeaiQuestion) this._setupSemeai(this.moves.slice(0, k).findLast(m => !m.setup))
+  }
+
+  // A setup step is part of the given position: it lands on the true
+  // board, the memorised reference and the visible base alike, and
+  // replaces any sequence stone it touches.
+  _applySetup(setup) {
+    this.trueBoard = applySetup(this.trueBoard, setup)
+    this.initialBoard = applySetup(this.initialBoard, setup)
+    let changes = [[setup.empty, 0], [setup.black, 1], [setup.white, -1]]
+    for (let [vertices, sign] of changes)
+      for (let [x, y] of vertices) {
+        this.baseSignMap[y][x] = sign
+        this.invisibleStones.delete(vertexKey([x, y]))
+      }
+  }
+
+  // Liberty points: the liberty exercise's changed groups are highlighted
+  // and every liberty of theirs (on questionBoard) is a target, once, in
+  // board-scan order. The counts aren't asked, so the liberty exercise
+  // itself is dropped — no pre-marked labels either.
+  _setupLibertyPoints() {
+    let groups = this.libertyExercise.groups.filter(g => g.changed)
+    this.libertyExercise = null
+    let keys = new Set()
+    for (let g of groups)
+      for (let v of this.questionBoard.getLiberties(g.vertex)) keys.add(vertexKey(v))
+    let targets = [...keys]
+      .map(key => ({ vertex: key.split(',').map(Number), key }))
+      .sort((a, b) => a.vertex[1] - b.vertex[1] || a.vertex[0] - b.vertex[0])
+    this.libertyPointsExercise = { groups, targets }
+  }
+
+  // The capture race on the question position, if it has one: read with
+  // the side after `lastMove` (the move that reached it) to play, Black
+  // if only setup steps did.
+  _setupSemeai(lastMove) {
+    let race = findRace(this.questionBoard, this.libertyExercise.groups, config.semeaiMaxLiberties)
+    if (!race) { this.semeai = null; return }
+    let toMove = lastMove ? -lastMove.sign : 1
+    this.semeai = { ...race, toMove, ...readRace(race, toMove) }
+  }
+
+  // Stones `move` removed from `before`: the opponent chains it captured
+  // (or its own chain, for a suicide the board allowed).
+  _recordCaptures(before, move) {
+    for (let y = 0; y < this.boardHeight; y++)
+      for (let x = 0; x < this.boardWidth; x++) {
+        let sign = before.get([x, y])
+        if (sign !== 0 && this.trueBoard.get([x, y]) === 0)
+          this.captures.push({ vertex: [x, y], sign, moveNumber: this.moveNumber })
+      }
+  }
+
+  // Capture targets: each intersection where a stone was captured during
+  // the segment, once, in board-scan order. The last stone captured
+  // there is kept for the review display.
+  _setupCaptureExercise() {
+    let byKey = new Map()
+    for (let c of this.captures) byKey.set(vertexKey(c.vertex), c)
+    let targets = [...byKey.entries()]
+      .map(([key, c]) => ({ vertex: c.vertex, key, sign: c.sign, moveNumber: c.moveNumber }))
+      .sort((a, b) => a.vertex[1] - b.vertex[1] || a.vertex[0] - b.vertex[0])
+    this.captureExercise = { targets }
+  }
+
+  // Move-order questions: up to maxQuestions of the segment's moves, picked
+  // with the seeded RNG (so a replay asks the same ones) and asked in move
+  // order. Only the last move played on an intersection is askable — an
+  // earlier stone there was captured and replaced.
+  _setupMoveExercise() {
+    let pool = [...this.invisibleStones.values()].sort((a, b) => a.moveNumber - b.moveNumber)
+    let n = Math.min(this.maxQuestions, pool.length)
+    for (let i = 0; i < n; i++) {
+      let j = i + Math.floor(this.random() * (pool.length - i))
+      ;[pool[i], pool[j]] = [pool[j], pool[i]]
+    }
+    let questions = pool.slice(0, n)
+      .sort((a, b) => a.moveNumber - b.moveNumber)
+      .map(s => ({ vertex: s.vertex, key: vertexKey(s.vertex), sign: s.sign, moveNumber: s.moveNumber }))
+    this.moveExercise = { questions }
+  }
+
+  // Stone recall targets: every intersection where the final position
+  // differs from the memorised one, in board-scan order — stones the
+  // sequence added that are still on the board, and stones it captured
+  // (sign 0). A stone captured and replayed in the same colour is no
+  // change and isn't asked.
+  _setupStoneRecall() {
+    let targets = []
+    for (let y = 0; y < this.boardHeight; y++)
+      for (let x = 0; x < this.boardWidth; x++) {
+        let v = [x, y]
+        let sign = this.trueBoard.get(v), before = this.initialBoard.get(v)
+        if (sign !== before) targets.push({ vertex: v, key: vertexKey(v), sign, before })
+      }
+    this.recallExercise = { targets }
+  }
+
+  // Board position at the start of the current segment is kept in
+  // initialBoard (rebase() moves it forward), so a checkpoint exercise
+  // grades exactly the moves played since the last rebase.
+  setupCheckpointExercise() {
+    this.showingMove = false
+    this._setupLibertyExercise(this.initialBoard)
+    if (this.libertyExercise?.groups.some(g => g.changed))
+      this.libertyExerciseActive = true
   }
 
-  // Enumerate all groups on final board.
+  // Snap the current position into the visible base: every played stone
+  // becomes an initial-position stone and the next segment starts fresh.
+  // moveIndex and moves are untouched — advancing continues through the
+  // global sequence.
+  rebase() {
+    this.initialBoard = this.trueBoard
+    this.baseSignMap = this.trueBoard.signMap.map(row => [...row])
+    this.invisibleStones.clear()
+    this.boardHistory = []
+    this.setupIndices = []
+    this.libertyExercise = null
+    this.libertyExerciseActive = false
+    this.recallExercise = null
+    this.recallExerciseActive = false
+    this.captureExercise = null
+    this.captureExerciseActive = false
+    this.moveExercise = null
+    this.moveExerciseActive = false
+    this.libertyPointsExercise = null
+    this.libertyPointsExerciseActive = false
+    this.semeai = null
+    this.questionBoard = null
+    this.captures = []
+    this.showingMove = false
+  }
+
+  // Read-only probe for the checkpoint button: would an exercise on the
+  // current position ask anything? Must not touch this.random — that
+  // would shift the representative vertices of the real exercise.
+  wouldHaveChangedGroups() {
+    return this._classifyGroups(this.initialBoard).some(g => g.changed)
+  }
+
+  // Enumerate all groups on targetBoard (the final board unless asking
+  // about an earlier move; history = the boards up to and including it).
   // Each group: { vertex (representative), chainKeys, libCount, changed }.
   // changed = liberty count changed at any point during the variation.
-  _setupLibertyExercise() {
-    // Map initial groups: vertexSetKey → libCount
+  _setupLibertyExercise(referenceBoard = this.initialBoard, targetBoard = this.trueBoard, history = this.boardHistory) {
+    let classified = this._classifyGroups(referenceBoard, targetBoard, history)
+    let groups = classified.map(({ pool, chainKeys, libCount, changed }) => {
+      let vertex = pool[Math.floor(this.random() * pool.length)]
+      return { vertex, chainKeys, libCount, changed }
+    })
+    if (this.selectQuestions) this._selectQuestions(groups, classified)
+    this.libertyExercise = { groups }
+  }
+
+  // Cap the asked groups at maxQuestions. The groups whose liberties
+  // swung the most are asked first, then the most recently changed; the
+  // rest are pre-marked like unchanged groups. Ties fall to a seeded
+  // shuffle, drawn after the representative vertices so those don't move.
+  _selectQuestions(groups, classified) {
+    let changed = groups.map((g, i) => i).filter(i => groups[i].changed)
+    if (changed.length <= this.maxQuestions) return
+    for (let i = changed.length - 1; i > 0; i--) {
+      let j = Math.floor(this.random() * (i + 1))
+      ;[changed[i], changed[j]] = [changed[j], changed[i]]
+    }
+    changed.sort((a, b) => classified[b].swing - classified[a].swing
+      || classified[b].lastChange - classified[a].lastChange)
+    for (let i of changed.slice(this.maxQuestions)) groups[i].changed = false
+  }
+
+  // Classify every group on targetBoard against referenceBoard (the
+  // position the user memorised), through the boards in `history` (the
+  // last one being targetBoard). Returns { pool, chainKeys, libCount,
+  // changed, swing, lastChange } per group in board-scan order; pool =
+  // candidate representative vertices, swing = the largest gap between
+  // the target liberty count and any earlier one, lastChange = the last
+  // move (from the reference position) that changed it. Pure read — no
+  // RNG, no mutation.
+  _classifyGroups(referenceBoard, targetBoard = this.trueBoard, history = this.boardHistory) {
+    // A setup step redefines the given position: only the boards from
+    // the last one on are part of the reading.
+    let floor = this.setupIndices.filter(i => i < history.length).pop()
+    if (floor != null) history = history.slice(floor)
+    // Map reference groups: vertexSetKey → libCount
     let initialGroups = new Map()
     let visited = new Set()
-    for (let y = 0; y < this.boardSize; y++)
-      for (let x = 0; x < this.boardSize; x++) {
+    for (let y = 0; y < this.boardHeight; y++)
+      for (let x = 0; x < this.boardWidth; x++) {
         let v = [x, y]
         let k = vertexKey(v)
-        if (visited.has(k) || this.initialBoard.get(v) === 0) continue
-        let chain = this.initialBoard.getChain(v)
+        if (visited.has(k) || referenceBoard.get(v) === 0) continue
+        let chain = referenceBoard.getChain(v)
         for (let cv of chain) visited.add(vertexKey(cv))
         let vSetKey = chain.map(vertexKey).sort().join(';')
-        let libCount = this.initialBoard.getLiberties(v).length
+        let libCount = referenceBoard.getLiberties(v).length
         initialGroups.set(vSetKey, libCount)
       }
 
     // Enumerate all groups on final board
     let groups = []
     visited = new Set()
-    for (let y = 0; y < this.boardSize; y++)
-      for (let x = 0; x < this.boardSize; x++) {
+    for (let y = 0; y < this.boardHeight; y++)
+      for (let x = 0; x < this.boardWidth; x++) {
         let v = [x, y]
         let k = vertexKey(v)
-        if (visited.has(k) || this.trueBoard.get(v) === 0) continue
-        let chain = this.trueBoard.getChain(v)
+        if (visited.has(k) || targetBoard.get(v) === 0) continue
+        let chain = targetBoard.getChain(v)
         let chainKeys = new Set()
         for (let cv of chain) { visited.add(vertexKey(cv)); chainKeys.add(vertexKey(cv)) }
-        let libCount = this.trueBoard.getLiberties(v).length
+        let libCount = targetBoard.getLiberties(v).length
         let vSetKey = chain.map(vertexKey).sort().join(';')
         let initialLibCount = initialGroups.get(vSetKey)
         // Changed if: new group, or liberty count differs from initial or any intermediate state
         let changed = initialLibCount === undefined || initialLibCount !== libCount
         if (!changed) {
           // Same chain and libs as initial — check intermediate boards
-          for (let i = 0; i < this.boardHistory.length - 1; i++) {
-            let board = this.boardHistory[i]
+          for (let i = 0; i < history.length - 1; i++) {
+            let board = history[i]
             let ref = chain[0]
             if (board.get(ref) === 0) { changed = true; break }
             let midChain = board.getChain(ref)
@@ -192,33 +556,50 @@ export class QuizEngine {
             }
           }
         }
-        // If the group (or its ancestor before merging) was 5+ throughout, pre-mark it
-        if (changed && libCount >= config.maxLibertyLabel) {
+        // If the group (or its ancestor before merging) was cap+ throughout, pre-mark it
+        if (changed && libCount >= this.libertyCap) {
           let ref = chain[0]
           let alwaysCapped = (initialLibCount === undefined
-            ? this.initialBoard.get(ref) !== 0 && this.initialBoard.getLiberties(ref).length >= config.maxLibertyLabel
-            : initialLibCount >= config.maxLibertyLabel)
+            ? referenceBoard.get(ref) !== 0 && referenceBoard.getLiberties(ref).length >= this.libertyCap
+            : initialLibCount >= this.libertyCap)
           if (alwaysCapped) {
-            alwaysCapped = this.boardHistory.slice(0, -1).every(board => {
+            alwaysCapped = history.slice(0, -1).every(board => {
               if (board.get(ref) === 0) return false
-              return board.getLiberties(ref).length >= config.maxLibertyLabel
+              return board.getLiberties(ref).length >= this.libertyCap
             })
           }
           if (alwaysCapped) changed = false
         }
-        let color = this.trueBoard.get(chain[0])
-        let initialStones = chain.filter(cv => this.initialBoard.get(cv) === color)
-        // 6+ libs at end and part of the group existed on initial board → pre-mark as 5+
-        if (changed && libCount > config.maxLibertyLabel && initialStones.length > 0)
+        let color = targetBoard.get(chain[0])
+        let initialStones = chain.filter(cv => referenceBoard.get(cv) === color)
+        // More than cap libs at end and part of the group existed on initial board → pre-mark as cap+
+        if (changed && libCount > this.libertyCap && initialStones.length > 0)
           changed = false
         // Prefer pre-existing stone for representative vertex (label / ? placement)
         let pool = initialStones.length > 0 ? initialStones : chain
-        let vertex = pool[Math.floor(this.random() * pool.length)]
-        groups.push({ vertex, chainKeys, libCount, changed })
+        let swing = 0, lastChange = 0, prev = null
+        let boards = [referenceBoard, ...history]
+        for (let i = 0; i < boards.length; i++) {
+          let libs = boards[i].get(chain[0]) === 0 ? null : boards[i].getLiberties(chain[0]).length
+          if (libs != null) swing = Math.max(swing, Math.abs(libs - libCount))
+          if (i > 0 && libs !== prev) lastChange = i
+          prev = libs
+        }
+        groups.push({ pool, chainKeys, libCount, changed, swing, lastChange })
       }
+    return groups
+  }
+}
 
-    this.libertyExercise = { groups }
+// Point exercises: one { status: 'correct'|'missed' } per target, in
+// target order, then one { status: 'extra', vertex } per other tap.
+function checkTaps(targets, taps) {
+  let results = targets.map(t => ({ status: taps.has(t.key) ? 'correct' : 'missed' }))
+  let targetKeys = new Set(targets.map(t => t.key))
+  for (let key of taps) {
+    if (!targetKeys.has(key)) results.push({ status: 'extra', vertex: key })
   }
+  return results
 }
 
 function assert(condition, msg) {
@@ -29,7 +29,18 @@ describe('QuizEngine', () => {
   describe('construction', () => {
     it('initializes with correct board size', () => {
       let engine = new QuizEngine(simpleSgf)
-      expect(engine.boardSize).toBe(9)
+      expect(engine.boardWidth).toBe(9)
+      expect(engine.boardHeight).toBe(9)
+    })
+
+    it('plays a rectangular board', () => {
+      // 9 wide, 5 high: W[ae] on the bottom row takes the corner stone's last liberty.
+      let engine = new QuizEngine('(;SZ[9:5]AB[ae]AW[be];W[ad])')
+      expect(engine.trueBoard.signMap.length).toBe(5)
+      expect(engine.trueBoard.signMap[0].length).toBe(9)
+      engine.advance()
+      expect(engine.trueBoard.get([0, 4])).toBe(0)
+      expect(engine.captures).toEqual([{ vertex: [0, 4], sign: 1, moveNumber: 1 }])
     })
 
     it('starts at move 0 with no current move', () => {
@@ -170,7 +181,7 @@ describe('QuizEngine', () => {
     })
 
     it('no exercise when maxQuestions=0', () => {
-      let engine = new QuizEngine(singleSgf, true, 0)
+      let engine = new QuizEngine(singleSgf, { maxQuestions: 0 })
       engine.advance()
       expect(engine.libertyExercise).toBe(null)
     })
@@ -363,6 +374,18 @@ describe('QuizEngine', () => {
       expect(group.changed).toBe(false)
     })
 
+    it('a higher liberty cap asks the 6-liberty group exactly', () => {
+      let engine = new QuizEngine('(;SZ[9]AB[ee];B[ef];W[aa])', { maxQuestions: 2, libertyCap: 8 })
+      engine.advance()
+      engine.advance(); engine.activateQuestions()
+      let group = engine.libertyExercise.groups.find(g => g.chainKeys.has('4,4'))
+      expect(group).toMatchObject({ libCount: 6, changed: true })
+      let i = engine.libertyExercise.groups.filter(g => g.changed).indexOf(group)
+      let check = value => engine.checkLibertyExercise(new Map([[[...group.chainKeys][0], value]]))[i].status
+      expect(check(5)).toBe('wrong')
+      expect(check(6)).toBe('correct')
+    })
+
     it('does not pre-mark 6+ group when no part existed on initial board', () => {
       // No setup stones. New group placed with 6+ libs.
       // AB[ee] gives 4 libs. Need a bigger new group.
@@ -499,7 +522,7 @@ describe('QuizEngine', () => {
 
   describe('maxQuestions parameter', () => {
     it('maxQuestions=0 produces no exercise', () => {
-      let engine = new QuizEngine('(;SZ[9];B[ba];W[aa])', true, 0)
+      let engine = new QuizEngine('(;SZ[9];B[ba];W[aa])', { maxQuestions: 0 })
       engine.advance()
       expect(engine.libertyExercise).toBe(null)
       engine.advance()
@@ -507,7 +530,7 @@ describe('QuizEngine', () => {
     })
 
     it('maxQuestions=0 finishes without an exercise', () => {
-      let engine = new QuizEngine('(;SZ[9];B[ba];W[aa];B[ee])', true, 0)
+      let engine = new QuizEngine('(;SZ[9];B[ba];W[aa];B[ee])', { maxQuestions: 0 })
       while (!engine.finished) engine.advance()
       expect(engine.finished).toBe(true)
       expect(engine.libertyExercise).toBe(null)
@@ -536,8 +559,432 @@ describe('QuizEngine', () => {
 
   })
 
+  describe('checkpoint exercises', () => {
+    // 6 moves build two groups; 4 more extend black and add a white stone.
+    let longSgf = '(;SZ[9];B[cc];W[gg];B[cd];W[gf];B[dc];W[fg];B[ee];W[ef];B[de];W[ff])'
+
+    it('_setupLibertyExercise grades against the supplied reference board', () => {
+      let engine = new QuizEngine('(;SZ[9]AB[aa];B[ba];W[ee])')
+      engine.advance(); engine.advance()
+      // Against the initial board, AB[aa] lost a liberty to B[ba] → changed.
+      engine._setupLibertyExercise()
+      let aa = g => [...g.chainKeys].includes('0,0')
+      expect(engine.libertyExercise.groups.find(aa).changed).toBe(true)
+      // Against the current board itself, nothing changed.
+      engine.boardHistory = []
+      engine._setupLibertyExercise(engine.trueBoard)
+      expect(engine.libertyExercise.groups.some(g => g.changed)).toBe(false)
+    })
+
+    it('setupCheckpointExercise grades the mid-sequence board', () => {
+      let engine = new QuizEngine(longSgf)
+      for (let i = 0; i < 6; i++) engine.advance()
+      engine.setupCheckpointExercise()
+      expect(engine.libertyExerciseActive).toBe(true)
+      expect(engine.showingMove).toBe(false)
+      // Only the 6 stones played so far are on the board.
+      let stones = engine.libertyExercise.groups.reduce((n, g) => n + g.chainKeys.size, 0)
+      expect(stones).toBe(6)
+    })
+
+    it('rebase snaps played stones into the base position', () => {
+      let engine = new QuizEngine(longSgf)
+      for (let i = 0; i < 6; i++) engine.advance()
+      engine.setupCheckpointExercise()
+      engine.rebase()
+      expect(engine.initialBoard).toBe(engine.trueBoard)
+      expect(engine.invisibleStones.size).toBe(0)
+      expect(engine.boardHistory).toEqual([])
+      expect(engine.baseSignMap).toEqual(engine.trueBoard.signMap)
+      expect(engine.libertyExercise).toBe(null)
+      expect(engine.libertyExerciseActive).toBe(false)
+      expect(engine.moveIndex).toBe(6)
+
+      // Next move builds on the rebased position.
+      engine.advance()
+      expect(engine.currentMove.vertex).toEqual([4, 4])
+      expect(engine.trueBoard.get([2, 2])).toBe(1)
+      expect(engine.invisibleStones.size).toBe(1)
+      expect(engine.baseSignMap[4][4]).toBe(0)
+    })
+
+    it('end-of-sequence exercise after rebase only asks about the new segment', () => {
+      let engine = new QuizEngine(longSgf)
+      for (let i = 0; i < 6; i++) engine.advance()
+      engine.rebase()
+      while (engine.moveIndex < engine.totalMoves) engine.advance()
+      engine.activateQuestions()
+      let changed = engine.libertyExercise.groups.filter(g => g.changed)
+      // Black's cc/cd/dc group is untouched by ee/ef/de/ff → not asked.
+      expect(changed.some(g => g.chainKeys.has('2,2'))).toBe(false)
+      expect(changed.length).toBeGreaterThan(0)
+    })
+
+    it('wouldHaveChangedGroups: false right after rebase, true after a move', () => {
+      let engine = new QuizEngine(longSgf)
+      for (let i = 0; i < 6; i++) engine.advance()
+      expect(engine.wouldHaveChangedGroups()).toBe(true)
+      engine.rebase()
+      expect(engine.wouldHaveChangedGroups()).toBe(false)
+      engine.advance()
+      expect(engine.wouldHaveChangedGroups()).toBe(true)
+    })
+
+    it('wouldHaveChangedGroups: false when every group is pre-markable', () => {
+      // B[he] extends a 3-stone wall that stays at 5+ libs throughout.
+      let engine = new QuizEngine('(;SZ[9]AB[ee][fe][ge];B[he];W[aa])')
+      engine.advance()
+      expect(engine.wouldHaveChangedGroups()).toBe(false)
+    })
+
+    it('wouldHaveChangedGroups does not consume the PRNG', () => {
+      let run = probe => {
+        let engine = new QuizEngine(longSgf)
+        for (let i = 0; i < 6; i++) engine.advance()
+        if (probe) for (let i = 0; i < 3; i++) engine.wouldHaveChangedGroups()
+        engine.setupCheckpointExercise()
+        return engine.libertyExercise.groups.map(g => g.vertex)
+      }
+      expect(run(true)).toEqual(run(false))
+    })
+  })
+
+})
+
+describe('QuizEngine — stone recall', () => {
+  function playAll(engine) {
+    while (engine.advance()) {}
+    engine.activateQuestions()
+  }
+
+  it('targets every changed intersection, captures included', () => {
+    let engine = new QuizEngine(captureSgf, { maxQuestions: 2, questionMode: 'stones' })
+    playAll(engine)
+    expect(engine.libertyExercise).toBeNull()
+    expect(engine.recallExerciseActive).toBe(true)
+    // B[aa] was captured by W[ab] on an empty base → not a change
+    expect(engine.recallExercise.targets.map(t => [t.key, t.sign])).toEqual([['1,0', -1], ['0,1', -1], ['4,4', 1]])
+  })
+
+  it('a captured base stone is a target with sign 0', () => {
+    let engine = new QuizEngine('(;SZ[9]AB[aa]AW[ba];W[ab])', { maxQuestions: 2, questionMode: 'stones' })
+    playAll(engine)
+    expect(engine.recallExercise.targets).toEqual([
+      { vertex: [0, 0], key: '0,0', sign: 0, before: 1 },
+      { vertex: [0, 1], key: '0,1', sign: -1, before: 0 },
+    ])
+  })
+
+  it('checkStoneRecall grades per target and reports extras', () => {
+    let engine = new QuizEngine(captureSgf, { maxQuestions: 2, questionMode: 'stones' })
+    playAll(engine)
+    let placements = new Map([['1,0', -1], ['4,4', -1], ['8,8', 1]])
+    expect(engine.checkStoneRecall(placements)).toEqual([
+      { status: 'correct', userSign: -1 },
+      { status: 'missed' },
+      { status: 'wrong', userSign: -1 },
+      { status: 'extra', vertex: '8,8', userSign: 1 },
+    ])
+  })
+
+  it('requires an active recall exercise', () => {
+    let engine = new QuizEngine(captureSgf, { maxQuestions: 2, questionMode: 'stones' })
+    expect(() => engine.checkStoneRecall(new Map())).toThrow(/No stone recall/)
+  })
+})
+
+describe('QuizEngine — captures', () => {
+  it('records every stone each move removes', () => {
+    let engine = new QuizEngine(captureSgf)
+    while (engine.advance()) {}
+    expect(engine.captures).toEqual([{ vertex: [0, 0], sign: 1, moveNumber: 4 }])
+  })
+
+  it('capture exercise: one target per captured intersection, graded with extras', () => {
+    let engine = new QuizEngine(captureSgf, { maxQuestions: 2, questionMode: 'captures' })
+    while (engine.advance()) {}
+    engine.activateQuestions()
+    expect(engine.captureExerciseActive).toBe(true)
+    expect(engine.captureExercise.targets).toEqual([{ vertex: [0, 0], key: '0,0', sign: 1, moveNumber: 4 }])
+    expect(engine.checkCaptureExercise(new Set(['0,0']))).toEqual([{ status: 'correct' }])
+    expect(engine.checkCaptureExercise(new Set(['4,4']))).toEqual([
+      { status: 'missed' },
+      { status: 'extra', vertex: '4,4' },
+    ])
+  })
+
+  it('no captures → no exercise', () => {
+    let engine = new QuizEngine(simpleSgf, { maxQuestions: 2, questionMode: 'captures' })
+    while (engine.advance()) {}
+    engine.activateQuestions()
+    expect(engine.captureExerciseActive).toBe(false)
+  })
+})
+
+describe('QuizEngine — question selection', () => {
+  let sgf = '(;SZ[9];B[cc];W[gg];B[cd];W[gf];B[dc];W[fg];B[ee];W[ef];B[de];W[ff])'
+  let groupsOf = (maxQuestions, select) => {
+    let engine = new QuizEngine(sgf, { maxQuestions, selectQuestions: select })
+    while (engine.advance()) {}
+    return engine
+  }
+
+  it('without selectQuestions every changed group is asked', () => {
+    let all = groupsOf(2, false).libertyExercise.groups
+    expect(all.filter(g => g.changed).length).toBeGreaterThan(2)
+  })
+
+  it('asks at most maxQuestions groups, pre-marking the rest', () => {
+    let all = groupsOf(2, false).libertyExercise.groups
+    let engine = groupsOf(2, true)
+    let capped = engine.libertyExercise.groups
+    expect(capped.filter(g => g.changed).length).toBe(2)
+    // Same groups and representatives; only the changed flags differ.
+    expect(capped.map(g => g.vertex)).toEqual(all.map(g => g.vertex))
+    // The largest liberty swings are asked.
+    let classified = engine._classifyGroups(engine.initialBoard)
+    let swing = i => classified[i].swing
+    let asked = capped.map((g, i) => i).filter(i => capped[i].changed)
+    let skipped = capped.map((g, i) => i).filter(i => all[i].changed && !capped[i].changed)
+    expect(Math.min(...asked.map(swing))).toBeGreaterThanOrEqual(Math.max(...skipped.map(swing)))
+  })
+
+  it('is deterministic for the same SGF', () => {
+    let a = groupsOf(1, true).libertyExercise.groups.map(g => g.changed)
+    let b = groupsOf(1, true).libertyExercise.groups.map(g => g.changed)
+    expect(a).toEqual(b)
+  })
+})
+
+describe('QuizEngine — quiz at move K', () => {
+  // Move 5 W[ed] puts the black stone in atari; move 7 W[ef] captures it.
+  let sgf = '(;SZ[9]AB[ee];W[de];B[aa];W[fe];B[bb];W[ed];B[cc];W[ef])'
+  let play = (quizAt, mode = 'liberties') => {
+    let engine = new QuizEngine(sgf, { maxQuestions: 2, questionMode: mode, quizAt })
+    while (engine.advance()) {}
+    return engine
+  }
+
+  it('asks about the position after move K', () => {
+    let engine = play({ from: 5, to: 5 })
+    expect(engine.quizMove).toBe(5)
+    expect(engine.questionBoard).toBe(engine.boardHistory[4])
+    let groups = engine.libertyExercise.groups
+    // The black stone captured at move 7 is asked, in atari; move 6 isn't played yet.
+    expect(groups.find(g => g.chainKeys.has('4,4'))).toMatchObject({ libCount: 1, changed: true })
+    expect(groups.some(g => g.chainKeys.has('2,2'))).toBe(false)
+    engine.activateQuestions()
+    expect(engine.libertyExerciseActive).toBe(true)
+  })
+
+  it('liberty points are read off the same position', () => {
+    let engine = play({ from: 5, to: 5 }, 'libpoints')
+    let black = engine.libertyPointsExercise.groups.find(g => g.chainKeys.has('4,4'))
+    expect(black).toBeTruthy()
+    expect(engine.libertyPointsExercise.targets.map(t => t.key)).toContain('4,5')
+  })
+
+  it('the last move, or another exercise kind, asks as usual', () => {
+    expect(play({ from: 7, to: 7 }).quizMove).toBe(null)
+    expect(play({ from: 5, to: 5 }, 'stones').quizMove).toBe(null)
+    let engine = play(null)
+    expect(engine.questionBoard).toBe(engine.trueBoard)
+  })
+
+  it('a range resolves to the same move every load', () => {
+    let k = play({ from: 2, to: 7 }).quizMove
+    expect(k).toBeGreaterThanOrEqual(2)
+    expect(k).toBeLessThanOrEqual(7)
+    expect(play({ from: 2, to: 7 }).quizMove).toBe(k)
+  })
+})
+
+describe('QuizEngine — move order', () => {
+  it('asks maxQuestions random moves in move order, the same ones every load', () => {
+    let pick = () => {
+      let engine = new QuizEngine(captureSgf, { maxQuestions: 2, questionMode: 'moves' })
+      while (engine.advance()) {}
+      engine.activateQuestions()
+      return engine
+    }
+    let engine = pick()
+    expect(engine.moveExerciseActive).toBe(true)
+    let qs = engine.moveExercise.questions
+    expect(qs.length).toBe(2)
+    expect(qs[0].moveNumber).toBeLessThan(qs[1].moveNumber)
+    expect(pick().moveExercise.questions).toEqual(qs)
+  })
+
+  it('grades each question by where its number was placed', () => {
+    let engine = new QuizEngine(captureSgf, { maxQuestions: 4, questionMode: 'moves' })
+    while (engine.advance()) {}
+    engine.activateQuestions()
+    // All four moves asked; move 1 B[aa] was captured but is still asked.
+    expect(engine.moveExercise.questions.map(q => q.key)).toEqual(['0,0', '1,0', '4,4', '0,1'])
+    let marks = new Map([['0,0', 1], ['4,4', 2]])
+    expect(engine.checkMoveExercise(marks)).toEqual([
+      { status: 'correct', userVertex: '0,0', userVal: 1 },
+      { status: 'wrong', userVertex: '4,4', userVal: 2 },
+      { status: 'missed' },
+      { status: 'missed' },
+    ])
+  })
+})
+
+describe('QuizEngine — liberty points', () => {
+  it('targets the liberties of every changed group, graded with extras', () => {
+    let engine = new QuizEngine('(;SZ[9];B[ee];W[ef])', { maxQuestions: 2, questionMode: 'libpoints' })
+    while (engine.advance()) {}
+    engine.activateQuestions()
+    expect(engine.libertyPointsExerciseActive).toBe(true)
+    // Counts aren't asked: no liberty exercise, no pre-marked labels.
+    expect(engine.libertyExercise).toBe(null)
+    expect(engine.libertyPointsExercise.groups.length).toBe(2)
+    expect(engine.libertyPointsExercise.targets.map(t => t.key))
+      .toEqual(['4,3', '3,4', '5,4', '3,5', '5,5', '4,6'])
+    let taps = new Set(['4,3', '3,4', '5,4', '3,5', '5,5', '0,0'])
+    expect(engine.checkLibertyPoints(taps)).toEqual([
+      ...Array(5).fill({ status: 'correct' }),
+      { status: 'missed' },
+      { status: 'extra', vertex: '0,0' },
+    ])
+  })
 })
 
 function assert(condition, msg) {
   if (!condition) throw new Error(msg)
 }
+
+describe('QuizEngine — illegal moves', () => {
+  // Black takes the ko at ed, White retakes at dd at once, Black plays on.
+  let sgf = '(;SZ[9]AB[dc][cd][de]AW[ec][fd][ee][dd];B[ed];W[dd];B[gg])'
+
+  it('plays illegal moves as recorded by default', () => {
+    let engine = new QuizEngine(sgf)
+    expect(engine.illegalMoves).toEqual([{ moveNumber: 2, vertex: [3, 3], reason: 'ko' }])
+    expect(engine.totalMoves).toBe(3)
+    while (engine.advance()) {}
+    expect(engine.trueBoard.get([3, 3])).toBe(-1)
+    expect(engine.trueBoard.get([4, 3])).toBe(0)
+  })
+
+  it('strictMoves stops the sequence before the first illegal move', () => {
+    let engine = new QuizEngine(sgf, { strictMoves: true })
+    expect(engine.illegalMoves).toHaveLength(1)
+    expect(engine.totalMoves).toBe(1)
+    while (engine.advance()) {}
+    expect(engine.trueBoard.get([4, 3])).toBe(1)
+    expect(engine.trueBoard.get([3, 3])).toBe(0)
+  })
+})
+
+describe('QuizEngine — passes', () => {
+  let sgf = '(;SZ[9];B[ee];W[];B[ce];W[tt];B[gc])'
+
+  it('keepPasses plays a pass as a move that leaves the board as it is', () => {
+    let engine = new QuizEngine(sgf, { keepPasses: true })
+    expect(engine.totalMoves).toBe(5)
+    engine.advance()
+    engine.advance()
+    expect(engine.currentMove).toEqual({ sign: -1, vertex: null })
+    expect(engine.boardHistory[1]).toBe(engine.boardHistory[0])
+    while (engine.advance()) {}
+    expect(engine.invisibleStones.get('6,2').moveNumber).toBe(5)
+  })
+
+  it('drops passes without it', () => {
+    let engine = new QuizEngine(sgf)
+    expect(engine.totalMoves).toBe(3)
+    expect(engine.moves.every(m => m.vertex)).toBe(true)
+  })
+})
+
+describe('QuizEngine — setup steps', () => {
+  // After B[dd], White stones appear at ee and ef and cc is cleared.
+  let sgf = '(;SZ[9]AB[cc];B[dd];AE[cc]AW[ee][ef];W[fe])'
+  let engine
+  beforeEach(() => {
+    engine = new QuizEngine(sgf, { questionMode: 'stones', keepPasses: true, setupSteps: true })
+  })
+
+  it('a setup step changes the true board and the visible base at once', () => {
+    expect(engine.totalMoves).toBe(3)
+    engine.advance()
+    engine.advance()
+    expect(engine.currentMove.setup).toBeTruthy()
+    expect(engine.trueBoard.get([2, 2])).toBe(0)
+    expect(engine.trueBoard.get([4, 4])).toBe(-1)
+    expect(engine.baseSignMap[2][2]).toBe(0)
+    expect(engine.baseSignMap[4][4]).toBe(-1)
+    expect(engine.boardHistory[0].get([4, 4])).toBe(0)
+  })
+
+  it('setup stones are given, not asked back', () => {
+    while (engine.advance()) {}
+    expect(engine.recallExercise.targets.map(t => t.key)).toEqual(['3,3', '5,4'])
+  })
+
+  it('a sequence stone the setup replaces is no longer memorised', () => {
+    let e = new QuizEngine('(;SZ[9];B[dd];AE[dd];W[ee])', { questionMode: 'stones', keepPasses: true, setupSteps: true })
+    while (e.advance()) {}
+    expect([...e.invisibleStones.keys()]).toEqual(['4,4'])
+  })
+
+  describe('move numbers', () => {
+    // B[cd] is move 3 of the SGF, though the fourth step.
+    let repro = '(;SZ[9];B[cc];W[gg];AB[ee]AW[ff];B[cd];W[gf];B[dc];W[fg])'
+    let opts = { keepPasses: true, setupSteps: true }
+
+    it('count moves, not setup steps', () => {
+      let e = new QuizEngine(repro, { ...opts, questionMode: 'moves', maxQuestions: 6 })
+      expect(e.totalMoves).toBe(7)
+      expect(e.moveCount).toBe(6)
+      e.advance(); e.advance()
+      expect(e.advance()).toMatchObject({ moveIndex: 3, moveNumber: 2 })
+      expect(e.advance()).toMatchObject({ moveIndex: 4, moveNumber: 3, moveCount: 6 })
+      expect(e.invisibleStones.get('2,3').moveNumber).toBe(3)
+      while (e.advance()) {}
+      expect(e.moveExercise.questions.map(q => [q.key, q.moveNumber])).toEqual([
+        ['2,2', 1], ['6,6', 2], ['2,3', 3], ['6,5', 4], ['3,2', 5], ['5,6', 6],
+      ])
+    })
+
+    it('quizAt is a move number', () => {
+      let e = new QuizEngine(repro, { ...opts, quizAt: { from: 3, to: 3 } })
+      expect(e.quizMove).toBe(3)
+      while (e.advance()) {}
+      expect(e.questionBoard.get([2, 3])).toBe(1)
+      expect(e.questionBoard.get([6, 5])).toBe(0)
+    })
+
+    it('captures and illegal moves are numbered by move', () => {
+      let e = new QuizEngine('(;SZ[9]AW[aa];B[ba];AB[ee];W[gg];B[ab])', { ...opts, questionMode: 'captures' })
+      while (e.advance()) {}
+      expect(e.captureExercise.targets).toMatchObject([{ key: '0,0', moveNumber: 3 }])
+
+      let strict = new QuizEngine('(;SZ[9];B[cc];AB[ee];W[dd];B[ee])', { ...opts, strictMoves: true })
+      expect(strict.illegalMoves[0].moveNumber).toBe(3)
+      expect(strict.totalMoves).toBe(3)
+      expect(strict.moveCount).toBe(2)
+    })
+  })
+
+  it('older sessions drop setup steps', () => {
+    let e = new QuizEngine(sgf)
+    expect(e.totalMoves).toBe(2)
+    while (e.advance()) {}
+    expect(e.trueBoard.get([4, 4])).toBe(0)
+  })
+})
+
+describe('QuizEngine — variations', () => {
+  it('plays the chosen line of the SGF', () => {
+    let sgf = '(;SZ[9]AB[ee];W[de](;B[ef]WV[];W[fe])(;B[fe]))'
+    let main = new QuizEngine(sgf)
+    expect(main.variationCount).toBe(2)
+    expect(main.totalMoves).toBe(2)
+    let wrong = new QuizEngine(sgf, { variation: 1 })
+    expect(wrong.wrongVariation).toBe(true)
+    expect(wrong.moves.map(m => m.vertex)).toEqual([[3, 4], [4, 5], [5, 4]])
+  })
+})
@@ -1,16 +1,31 @@
 // Chain of fixture format migrators. Each function takes a fixture at
 // version N and returns the same fixture at N+1. `migrate` walks the chain
-// to the current SCHEMA_VERSION.
+// to the current SCHEMA_VERSION, then walks the event chain to the current
+// EVENT_SCHEMA_VERSION.
 //
-// No bumps yet; v1 is the only shape. This file exists so adding a
-// migration has a single well-known place and the discipline is explicit.
+// Fixture shape: no bumps yet; v1 is the only shape. This file exists so
+// adding a migration has a single well-known place and the discipline is
+// explicit.
 
-import { SCHEMA_VERSION } from './fixture-schema.js'
+import { SCHEMA_VERSION, EVENT_SCHEMA_VERSION } from './fixture-schema.js'
 
 const MIGRATORS = {
   // 1: (f) => ({...f, schemaVersion: 2, /* transform */}),  // example
 }
 
+// Event-stream migrators, keyed by the version they migrate *from*.
+const EVENT_MIGRATORS = {
+  // v2 → v3 adds checkpoint / rebase kinds. Older logs simply don't
+  // contain them, so the events pass through unchanged.
+  2: (events) => events,
+  // v3 → v4 adds placeStone; same story.
+  3: (events) => events,
+  // v4 → v5 adds setSemeai; same story.
+  4: (events) => events,
+  // v5 → v6 adds guess; same story.
+  5: (events) => events,
+}
+
 export function migrate(fixture) {
   let v = fixture.schemaVersion ?? 1
   while (v < SCHEMA_VERSION) {
@@ -19,5 +34,15 @@ export function migrate(fixture) {
     fixture = fn(fixture)
     v++
   }
-  return fixture
+
+  let ev = fixture.recorded?.eventSchemaVersion ?? 2
+  if (ev >= EVENT_SCHEMA_VERSION) return fixture
+  let events = fixture.events
+  while (ev < EVENT_SCHEMA_VERSION) {
+    let fn = EVENT_MIGRATORS[ev]
+    if (!fn) throw new Error(`No migrator from event schema v${ev} to v${ev + 1}`)
+    events = fn(events)
+    ev++
+  }
+  return { ...fixture, events, recorded: { ...fixture.recorded, eventSchemaVersion: ev } }
 }
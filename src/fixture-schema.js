@@ -7,11 +7,13 @@
 // Bumping either requires adding a migrator in `fixture-migrate.js` so
 // existing fixtures stay readable.
 //
-// Fixture file shape (schemaVersion: 1, eventSchemaVersion: 2):
+// Fixture file shape (schemaVersion: 1, eventSchemaVersion: 6):
 //   {
 //     schemaVersion: 1,
 //     sgf: { content, filename, path, contentHash },
-//     config: { maxSubmits, maxQuestions },
+//     config: { maxSubmits, maxQuestions, questionMode?, semeaiQuestion?, guessMoves?,
+//               selectQuestions?, quizAt?, libertyCap?, strictMoves?,
+//               keepPasses?, setupSteps?, variation? },
 //     recorded: { at, eventSchemaVersion, viewport:{w,h}, rotated },
 //     events: [{kind, t, ...}, ...],
 //     goldens: {
@@ -19,6 +21,8 @@
 //       finalMarks: [{key, value, color}, ...] | null,
 //       submitResults: [[{status, userVertex, userVal}, ...], ...] | null,
 //       changedGroupsVertices: [[x,y], ...] | null,
+//       segmentCount: int | undefined,   // 1 + number of checkpoint rebases
+//       finalPlacements: [{key, sign, color}, ...] | undefined,  // 'stones' mode
 //     }
 //   }
 //
@@ -28,4 +32,10 @@
 // a full fixture at `schemaVersion: 1`.
 
 export const SCHEMA_VERSION = 1
-export const EVENT_SCHEMA_VERSION = 2
+// Event schema history:
+//   2 — advance / rewind / setMark / submit
+//   3 — adds checkpoint / rebase (mid-sequence exercises)
+//   4 — adds placeStone (stone-recall exercise, config.questionMode)
+//   5 — adds setSemeai (capture-race question, config.semeaiQuestion)
+//   6 — adds guess (next-move guessing, config.guessMoves)
+export const EVENT_SCHEMA_VERSION = 6
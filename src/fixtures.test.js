@@ -15,7 +15,8 @@ import { describe, it, expect } from 'vitest'
 import fs from 'node:fs'
 import path from 'node:path'
 import {
-  init, step, phase, finalized, changedGroups, mistakesByGroup, totalMistakes,
+  init, step, phase, finalized, mistakesByGroup, totalMistakes,
+  scoredGroups, sessionMistakesByGroup, segmentCount,
 } from './session.js'
 
 const fixturesDir = path.resolve(import.meta.dirname, '..', 'fixtures')
@@ -84,8 +85,8 @@ describe('Layer A — fold fixture events through the session reducer', () => {
 
       if (g.scoreEntry) {
         expect(totalMistakes(s), 'total mistakes').toBe(g.scoreEntry.mistakes)
-        expect(changedGroups(s).length, 'changed groups count').toBe(g.scoreEntry.total)
-        expect(mistakesByGroup(s), 'mistakes per group').toEqual(g.scoreEntry.mistakesByGroup)
+        expect(scoredGroups(s).length, 'changed groups count').toBe(g.scoreEntry.total)
+        expect(sessionMistakesByGroup(s), 'mistakes per group').toEqual(g.scoreEntry.mistakesByGroup)
       }
       if (g.finalMarks) {
         let actual = [...s.marks.entries()]
@@ -98,7 +99,10 @@ describe('Layer A — fold fixture events through the session reducer', () => {
         expect(s.submitResults).toEqual(g.submitResults)
       }
       if (g.changedGroupsVertices) {
-        expect(changedGroups(s).map(cg => cg.vertex)).toEqual(g.changedGroupsVertices)
+        expect(scoredGroups(s).map(cg => cg.vertex)).toEqual(g.changedGroupsVertices)
+      }
+      if (g.segmentCount != null) {
+        expect(segmentCount(s), 'segment count').toBe(g.segmentCount)
       }
     })
   }
@@ -2,8 +2,9 @@
 // Used by library.jsx. All DB writes stay in the caller; importer just
 // returns records and reports progress.
 
-import { parseSgf, decodeSgf } from './sgf-utils.js'
+import { parseSgf, decodeSgf, splitCollection } from './sgf-utils.js'
 import { isArchive, extractSgfs } from './archive.js'
+import { findIllegalMoves } from './legality.js'
 
 const numInParens = /^(.*\()(\d+)(\)\..+)$/
 
@@ -40,11 +41,29 @@ export function archivePrefix(entries, fallback) {
   return topDirs.size < 10 ? '' : fallback
 }
 
+// A collection's trees as separate entries: "name.sgf" holding 120
+// game trees becomes "name #001" … "name #120". Single-tree entries
+// pass through unchanged.
+export function expandCollections(entries) {
+  let expanded = []
+  for (let entry of entries) {
+    let trees
+    try { trees = splitCollection(entry.content) } catch { trees = [entry.content] }
+    if (trees.length === 1) { expanded.push(entry); continue }
+    let base = entry.name.replace(/\.sgf$/i, '')
+    let width = String(trees.length).length
+    trees.forEach((content, i) =>
+      expanded.push({ name: `${base} #${String(i + 1).padStart(width, '0')}`, content }))
+  }
+  return expanded
+}
+
 // Parse entries → records with metadata. Silently skips unparseable SGFs.
 // pathPrefix is prepended to each entry's internal directory path.
+// Collections are split first, one record per game tree.
 export function parseAndCollect(entries, pathPrefix, uploadedAt) {
   let records = []
-  for (let { name, content } of entries) {
+  for (let { name, content } of expandCollections(entries)) {
     try {
       let parts = name.split('/')
       let filename = parts.pop()
@@ -52,8 +71,12 @@ export function parseAndCollect(entries, pathPrefix, uploadedAt) {
       let parsed = parseSgf(content)
       records.push({
         filename, path, content,
-        boardSize: parsed.boardSize,
+        boardWidth: parsed.boardWidth,
+        boardHeight: parsed.boardHeight,
         moveCount: parsed.moveCount,
+        illegalMoves: findIllegalMoves(parsed).length,
+        variations: parsed.variationCount,
+        trees: 1,
         playerBlack: parsed.playerBlack,
         playerWhite: parsed.playerWhite,
         uploadedAt,
@@ -66,6 +89,19 @@ export function parseAndCollect(entries, pathPrefix, uploadedAt) {
   return records
 }
 
+// A stored record holding a whole collection (imported before
+// collections were split) as one record per tree, named and annotated
+// like a fresh import. The first keeps the record's id and everything
+// else on it — solved flag, quizAt — because its scores, replays and
+// sessions were played on that tree; the rest are new records. Null when
+// the record holds a single tree.
+export function splitStoredCollection(record) {
+  let { filename, path, content, uploadedAt } = record
+  if (splitCollection(content).length === 1) return null
+  let [first, ...rest] = parseAndCollect([{ name: filename, content }], path || '', uploadedAt)
+  return { first: { ...record, ...first }, rest }
+}
+
 async function collectSgfFiles(dirHandle, path) {
   let results = []
   for await (let [name, handle] of dirHandle) {
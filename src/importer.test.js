@@ -0,0 +1,46 @@
+import { describe, it, expect } from 'vitest'
+import { parseAndCollect, splitStoredCollection } from './importer.js'
+import { splitCollection } from './sgf-utils.js'
+
+describe('parseAndCollect', () => {
+  it('imports a collection as one problem per game tree', () => {
+    let trees = Array.from({ length: 12 }, (_, i) => `(;SZ[9]AB[cc];B[${'abcdefghi'[i % 9]}a])`).join('')
+    let records = parseAndCollect([{ name: 'books/life.sgf', content: trees }], 'lib', 1)
+    expect(records).toHaveLength(12)
+    expect(records[0]).toMatchObject({ filename: 'life #01', path: 'lib/books', moveCount: 1 })
+    expect(records[11].filename).toBe('life #12')
+    // Each record holds only its own tree.
+    expect(splitCollection(records[11].content)).toHaveLength(1)
+  })
+
+  it('yields the same contents when the file is imported again', () => {
+    let content = '(;SZ[9]AB[cc];B[dd])\n(;SZ[9]AW[ee];W[ff])'
+    let contents = () => parseAndCollect([{ name: 'c.sgf', content }], '', 1).map(r => r.content)
+    expect(contents()).toEqual(['(;SZ[9]AB[cc];B[dd])', '(;SZ[9]AW[ee];W[ff])'])
+    expect(contents()).toEqual(contents())
+  })
+
+  it('leaves single-tree files alone', () => {
+    let content = '(;SZ[9];B[ee])'
+    let [record] = parseAndCollect([{ name: 'one.sgf', content }], '', 1)
+    expect(record).toMatchObject({ filename: 'one.sgf', content })
+  })
+})
+
+
+describe('splitStoredCollection', () => {
+  let content = '(;SZ[9]AB[cc];B[dd])(;SZ[9]AW[ee];W[ff];B[gg])'
+  let stored = { id: 7, filename: 'life.sgf', path: 'books', content, moveCount: 1, solved: true, quizAt: '1', uploadedAt: 5 }
+
+  it('keeps the first tree under the stored record, the rest as new records', () => {
+    let { first, rest } = splitStoredCollection(stored)
+    expect(first).toMatchObject({ id: 7, filename: 'life #1', path: 'books', content: '(;SZ[9]AB[cc];B[dd])', solved: true, quizAt: '1', trees: 1 })
+    expect(rest).toHaveLength(1)
+    expect(rest[0]).toMatchObject({ filename: 'life #2', path: 'books', content: '(;SZ[9]AW[ee];W[ff];B[gg])', moveCount: 2, uploadedAt: 5 })
+    expect(rest[0].id).toBeUndefined()
+  })
+
+  it('leaves single-tree records alone', () => {
+    expect(splitStoredCollection({ ...stored, content: '(;SZ[9];B[ee])' })).toBeNull()
+  })
+})
@@ -0,0 +1,75 @@
+// Move legality for a parsed SGF sequence. Pure.
+//
+// SGF files are authoritative, so the engine plays every recorded move
+// as-is by default. This module only finds the moves the rules would
+// reject, so the quiz and the library can say so — and so the engine
+// can stop before the first one when asked to (strictMoves). Setup steps
+// (AB/AW/AE further down the main line) are applied as they come:
+//   'occupied' — played on a stone
+//   'suicide'  — no liberties and captures nothing
+//   'ko'       — retakes a ko immediately
+//   'superko'  — repeats an earlier whole-board position (positional)
+
+import Board from '@sabaki/go-board'
+
+export const ILLEGAL_REASONS = {
+  occupied: 'is played on a stone',
+  suicide: 'is suicide',
+  ko: 'retakes a ko immediately',
+  superko: 'repeats an earlier position',
+}
+
+// The board after a setup step ({ black, white, empty } vertex lists),
+// built afresh so no ko carries over. Shared with the engine, which
+// replays the same steps.
+export function applySetup(board, { black, white, empty }) {
+  let signMap = board.signMap.map(row => [...row])
+  for (let [x, y] of empty) signMap[y][x] = 0
+  for (let [x, y] of black) signMap[y][x] = 1
+  for (let [x, y] of white) signMap[y][x] = -1
+  return new Board(signMap)
+}
+
+function positionKey(board) {
+  return board.signMap.map(row => row.join(',')).join(';')
+}
+
+// Replay parseSgf's output and list the illegal moves:
+// [{ moveNumber, vertex, reason }] with moves numbered as the quiz shows
+// them: passes count, setup steps don't. Each move is still played as
+// recorded, so later moves are judged on the recorded position.
+export function findIllegalMoves({ boardWidth, boardHeight, setupBlack, setupWhite, moves }) {
+  let board = Board.fromDimensions(boardWidth, boardHeight)
+  for (let v of setupBlack) board.set(v, 1)
+  for (let v of setupWhite) board.set(v, -1)
+  let seen = new Set([positionKey(board)])
+  let illegal = []
+  let moveNumber = 0
+  for (let { sign, vertex, setup } of moves) {
+    if (setup) {
+      board = applySetup(board, setup)
+      seen.add(positionKey(board))
+      continue
+    }
+    moveNumber++
+    if (vertex == null) continue
+    let { overwrite, suicide, ko } = board.analyzeMove(sign, vertex)
+    board = board.makeMove(sign, vertex)
+    let key = positionKey(board)
+    let reason = overwrite ? 'occupied' : suicide ? 'suicide' : ko ? 'ko' : seen.has(key) ? 'superko' : null
+    if (reason) illegal.push({ moveNumber, vertex, reason })
+    seen.add(key)
+  }
+  return illegal
+}
+
+// One line for the quiz and the tile tooltip, e.g.
+// "Move 12 retakes a ko immediately — played as recorded."
+export function illegalMoveSummary(illegal, strict = false) {
+  if (illegal.length === 0) return ''
+  let first = illegal[0]
+  let more = illegal.length > 1 ? ` (+${illegal.length - 1} more)` : ''
+  return strict
+    ? `Move ${first.moveNumber} ${ILLEGAL_REASONS[first.reason]} — the sequence stops before it.`
+    : `Move ${first.moveNumber} ${ILLEGAL_REASONS[first.reason]}${more} — played as recorded.`
+}
@@ -0,0 +1,52 @@
+import { describe, it, expect } from 'vitest'
+import { findIllegalMoves, illegalMoveSummary } from './legality.js'
+import { parseSgf } from './sgf-utils.js'
+
+let illegal = sgf => findIllegalMoves(parseSgf(sgf))
+
+// Black takes the ko at ed; White's immediate retake at dd is illegal.
+const KO = '(;SZ[9]AB[dc][cd][de]AW[ec][fd][ee][dd];B[ed];W[dd])'
+
+describe('findIllegalMoves', () => {
+  it('a legal sequence has none', () => {
+    expect(illegal('(;SZ[9];B[ee];W[ce];B[gc])')).toEqual([])
+  })
+
+  it('finds an immediate ko retake', () => {
+    expect(illegal(KO)).toEqual([{ moveNumber: 2, vertex: [3, 3], reason: 'ko' }])
+  })
+
+  it('finds suicide', () => {
+    expect(illegal('(;SZ[9]AB[ba][ab];W[aa])')).toEqual([{ moveNumber: 1, vertex: [0, 0], reason: 'suicide' }])
+  })
+
+  it('finds a move on a stone', () => {
+    expect(illegal('(;SZ[9];B[cc];W[cc])')).toEqual([{ moveNumber: 2, vertex: [2, 2], reason: 'occupied' }])
+  })
+
+  it('numbers moves as in the SGF, passes included', () => {
+    expect(illegal('(;SZ[9];B[cc];W[];B[dd];W[cc])')[0].moveNumber).toBe(4)
+  })
+
+  it('applies setup steps, which are not numbered', () => {
+    // Clearing the ko stone (and adding one elsewhere) makes White's
+    // retake an ordinary move.
+    expect(illegal('(;SZ[9]AB[dc][cd][de]AW[ec][fd][ee][dd];B[ed];AE[ed]AB[gg];W[dd])')).toEqual([])
+    expect(illegal('(;SZ[9];AB[cc];W[cc])')).toEqual([{ moveNumber: 1, vertex: [2, 2], reason: 'occupied' }])
+    expect(illegal('(;SZ[9];B[cc];AB[ee];W[dd];B[ee])')[0].moveNumber).toBe(3)
+  })
+
+  it('judges later moves on the position as recorded', () => {
+    // After the retake, Black retaking again is a ko too.
+    expect(illegal(KO.replace(')', ';B[ed])')).map(m => m.reason)).toEqual(['ko', 'ko'])
+  })
+})
+
+describe('illegalMoveSummary', () => {
+  it('names the first illegal move and what happens to it', () => {
+    let list = illegal(KO.replace(')', ';B[ed])'))
+    expect(illegalMoveSummary(list)).toBe('Move 2 retakes a ko immediately (+1 more) — played as recorded.')
+    expect(illegalMoveSummary(list, true)).toBe('Move 2 retakes a ko immediately — the sequence stops before it.')
+    expect(illegalMoveSummary([])).toBe('')
+  })
+})
@@ -1,5 +1,7 @@
 import { useState, useEffect } from 'preact/hooks'
-import { exportDb, downloadExport } from './db.js'
+import { exportDb, downloadExport, kv, kvSet } from './db.js'
+import config from './config.js'
+import { QUESTION_MODES } from './session.js'
 import { GIT_SHA, GIT_DATE, GIT_DATE_SHORT, BUILD_TIME, BRANCH, SITE_ROOT, branchUrl } from './version.js'
 import { usePwaInstall } from './usePwaInstall.js'
 
@@ -17,20 +19,31 @@ function useBranches() {
   return branches
 }
 
-// Hamburger menu: upload paths (files / folder / URL), export, install
-// prompt (when available), destructive reset, branch switcher, and a
-// build-identity line. Owns its own open/closed state plus the PWA
-// install hook.
+// Hamburger menu: upload paths (files / folder / URL), export, backup
+// restore, install prompt (when available), destructive reset,
+// exercise-kind and branch switchers, and a build-identity line. Owns its
+// own open/closed state plus the PWA install hook.
 //
 // Props (parent-owned actions):
 //   onUpload(e)         — files input change event; parent runs importer
 //   onUploadFolder()    — folder-picker flow
 //   onFetchUrl(url)     — URL import
+//   onRestore(file, mode) — restore an "Export data" zip; mode is
+//                         'merge' or 'replace'
 //   onReset()           — "Reset all data" confirmation flow
-export function LibraryMenu({ onUpload, onUploadFolder, onFetchUrl, onReset }) {
+//   onVariationsChange(on) — the variation drill was switched (the tiles
+//                         show per-variation progress while it's on)
+export function LibraryMenu({ onUpload, onUploadFolder, onFetchUrl, onRestore, onReset, onVariationsChange }) {
   let [open, setOpen] = useState(false)
   let { canInstall, install } = usePwaInstall()
   let branches = useBranches()
+  let [questionMode, setQuestionMode] = useState(() => kv('quizMode', 'liberties'))
+  let [maxQ, setMaxQ] = useState(() => kv('quizMaxQ', '2'))
+  let [semeai, setSemeai] = useState(() => kv('quizSemeai', '0') === '1')
+  let [guess, setGuess] = useState(() => kv('quizGuess', '0') === '1')
+  let [strict, setStrict] = useState(() => kv('quizStrict', '0') === '1')
+  let [variations, setVariations] = useState(() => kv('quizVariations', '0') === '1')
+  let [libCap, setLibCap] = useState(() => kv('quizLibCap', String(config.maxLibertyLabel)))
 
   let switchBranch = e => {
     let next = e.target.value
@@ -39,8 +52,47 @@ export function LibraryMenu({ onUpload, onUploadFolder, onFetchUrl, onReset }) {
     location.href = branchUrl(next)
   }
 
+  // Read by <Quiz> on mount — applies from the next problem opened.
+  let switchMode = e => {
+    kvSet('quizMode', e.target.value)
+    setQuestionMode(e.target.value)
+  }
+  let switchMaxQ = e => {
+    kvSet('quizMaxQ', e.target.value)
+    setMaxQ(e.target.value)
+  }
+  let switchSemeai = e => {
+    kvSet('quizSemeai', e.target.checked ? '1' : '0')
+    setSemeai(e.target.checked)
+  }
+  let switchLibCap = e => {
+    kvSet('quizLibCap', e.target.value)
+    setLibCap(e.target.value)
+  }
+  let switchStrict = e => {
+    kvSet('quizStrict', e.target.checked ? '1' : '0')
+    setStrict(e.target.checked)
+  }
+  let switchVariations = e => {
+    kvSet('quizVariations', e.target.checked ? '1' : '0')
+    setVariations(e.target.checked)
+    onVariationsChange?.(e.target.checked)
+  }
+  let switchGuess = e => {
+    kvSet('quizGuess', e.target.checked ? '1' : '0')
+    setGuess(e.target.checked)
+  }
+
   let close = () => setOpen(false)
   let exportData = async () => { close(); downloadExport(await exportDb()) }
+  let pickBackup = mode => e => {
+    close()
+    let file = e.target.files[0]
+    e.target.value = ''
+    if (!file) return
+    if (mode === 'replace' && !confirm('Delete all current data and replace it with this backup?')) return
+    onRestore(file, mode)
+  }
   let promptUrl = () => {
     close()
     let url = prompt('Enter URL to SGF or archive:', 'https://files.catbox.moe/r92xsw.zip')
@@ -61,9 +113,51 @@ export function LibraryMenu({ onUpload, onUploadFolder, onFetchUrl, onReset }) {
           <button class="menu-item" onClick={() => { close(); onUploadFolder() }}>Upload folder</button>
           <button class="menu-item" onClick={promptUrl}>Upload from URL</button>
           <button class="menu-item" onClick={exportData}>Export data</button>
+          <label class="menu-item" title="Add a backup's problems and scores to the current library">
+            Import backup (merge)
+            <input type="file" accept=".zip" onChange={pickBackup('merge')} hidden />
+          </label>
+          <label class="menu-item menu-danger" title="Replace all current data with a backup">
+            Import backup (replace)
+            <input type="file" accept=".zip" onChange={pickBackup('replace')} hidden />
+          </label>
           {canInstall && <button class="menu-item" onClick={() => { close(); install() }}>Install app</button>}
           <button class="menu-item menu-danger" onClick={() => { close(); onReset() }}>Reset all data</button>
           <div class="menu-sep" />
+          <label class="branch-select" title="What you're asked after the sequence">
+            Exercise
+            <select value={questionMode} onChange={switchMode}>
+              {Object.entries(QUESTION_MODES).map(([id, label]) => <option key={id} value={id}>{label}</option>)}
+            </select>
+          </label>
+          <label class="branch-select" title="Most groups asked per exercise; the rest come pre-marked">
+            Questions
+            <select value={maxQ} onChange={switchMaxQ}>
+              {['1', '2', '3', '5', '8'].map(n => <option key={n} value={n}>{n}</option>)}
+            </select>
+          </label>
+          {questionMode === 'liberties' && <label class="branch-select" title="Also ask who wins a capture race, and by how many liberties">
+            Capture race
+            <input type="checkbox" checked={semeai} onChange={switchSemeai} />
+          </label>}
+          {questionMode === 'liberties' && <label class="branch-select" title="Count liberties exactly up to this many; more is answered as N+">
+            Liberty cap
+            <select value={libCap} onChange={switchLibCap}>
+              {['5', '6', '7', '8'].map(n => <option key={n} value={n}>{n}+</option>)}
+            </select>
+          </label>}
+          <label class="branch-select" title="Tap where you think each move goes before it is shown">
+            Guess next move
+            <input type="checkbox" checked={guess} onChange={switchGuess} />
+          </label>
+          <label class="branch-select" title="End the sequence before a move the rules reject (ko, suicide, occupied point) instead of playing it as recorded">
+            Stop at illegal moves
+            <input type="checkbox" checked={strict} onChange={switchStrict} />
+          </label>
+          <label class="branch-select" title="Drill every line of a problem, wrong variations included, each as an exercise with its own scores">
+            All variations
+            <input type="checkbox" checked={variations} onChange={switchVariations} />
+          </label>
           <label class="branch-select">
             Branch
             <select value={BRANCH} onChange={switchBranch}>
@@ -3,7 +3,6 @@
 // access happens outside FileTile's per-tile score lookup.
 
 import { StarsDisplay, starsFromScore } from './scoring.js'
-import { getBestScore } from './db.js'
 
 // Split long dir names into two lines at the first comma / ' - ' / '-'.
 // Returns a React node — Fragment with <br/> when split, plain string
@@ -46,7 +45,7 @@ function DirCount({ solved, total }) {
   )
 }
 
-export function DirTile({ name, stats, onOpen, onRename, onDelete }) {
+export function DirTile({ name, stats, onOpen, onRename, onQuizAt, onDelete }) {
   let { solved, total } = stats
   return (
     <div class={`tile dir-tile${solved === total ? ' dir-complete' : ''}`} onClick={onOpen}>
@@ -54,6 +53,7 @@ export function DirTile({ name, stats, onOpen, onRename, onDelete }) {
       <div class="tile-name">{splitDirName(name)}</div>
       <div class="dir-actions">
         <button class="dir-action-btn" title="Rename folder" onClick={e => { e.stopPropagation(); onRename() }}>&#x270E;</button>
+        <button class="dir-action-btn" title="Ask liberties at a chosen move" onClick={e => { e.stopPropagation(); onQuizAt() }}>#</button>
         <button class="dir-action-btn dir-action-delete" title="Delete folder" onClick={e => { e.stopPropagation(); onDelete() }}>&times;</button>
       </div>
     </div>
@@ -69,13 +69,17 @@ export function DirHeaderTile({ name, solved, total }) {
   )
 }
 
-export function FileTile({ sgf, onSelect, onDelete }) {
-  let best = getBestScore(sgf.id)
+// best: the problem's best score entry, or null if unscored.
+// progress: { done, total } variations scored, shown during the
+// variation drill (see navigation.js), else null.
+export function FileTile({ sgf, best, progress, onSelect, onDelete }) {
   let stars = best ? starsFromScore(best) : 0
   let lp = useLongPress(onDelete)
   return (
     <div class={`tile file-tile${sgf.solved ? ' tile-solved' : ''}`} onClick={onSelect} {...lp}>
       <span class="tile-num" title="Number of moves">{sgf.moveCount || '?'}</span>
+      {progress && <span class="tile-vars" title={`${progress.done} of ${progress.total} variations done`}>{progress.done}/{progress.total}</span>}
+      {sgf.illegalMoves > 0 && <span class="tile-warn" title={`${sgf.illegalMoves} move${sgf.illegalMoves > 1 ? 's' : ''} the rules reject (ko, suicide or occupied point)`}>&#x26A0;</span>}
       {stars > 0
         ? <span class="tile-stars" title={`${stars}/5 stars`}>
             <StarsDisplay stars={stars} wrapClass="" trophyClass="tile-trophy" medalClass="tile-medal" offClass="star-off" onClass="star-on" />
@@ -1,10 +1,20 @@
-import { useState, useEffect } from 'preact/hooks'
-import { getAllSgfs, addSgfBatch, deleteSgf, deleteSgfsByPrefix, renameSgfsByPrefix, clearAll, getBestScore, getLatestScoreDate, updateSgf } from './db.js'
+import { useState, useEffect, useMemo } from 'preact/hooks'
+import { getAllSgfs, addSgfBatch, deleteSgf, deleteSgfsByPrefix, renameSgfsByPrefix, updateSgfsByPrefix, clearAll, readExport, importDb, getBestScore, getLatestScoreDate, getScores, getRushHistory, getTimeTrialHistory, getDailyResult, updateSgf, kv } from './db.js'
 import { parseSgf } from './sgf-utils.js'
-import { siblings as siblingsAt, nextUnsolved, toSelection } from './navigation.js'
-import { importFiles, importFolder, importUrl } from './importer.js'
+import { findIllegalMoves } from './legality.js'
+import { siblings as siblingsAt, nextUnsolved, dueForReview, toSelection, variationProgress } from './navigation.js'
+import { dueDate } from './scheduler.js'
+import { RUSH_VARIANTS, rushBest } from './rush.js'
+import { trialBest } from './time-trial.js'
+import { dateKey, dailyNumber, dailyScore } from './daily.js'
+import { currentStreak } from './activity.js'
+import { loadActivity } from './activity.jsx'
+import { achievementCount, resetAchievementHistory } from './achievements.jsx'
+import config from './config.js'
+import { importFiles, importFolder, importUrl, splitStoredCollection } from './importer.js'
 import { DirTile, DirHeaderTile, FileTile } from './library-tile.jsx'
 import { LibraryMenu } from './library-menu.jsx'
+import { promptQuizAt } from './quiz-at.js'
 
 const DEFAULT_URL = 'https://files.catbox.moe/v3phv1.zip'
 
@@ -16,10 +26,11 @@ function WelcomeMessage() {
   )
 }
 
-export function Library({ onSelect, cwd, onCwdChange }) {
+export function Library({ onSelect, cwd, onCwdChange, onRun }) {
   let [sgfs, setSgfs] = useState([])
   let [loading, setLoading] = useState(true)
   let [importing, setImporting] = useState(null) // { done, total } or null
+  let [drill, setDrill] = useState(() => kv('quizVariations', '0') === '1')
 
   useEffect(() => {
     function onKeyDown(e) {
@@ -35,14 +46,30 @@ export function Library({ onSelect, cwd, onCwdChange }) {
 
   let refresh = async () => {
     let all = await getAllSgfs()
-    // Backfill moveCount for old records imported before this field existed
+    // Backfill moveCount / illegalMoves / variations / trees for old
+    // records imported before these fields existed. A record still
+    // holding a whole collection is split into one record per tree.
+    let split = false
     for (let s of all) {
-      if (s.moveCount != null) continue
+      if (s.moveCount != null && s.illegalMoves != null && s.variations != null && s.trees != null) continue
       try {
-        s.moveCount = parseSgf(s.content).moveCount
-        updateSgf(s.id, { moveCount: s.moveCount })
+        let parts = splitStoredCollection(s)
+        if (parts) {
+          await updateSgf(s.id, parts.first)
+          await addSgfBatch(parts.rest)
+          split = true
+          continue
+        }
+        let parsed = parseSgf(s.content)
+        s.moveCount = parsed.moveCount
+        s.illegalMoves = findIllegalMoves(parsed).length
+        s.variations = parsed.variationCount
+        s.trees = 1
+        updateSgf(s.id, { moveCount: s.moveCount, illegalMoves: s.illegalMoves, variations: s.variations, trees: 1 })
       } catch {}
     }
+    if (split) all = await getAllSgfs()
+    resetAchievementHistory()
     setSgfs(all)
     setLoading(false)
   }
@@ -116,6 +143,26 @@ export function Library({ onSelect, cwd, onCwdChange }) {
     refresh()
   }
 
+  // "Quiz at move" for a whole folder: written onto every problem in it,
+  // overriding their own settings.
+  let handleQuizAtDir = async (dirPath, dirName) => {
+    let quizAt = promptQuizAt(`Every problem in "${dirName}"`)
+    if (quizAt === undefined) return
+    await updateSgfsByPrefix(dirPath, { quizAt })
+    refresh()
+  }
+
+  let handleRestore = async (file, mode) => {
+    try {
+      let { added, merged } = await importDb(await readExport(file), { mode })
+      if (mode === 'replace') onCwdChange('')
+      refresh()
+      alert(`Backup restored: ${added} problems added${merged ? `, ${merged} already present` : ''}.`)
+    } catch (err) {
+      alert(`Failed to restore backup: ${err.message}`)
+    }
+  }
+
   let handleReset = async () => {
     if (!confirm('Delete all data and re-download default problems?')) return
     await clearAll()
@@ -127,24 +174,43 @@ export function Library({ onSelect, cwd, onCwdChange }) {
   // Files in current directory, sorted by upload date then filename
   let filesHere = siblingsAt(sgfs, cwd)
 
-  // Shared scoreLookup for nextUnsolved — wraps db calls.
-  let scoreLookup = (id) => {
-    let b = getBestScore(id)
-    return { bestAccuracy: b ? b.accuracy : null, latestDate: getLatestScoreDate(id) }
+  // Shared scoreLookup for nextUnsolved and the tiles — wraps db calls.
+  // Each id's scores are read once per library load (refresh replaces
+  // sgfs), not per tile and render; `best` is the tile's best entry.
+  let scoreLookup = useMemo(() => {
+    let cache = new Map()
+    return (id) => {
+      if (!cache.has(id)) {
+        let best = getBestScore(id)
+        cache.set(id, { best, bestAccuracy: best ? best.accuracy : null, latestDate: getLatestScoreDate(id), due: dueDate(getScores(id)) })
+      }
+      return cache.get(id)
+    }
+  }, [sgfs])
+
+  // Library-wide review queue, most overdue first. "Review due" starts a
+  // review run; app.jsx keeps pulling from this queue until it's empty.
+  let dueAll = useMemo(() => dueForReview(sgfs, scoreLookup), [scoreLookup])
+
+  // Streak input for the header, read once per library load like the scores.
+  let activity = useMemo(() => loadActivity(), [sgfs])
+  function startReview() {
+    if (dueAll.length === 0) return
+    onSelect({ ...toSelection(dueAll[0]), review: true })
   }
 
-  // Enter = next unsolved/imperfect problem. Reused by the progress-hero
+  // Enter = next unsolved/due problem. Reused by the progress-hero
   // button below.
   function selectNext() {
     let r = nextUnsolved(filesHere, null, scoreLookup)
-    if (!r || r.reason === 'least-recent') return  // All perfect: button is hidden
+    if (!r || r.reason === 'upcoming') return  // Nothing due: button is hidden
     onSelect(toSelection(r.sgf))
   }
   useEffect(() => {
     function onKeyDown(e) {
       if (e.key !== 'Enter') return
       let r = nextUnsolved(filesHere, null, scoreLookup)
-      if (!r || r.reason === 'least-recent') return
+      if (!r || r.reason === 'upcoming') return
       e.preventDefault()
       onSelect(toSelection(r.sgf))
     }
@@ -166,7 +232,7 @@ export function Library({ onSelect, cwd, onCwdChange }) {
     st.total++
     if (s.solved) {
       st.solved++
-      let d2 = getLatestScoreDate(s.id)
+      let d2 = scoreLookup(s.id).latestDate
       if (d2 > st.latestDate) st.latestDate = d2
     } else if (s.done > 0) {
       st.started++
@@ -183,14 +249,46 @@ export function Library({ onSelect, cwd, onCwdChange }) {
     <div class="library">
       <h1>TsumeSight</h1>
 
+      {sgfs.length > 0 && (() => {
+        let today = dateKey()
+        let daily = dailyScore(getDailyResult(today))
+        let streak = currentStreak(activity, today)
+        let streakTitle = streak.activeToday
+          ? `${streak.length}-day streak — activity calendar`
+          : streak.length > 0
+            ? `${streak.length}-day streak — solve a problem today to keep it`
+            : 'Solve a problem to start a streak — activity calendar'
+        let trophies = achievementCount()
+        return (
+          <div class="header-pills">
+            <button class={`pill-btn streak-pill${streak.activeToday ? '' : ' streak-at-risk'}`} title={streakTitle} onClick={() => onRun({ kind: 'activity' })}>
+              Day {streak.length}
+            </button>
+            <button class="pill-btn" title="Today's three problems: easy, medium, hard" onClick={() => onRun({ kind: 'daily' })}>
+              Daily #{dailyNumber(today)}{daily.complete ? ' ✓' : ''}
+            </button>
+            <button class="pill-btn" title="Achievements" onClick={() => onRun({ kind: 'achievements' })}>
+              🏅 {trophies.unlocked}/{trophies.total}
+            </button>
+            {dueAll.length > 0 && (
+              <button class="pill-btn" title="Review solved problems that are due for repetition" onClick={startReview}>
+                Review due · {dueAll.length}
+              </button>
+            )}
+          </div>
+        )
+      })()}
+
       {filesHere.length > 0 && (() => {
         let solvedCount = filesHere.filter(s => s.solved).length
         let r = nextUnsolved(filesHere, null, scoreLookup)
-        if (!r || r.reason === 'least-recent') {
-          return <div class="complete-badge">All Perfect</div>
+        if (!r || r.reason === 'upcoming') {
+          let next = r && scoreLookup(r.sgf.id).due
+          let nextTitle = next ? `Next review ${new Date(next).toLocaleDateString()}` : undefined
+          return <div class="complete-badge" title={nextTitle}>All caught up</div>
         }
-        let complete = r.reason === 'imperfect' ? ' complete' : ''
-        let title = r.reason === 'unsolved' ? 'First unsolved problem' : 'All solved — first without 100% accuracy'
+        let complete = r.reason === 'due' ? ' complete' : ''
+        let title = r.reason === 'unsolved' ? 'First unsolved problem' : 'All solved — most overdue review'
         let heroTitle = r.reason === 'unsolved' ? 'Problems solved in this folder' : 'All problems solved'
         return <>
           <div class={`progress-hero${complete}`} title={heroTitle}>
@@ -202,11 +300,32 @@ export function Library({ onSelect, cwd, onCwdChange }) {
         </>
       })()}
 
+      {filesHere.some(s => s.moveCount > 0) && (
+        <div class="rush-row">
+          <span class="rush-row-label">Rush</span>
+          {Object.entries(RUSH_VARIANTS).map(([variant, v]) => {
+            let best = rushBest(getRushHistory(variant))
+            let title = `Solve as many problems from this folder as you can${v.ms ? ` in ${v.label}` : ''}` +
+              (best ? ` — best: ${best.score} groups` : '')
+            return <button key={variant} class="rush-btn" title={title} onClick={() => onRun({ kind: 'rush', variant })}>{v.label}</button>
+          })}
+          <span class="rush-row-label">·</span>
+          {(() => {
+            let best = trialBest(getTimeTrialHistory())
+            let title = `${config.timeTrialLives} lives, ${config.timeTrialProblemSec}s per problem` +
+              (best ? ` — best: ${best.score} points` : '')
+            return <button class="rush-btn" title={title} onClick={() => onRun({ kind: 'timeTrial' })}>Time Trial</button>
+          })()}
+        </div>
+      )}
+
       <LibraryMenu
         onUpload={handleFiles}
         onUploadFolder={handleFolder}
         onFetchUrl={fetchUrl}
+        onRestore={handleRestore}
         onReset={handleReset}
+        onVariationsChange={setDrill}
       />
 
       {importing && (
@@ -252,6 +371,7 @@ export function Library({ onSelect, cwd, onCwdChange }) {
               stats={dirStats[d]}
               onOpen={() => onCwdChange(prefix + d)}
               onRename={() => handleRenameDir(prefix + d, d)}
+              onQuizAt={() => handleQuizAtDir(prefix + d, d)}
               onDelete={() => handleDeleteDir(prefix + d, d)}
             />
           ))}
@@ -264,6 +384,8 @@ export function Library({ onSelect, cwd, onCwdChange }) {
             <FileTile
               key={s.id}
               sgf={s}
+              best={scoreLookup(s.id).best}
+              progress={drill && (s.variations || 1) > 1 ? variationProgress(s, scoreLookup) : null}
               onSelect={() => onSelect(toSelection(s))}
               onDelete={() => handleDelete(s.id, s.filename)}
             />
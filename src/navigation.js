@@ -1,14 +1,15 @@
 // Pure navigation helpers. Consumed by app.jsx and library.jsx so the
 // "next unsolved" logic has exactly one home.
 //
-// scoreLookup is a function of (sgfId) → { bestAccuracy, latestDate }
+// scoreLookup is a function of (sgfId) → { bestAccuracy, latestDate, due }
 // where bestAccuracy is null if no score exists, latestDate is 0 if
-// none. Keeps the helpers testable without touching db.
+// none, and due is the scheduler's review timestamp (null if unscored;
+// see scheduler.js). Keeps the helpers testable without touching db.
 
-// The selection payload onSelect handlers expect. Normalizes `path` and
-// `solved` from whatever the source record provides.
+// The selection payload onSelect handlers expect. Normalizes `path`,
+// `solved` and `quizAt` from whatever the source record provides.
 export function toSelection(s) {
-  return { id: s.id, content: s.content, path: s.path || '', filename: s.filename, solved: !!s.solved }
+  return { id: s.id, content: s.content, path: s.path || '', filename: s.filename, solved: !!s.solved, quizAt: s.quizAt || null }
 }
 
 // SGFs at the given cwd, sorted by upload date then filename.
@@ -29,13 +30,30 @@ export function stepSibling(list, currentId, delta) {
   return list[(idx + delta + list.length) % list.length]
 }
 
+// Review timestamp for a solved problem. Solved-but-unscored records
+// (pre-score imports) count as due immediately.
+function dueOf(s, scoreLookup) {
+  return scoreLookup(s.id).due ?? 0
+}
+
+// Solved problems whose review is due at `now`, most overdue first.
+// Problems with moveCount === 0 are skipped (they have no exercise).
+export function dueForReview(list, scoreLookup, now = Date.now()) {
+  return list
+    .filter(s => s.solved && (s.moveCount || 0) > 0)
+    .map(s => ({ sgf: s, due: dueOf(s, scoreLookup) }))
+    .filter(d => d.due <= now)
+    .sort((a, b) => a.due - b.due)
+    .map(d => d.sgf)
+}
+
 // Returns { sgf, reason } or null.
-//   reason: 'unsolved'      — first unsolved sibling (cycling from currentId)
-//           'imperfect'     — all solved, pick first with best-accuracy < 1
-//           'least-recent'  — all perfect, least recently practiced
+//   reason: 'unsolved'  — first unsolved sibling (cycling from currentId)
+//           'due'       — all solved, most overdue review (scheduler.js)
+//           'upcoming'  — all solved, nothing due: the next one to come due
 // Problems with moveCount === 0 are skipped (they have no exercise).
 // currentId may be null: cycle starts from index 0.
-export function nextUnsolved(list, currentId, scoreLookup) {
+export function nextUnsolved(list, currentId, scoreLookup, now = Date.now()) {
   let pickable = list.filter(s => (s.moveCount || 0) > 0)
   if (pickable.length === 0) return null
   let curIdx = pickable.findIndex(s => s.id === currentId)
@@ -50,11 +68,54 @@ export function nextUnsolved(list, currentId, scoreLookup) {
   for (let s of order) {
     if (!s.solved) return { sgf: s, reason: 'unsolved' }
   }
-  for (let s of order) {
-    let { bestAccuracy } = scoreLookup(s.id)
-    if (bestAccuracy == null || bestAccuracy < 1) return { sgf: s, reason: 'imperfect' }
-  }
-  // All perfect — pick least recently practiced.
-  let sorted = [...pickable].sort((a, b) => scoreLookup(a.id).latestDate - scoreLookup(b.id).latestDate)
-  return sorted.length > 0 ? { sgf: sorted[0], reason: 'least-recent' } : null
+  let due = dueForReview(order, scoreLookup, now)
+  if (due.length > 0) return { sgf: due[0], reason: 'due' }
+  // Nothing due — the one whose review comes up soonest.
+  let sorted = [...pickable].sort((a, b) => dueOf(a, scoreLookup) - dueOf(b, scoreLookup))
+  return { sgf: sorted[0], reason: 'upcoming' }
+}
+
+// Variation drill (kv `quizVariations`): every root-to-leaf line of a
+// problem is an exercise of its own, wrong variations included (see
+// parseSgf). Records carry `variations`, the line count.
+
+// Score / replay / session key of one exercise: the sgf id for the main
+// line (so existing histories carry over), `<id>.<n>` for variation n.
+export function exerciseKey(id, variation = 0) {
+  return variation ? `${id}.${variation}` : id
+}
+
+// The problem an exercise key belongs to: its sgf id, whichever line.
+export function exerciseProblemId(key) {
+  return typeof key === 'string' ? Number(key.split('.')[0]) : key
+}
+
+// Like stepSibling, through every variation: within a problem delta
+// steps its lines; past either end it moves to the neighbouring sibling,
+// at its first line going forward and its last going back.
+// Returns { sgf, variation } or null if the list is empty.
+export function stepVariation(list, currentId, variation, delta) {
+  let current = list.find(s => s.id === currentId)
+  let v = variation + delta
+  if (current && v >= 0 && v < (current.variations || 1)) return { sgf: current, variation: v }
+  let next = stepSibling(list, currentId, delta)
+  if (!next) return null
+  return { sgf: next, variation: delta < 0 ? (next.variations || 1) - 1 : 0 }
+}
+
+// The next line of `sgf` after `variation` with no score yet, or null.
+export function nextUnscoredVariation(sgf, variation, scoreLookup) {
+  for (let v = variation + 1; v < (sgf.variations || 1); v++)
+    if (scoreLookup(exerciseKey(sgf.id, v)).bestAccuracy == null) return v
+  return null
+}
+
+// Per-variation progress for the library tile: { done, total }, done =
+// lines with a score (the main line also counts once solved).
+export function variationProgress(sgf, scoreLookup) {
+  let total = sgf.variations || 1
+  let done = 0
+  for (let v = 0; v < total; v++)
+    if (scoreLookup(exerciseKey(sgf.id, v)).bestAccuracy != null || (v === 0 && sgf.solved)) done++
+  return { done, total }
 }
@@ -1,5 +1,5 @@
 import { describe, it, expect } from 'vitest'
-import { siblings, stepSibling, nextUnsolved } from './navigation.js'
+import { siblings, stepSibling, nextUnsolved, dueForReview, exerciseKey, exerciseProblemId, stepVariation, nextUnscoredVariation, variationProgress } from './navigation.js'
 
 function mk(id, filename, path, extra = {}) {
   return { id, filename, path, moveCount: 1, uploadedAt: id * 100, solved: false, ...extra }
@@ -51,29 +51,31 @@ describe('nextUnsolved', () => {
     expect(nextUnsolved(list, 3, noScore).sgf.id).toBe(1)
   })
 
-  it('all solved → pick first imperfect (accuracy < 1)', () => {
+  it('all solved → pick most overdue review', () => {
     let list = [
       mk(1, 'a', '', { solved: true }),
       mk(2, 'b', '', { solved: true }),
+      mk(3, 'c', '', { solved: true }),
     ]
-    let scores = { 1: { bestAccuracy: 1, latestDate: 100 }, 2: { bestAccuracy: 0.8, latestDate: 200 } }
-    let r = nextUnsolved(list, 1, id => scores[id])
-    expect(r).toEqual({ sgf: list[1], reason: 'imperfect' })
+    let scores = { 1: { due: 500 }, 2: { due: 100 }, 3: { due: 2000 } }
+    let r = nextUnsolved(list, 1, id => scores[id], 1000)
+    expect(r).toEqual({ sgf: list[1], reason: 'due' })
   })
 
-  it('all perfect → pick least-recently practiced', () => {
+  it('nothing due → the one coming due soonest', () => {
     let list = [
       mk(1, 'a', '', { solved: true }),
       mk(2, 'b', '', { solved: true }),
       mk(3, 'c', '', { solved: true }),
     ]
-    let scores = {
-      1: { bestAccuracy: 1, latestDate: 300 },
-      2: { bestAccuracy: 1, latestDate: 100 },
-      3: { bestAccuracy: 1, latestDate: 200 },
-    }
-    let r = nextUnsolved(list, 1, id => scores[id])
-    expect(r).toEqual({ sgf: list[1], reason: 'least-recent' })
+    let scores = { 1: { due: 3000 }, 2: { due: 5000 }, 3: { due: 2000 } }
+    let r = nextUnsolved(list, 1, id => scores[id], 1000)
+    expect(r).toEqual({ sgf: list[2], reason: 'upcoming' })
+  })
+
+  it('solved without scores counts as due', () => {
+    let list = [mk(1, 'a', '', { solved: true })]
+    expect(nextUnsolved(list, null, noScore, 1000).reason).toBe('due')
   })
 
   it('skips moveCount=0 problems', () => {
@@ -85,3 +87,52 @@ describe('nextUnsolved', () => {
     expect(nextUnsolved([], null, noScore)).toBeNull()
   })
 })
+
+describe('dueForReview', () => {
+  it('solved, due problems across folders, most overdue first', () => {
+    let list = [
+      mk(1, 'a', 'x', { solved: true }),
+      mk(2, 'b', 'y', { solved: true }),
+      mk(3, 'c', 'x'),                                // unsolved
+      mk(4, 'd', 'y', { solved: true }),             // not yet due
+      mk(5, 'e', 'y', { solved: true, moveCount: 0 }),
+    ]
+    let scores = { 1: { due: 900 }, 2: { due: 100 }, 3: { due: 0 }, 4: { due: 5000 }, 5: { due: 0 } }
+    expect(dueForReview(list, id => scores[id], 1000).map(s => s.id)).toEqual([2, 1])
+  })
+})
+
+describe('variation drill', () => {
+  let list = [mk(1, 'a', '', { variations: 3 }), mk(2, 'b', ''), mk(3, 'c', '', { variations: 2 })]
+  let scored = keys => key => ({ bestAccuracy: keys.includes(key) ? 1 : null, latestDate: 0 })
+
+  it('the main line keeps the sgf id as its key', () => {
+    expect(exerciseKey(4)).toBe(4)
+    expect(exerciseKey(4, 0)).toBe(4)
+    expect(exerciseKey(4, 2)).toBe('4.2')
+    expect(exerciseProblemId(exerciseKey(4, 2))).toBe(4)
+    expect(exerciseProblemId(4)).toBe(4)
+  })
+
+  it('steps through a problem\'s lines, then on to its siblings', () => {
+    let step = (id, v, d) => { let r = stepVariation(list, id, v, d); return [r.sgf.id, r.variation] }
+    expect(step(1, 0, 1)).toEqual([1, 1])
+    expect(step(1, 2, 1)).toEqual([2, 0])
+    expect(step(2, 0, 1)).toEqual([3, 0])
+    expect(step(3, 0, -1)).toEqual([2, 0])
+    expect(step(2, 0, -1)).toEqual([1, 2])
+    expect(step(1, 0, -1)).toEqual([3, 1])  // wraps
+    expect(stepVariation([], 1, 0, 1)).toBeNull()
+  })
+
+  it('next unscored line of the same problem', () => {
+    expect(nextUnscoredVariation(list[0], 0, scored(['1.1']))).toBe(2)
+    expect(nextUnscoredVariation(list[0], 0, scored(['1.1', '1.2']))).toBeNull()
+    expect(nextUnscoredVariation(list[1], 0, noScore)).toBeNull()
+  })
+
+  it('progress counts scored lines, the main line also once solved', () => {
+    expect(variationProgress(list[0], scored(['1.2']))).toEqual({ done: 1, total: 3 })
+    expect(variationProgress({ ...list[0], solved: true }, scored(['1.2']))).toEqual({ done: 2, total: 3 })
+  })
+})
@@ -0,0 +1,49 @@
+// "Quiz at move K": liberty questions about an intermediate position
+// instead of the final one. The user holds the board at move K, keeps
+// reading to the end, then answers about move K. The setting is a short
+// text on the sgf record (`quizAt`): "12" for move 12, "10-20" for a
+// random move in that range. Pure, apart from promptQuizAt at the end.
+
+// Parse the setting text into { from, to }. Blank → null (the final
+// position, as usual); anything but "K" or "A-B" with 1 ≤ A ≤ B throws.
+export function parseQuizAt(text) {
+  let s = (text ?? '').trim()
+  if (!s) return null
+  let m = /^(\d+)(?:\s*-\s*(\d+))?$/.exec(s)
+  if (!m) throw new Error(`"${s}" is not a move number or range`)
+  let from = Number(m[1])
+  let to = m[2] == null ? from : Number(m[2])
+  if (from < 1 || to < from) throw new Error(`"${s}" is not a valid move range`)
+  return { from, to }
+}
+
+export function formatQuizAt(spec) {
+  if (!spec) return ''
+  return spec.from === spec.to ? String(spec.from) : `${spec.from}-${spec.to}`
+}
+
+// The move the questions are about in a sequence of `totalMoves`: the
+// range is clipped to the sequence and a range draws from `random` (a
+// single move doesn't). null when that is the last move — the usual
+// end-of-sequence exercise.
+export function resolveQuizMove(spec, totalMoves, random) {
+  if (!spec || totalMoves === 0) return null
+  let from = Math.min(spec.from, totalMoves)
+  let to = Math.min(spec.to, totalMoves)
+  let k = from === to ? from : from + Math.floor(random() * (to - from + 1))
+  return k < totalMoves ? k : null
+}
+
+// Browser glue shared by the per-problem and per-folder settings: ask
+// for a new setting. Returns the normalised text, null to clear it, or
+// undefined when cancelled or invalid (after telling the user why).
+export function promptQuizAt(what, current = '') {
+  let text = prompt(`${what} — ask the liberty questions about the position at move (e.g. 12, or 10-20 for a random one; blank for the final position):`, current)
+  if (text == null) return undefined
+  try {
+    return formatQuizAt(parseQuizAt(text)) || null
+  } catch (e) {
+    alert(e.message)
+    return undefined
+  }
+}
@@ -0,0 +1,43 @@
+import { describe, it, expect } from 'vitest'
+import { parseQuizAt, formatQuizAt, resolveQuizMove } from './quiz-at.js'
+
+describe('parseQuizAt', () => {
+  it('reads a move or a range; blank is the final position', () => {
+    expect(parseQuizAt('12')).toEqual({ from: 12, to: 12 })
+    expect(parseQuizAt(' 10 - 20 ')).toEqual({ from: 10, to: 20 })
+    expect(parseQuizAt('')).toBe(null)
+    expect(parseQuizAt(null)).toBe(null)
+  })
+
+  it('rejects anything else', () => {
+    expect(() => parseQuizAt('abc')).toThrow(/not a move number/)
+    expect(() => parseQuizAt('0')).toThrow(/not a valid/)
+    expect(() => parseQuizAt('20-10')).toThrow(/not a valid/)
+  })
+
+  it('round-trips through formatQuizAt', () => {
+    expect(formatQuizAt(parseQuizAt('7'))).toBe('7')
+    expect(formatQuizAt(parseQuizAt('3-9'))).toBe('3-9')
+    expect(formatQuizAt(null)).toBe('')
+  })
+})
+
+describe('resolveQuizMove', () => {
+  let never = () => { throw new Error('random drawn') }
+
+  it('a single move needs no draw', () => {
+    expect(resolveQuizMove({ from: 4, to: 4 }, 10, never)).toBe(4)
+  })
+
+  it('draws within the range', () => {
+    expect(resolveQuizMove({ from: 3, to: 6 }, 10, () => 0)).toBe(3)
+    expect(resolveQuizMove({ from: 3, to: 6 }, 10, () => 0.99)).toBe(6)
+  })
+
+  it('the last move or beyond is the usual final position', () => {
+    expect(resolveQuizMove({ from: 10, to: 10 }, 10, never)).toBe(null)
+    expect(resolveQuizMove({ from: 12, to: 15 }, 10, never)).toBe(null)
+    expect(resolveQuizMove({ from: 8, to: 15 }, 10, () => 0)).toBe(8)
+    expect(resolveQuizMove(null, 10, never)).toBe(null)
+  })
+})
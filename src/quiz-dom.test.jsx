@@ -53,6 +53,7 @@ describe('Layer B — DOM snapshot per fixture at final state', () => {
           onBack={noop}
           onSolved={noop}
           onProgress={noop}
+          onUnlocked={noop}
           onLoadError={noop}
           onNextUnsolved={noop}
           onPrev={noop}
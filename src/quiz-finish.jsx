@@ -1,10 +1,30 @@
+import { useState } from 'preact/hooks'
 import { StarsDisplay } from './scoring.js'
 import { getScores } from './db.js'
+import { shareResult, copyResult } from './share.js'
+
+const SHARE_STATUS = { shared: 'Shared', copied: 'Copied!', downloaded: 'Saved', failed: 'Could not share', cancelled: '' }
+
+// Copy / Share / Image buttons for a result card. `onImage` (optional)
+// renders and shares the PNG card; Share only shows with the Web Share API.
+export function ShareButtons({ text, onImage }) {
+  let [status, setStatus] = useState('')
+  let run = p => p.then(r => setStatus(SHARE_STATUS[r] ?? ''))
+  return (
+    <div class="share-row">
+      <button class="bar-btn" title="Copy the result to the clipboard" onClick={() => run(copyResult(text))}>Copy</button>
+      {typeof navigator !== 'undefined' && navigator.share &&
+        <button class="bar-btn" title="Share the result" onClick={() => run(shareResult(text))}>Share</button>}
+      {onImage && <button class="bar-btn" title="Share a picture of the final board" onClick={() => run(onImage())}>Image</button>}
+      {status && <span class="share-status">{status}</span>}
+    </div>
+  )
+}
 
 // End-of-session popup: stars/trophy display, points breakdown table,
-// threshold tiers, and a close button. `data` is the popupData field
-// produced by computeFinalizeData (effects.js).
-export function FinishPopup({ data, onClose }) {
+// threshold tiers, share buttons and a close button. `data` is the
+// popupData field produced by computeFinalizeData (effects.js).
+export function FinishPopup({ data, shareText, onShareImage, onClose }) {
   let schedule = data.schedule
   let lastIdx = schedule.length - 1
   let buckets = schedule
@@ -43,10 +63,14 @@ export function FinishPopup({ data, onClose }) {
           <td class="b-schedule">(max {data.maxSpeed} − took {data.elapsedSec}s)</td>
         </tr>
       </tbody></table>
+      {data.guesses?.total > 0 && <div class="finish-guesses" title="Next-move guesses: right on / one intersection off">
+        guessed {data.guesses.hit}/{data.guesses.total} moves ({Math.round(100 * data.guesses.hit / data.guesses.total)}%) · {data.guesses.near} near
+      </div>}
       <table class="finish-thresholds"><tbody>
         <tr class="thresh-points">{[1.0, 0.75, 0.50, 0.25, 0].map((f, i) => <td key={i} class={data.stars === 5 - i ? 'reached' : ''}>{Math.ceil(f * data.parScore)}</td>)}</tr>
         <tr class="thresh-reward">{['🏆', '🏅', '★★★', '★★', '★'].map((label, i) => <td key={i} class={data.stars === 5 - i ? 'reached' : ''}>{label}</td>)}</tr>
       </tbody></table>
+      {shareText && <ShareButtons text={shareText} onImage={onShareImage} />}
       <button class="finish-close" onClick={onClose}>OK</button>
     </div>
   )
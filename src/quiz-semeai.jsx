@@ -0,0 +1,42 @@
+import config from './config.js'
+
+const WINNERS = [[1, '● Black'], [-1, '○ White'], [0, 'Seki']]
+
+function colorName(sign) {
+  return sign === 1 ? 'Black' : 'White'
+}
+
+// The answer key with the counting spelled out, shared liberties included.
+export function raceSummary(race) {
+  let side = (sign, g) => `${colorName(sign)} ${g.exclusive} + ${race.shared} shared`
+  let result = race.winner === 0 ? 'seki' : `${colorName(race.winner)} wins by ${race.margin}`
+  return `${side(1, race.black)} vs ${side(-1, race.white)}, ${colorName(race.toMove)} to play: ${result}`
+}
+
+// Capture-race question under the board: pick the winner, then the
+// liberty difference (not asked for seki). After a submit the choice is
+// painted green/red; in review (`finished`) the counting is shown.
+export function SemeaiPicker({ race, answer, finished, onPick }) {
+  let winner = answer?.winner ?? null
+  let color = answer?.color ? ` semeai-${answer.color}` : ''
+  let margins = Array.from({ length: config.semeaiMaxLiberties + 1 }, (_, i) => i)
+  let pick = (w, m) => { if (!finished) onPick(w, m) }
+  return (
+    <div class={`semeai-picker${color}`}>
+      <div class="semeai-row">
+        <span class="semeai-label">Capture race:</span>
+        {WINNERS.map(([w, label]) =>
+          <button key={w} class={`bar-btn${winner === w ? ' semeai-chosen' : ''}`} disabled={finished}
+            onClick={() => pick(w, w === 0 ? 0 : answer?.margin ?? 0)}>{label}</button>)}
+      </div>
+      {winner != null && winner !== 0 && <div class="semeai-row">
+        <span class="semeai-label">by</span>
+        {margins.map(m =>
+          <button key={m} class={`bar-btn${answer.margin === m ? ' semeai-chosen' : ''}`} disabled={finished}
+            onClick={() => pick(winner, m)}>{m}</button>)}
+        <span class="semeai-label">{answer.margin === 1 ? 'liberty' : 'liberties'}</span>
+      </div>}
+      {finished && <div class="semeai-key">{raceSummary(race)}</div>}
+    </div>
+  )
+}
@@ -1,25 +1,29 @@
 import { useState, useEffect, useCallback, useRef } from 'preact/hooks'
+import config from './config.js'
 
-// Radial marking menu — angles in screen coords (0°=right/E, clockwise)
-// 6 arrows at 60° intervals. Going clockwise from straight up:
-// nomark(N), 1(NNE), 2(ESE), 3(S), 4(SSW), 5+(WNW). 3 points straight down.
-const WHEEL_ZONES = [
-  { value: 0, angle: 270, label: '' },
-  { value: 1, angle: 330, label: '1' },
-  { value: 2, angle: 30,  label: '2' },
-  { value: 3, angle: 90,  label: '3' },
-  { value: 4, angle: 150, label: '4' },
-  { value: 5, angle: 210, label: '5+' },
-]
+// Radial marking menu — angles in screen coords (0°=right/E, clockwise).
+// cap + 1 arrows at equal intervals; going clockwise from straight up:
+// nomark(N), 1, 2, …, cap+ (the liberty cap). With the default cap of 5
+// that is six 60° zones — nomark(N), 1(NNE), 2(ESE), 3(S), 4(SSW),
+// 5+(WNW) — and 3 points straight down.
+export function wheelZones(cap = config.maxLibertyLabel) {
+  let step = 360 / (cap + 1)
+  return Array.from({ length: cap + 1 }, (_, value) => ({
+    value,
+    angle: (270 + value * step) % 360,
+    label: value === 0 ? '' : value === cap ? `${cap}+` : String(value),
+  }))
+}
 
-export function getWheelZone(dx, dy) {
+export function getWheelZone(dx, dy, cap = config.maxLibertyLabel) {
+  let step = 360 / (cap + 1)
   let angle = Math.atan2(dy, dx) * 180 / Math.PI
   if (angle < 0) angle += 360
-  let shifted = (angle - 240 + 360) % 360
-  return Math.floor(shifted / 60)
+  let shifted = (angle - 270 + step / 2 + 360) % 360
+  return Math.floor(shifted / step)
 }
 
-export function RadialMenu({ cx, cy, activeZone, vertexSize, boardHeight }) {
+export function RadialMenu({ cx, cy, activeZone, vertexSize, boardHeight, cap = config.maxLibertyLabel }) {
   let maxDiameter = Math.min(window.innerWidth * 0.5, boardHeight * 0.5)
   let unit = maxDiameter / 6.7
   let rInner = unit * 0.6
@@ -55,7 +59,7 @@ export function RadialMenu({ cx, cy, activeZone, vertexSize, boardHeight }) {
       overflow: 'visible',
     }} viewBox={`${-size} ${-size} ${size * 2} ${size * 2}`}>
       <circle cx={0} cy={0} r={rLabel + vertexSize * 0.5} fill="rgba(255, 255, 255, 0.65)" />
-      {WHEEL_ZONES.map(z => {
+      {wheelZones(cap).map(z => {
         let rad = z.angle * toRad
         let lx = Math.cos(rad) * rLabel
         let ly = Math.sin(rad) * rLabel
@@ -88,6 +92,7 @@ export function RadialMenu({ cx, cy, activeZone, vertexSize, boardHeight }) {
 // - isLocked(vertex): predicate for pre-marked (non-editable) representatives
 // - commitMark(vertex, value): called when user releases / fast-flicks
 // - vertexSize: board vertex pixel size (for vicinity threshold)
+// - cap: the liberty cap — the wheel has cap + 1 zones
 // - boardRowRef: fallback ref to get board bounding rect when closest
 //   .shudan-goban is unavailable
 //
@@ -98,7 +103,7 @@ export function RadialMenu({ cx, cy, activeZone, vertexSize, boardHeight }) {
 //   onPointerDown  — wire into Goban's onVertexPointerDown
 //   onPointerUp    — wire into Goban's onVertexPointerUp (currently no-op
 //                    because window listener handles release)
-export function useWheel({ enabled, isLocked, commitMark, vertexSize, boardRowRef }) {
+export function useWheel({ enabled, isLocked, commitMark, vertexSize, boardRowRef, cap = config.maxLibertyLabel }) {
   let [wheel, setWheel] = useState(null)
   let wheelRef = useRef(null)
   let wheelUsedRef = useRef(false)
@@ -119,7 +124,7 @@ export function useWheel({ enabled, isLocked, commitMark, vertexSize, boardRowRe
     wheelUsedRef.current = true
     if (dist > vicinityThreshold) {
       // Fast flick — instant commit without showing wheel
-      commitMark(vertex, getWheelZone(dx, dy))
+      commitMark(vertex, getWheelZone(dx, dy, cap))
     } else {
       // Show wheel opposite vertically so the finger doesn't cover it.
       let boardEl = evt.currentTarget.closest('.shudan-goban') || boardRowRef.current
@@ -128,11 +133,11 @@ export function useWheel({ enabled, isLocked, commitMark, vertexSize, boardRowRe
       let clickedTop = cy < my
       let wcx = board.left + board.width / 2
       let wcy = clickedTop ? board.top + board.height * 3 / 4 : board.top + board.height / 4
-      let w = { vertex, cx, cy, wcx, wcy, boardHeight: board.height, active: getWheelZone(dx, dy) }
+      let w = { vertex, cx, cy, wcx, wcy, boardHeight: board.height, active: getWheelZone(dx, dy, cap) }
       wheelRef.current = w
       setWheel(w)
     }
-  }, [enabled, isLocked, commitMark, vertexSize, boardRowRef])
+  }, [enabled, isLocked, commitMark, vertexSize, boardRowRef, cap])
 
   let onPointerUp = useCallback(() => {}, [])
 
@@ -143,7 +148,7 @@ export function useWheel({ enabled, isLocked, commitMark, vertexSize, boardRowRe
       evt.preventDefault()
       let dx = evt.clientX - w.cx
       let dy = evt.clientY - w.cy
-      let active = getWheelZone(dx, dy)
+      let active = getWheelZone(dx, dy, cap)
       if (active !== w.active) {
         w.active = active
         setWheel({ ...w })
@@ -155,7 +160,7 @@ export function useWheel({ enabled, isLocked, commitMark, vertexSize, boardRowRe
       wheelRef.current = null
       let dx = evt.clientX - w.cx
       let dy = evt.clientY - w.cy
-      commitMark(w.vertex, getWheelZone(dx, dy))
+      commitMark(w.vertex, getWheelZone(dx, dy, cap))
       setWheel(null)
     }
     window.addEventListener('pointermove', onMove, { passive: false })
@@ -164,7 +169,7 @@ export function useWheel({ enabled, isLocked, commitMark, vertexSize, boardRowRe
       window.removeEventListener('pointermove', onMove)
       window.removeEventListener('pointerup', onUp)
     }
-  }, [vertexSize, commitMark])
+  }, [vertexSize, commitMark, cap])
 
   return { wheel, wheelUsedRef, onPointerDown, onPointerUp }
 }
@@ -1,5 +1,5 @@
 import { describe, it, expect } from 'vitest'
-import { getWheelZone } from './quiz-wheel.jsx'
+import { getWheelZone, wheelZones } from './quiz-wheel.jsx'
 
 // Pure angle → zone mapping. Six zones centered at 30° intervals starting
 // at 270° (north, because screen Y grows downward):
@@ -70,3 +70,25 @@ describe('getWheelZone — large magnitudes', () => {
     expect(getWheelZone(0.0001, 0)).toBe(2)
   })
 })
+
+describe('wheel with a higher liberty cap', () => {
+  it('has cap + 1 zones, labelled up to "cap+"', () => {
+    let zones = wheelZones(8)
+    expect(zones.map(z => z.label)).toEqual(['', '1', '2', '3', '4', '5', '6', '7', '8+'])
+    expect(zones[0].angle).toBe(270)
+    expect(zones[1].angle).toBe(310)
+  })
+
+  it('the default cap keeps the six 60° zones', () => {
+    expect(wheelZones().map(z => z.angle)).toEqual([270, 330, 30, 90, 150, 210])
+  })
+
+  it('maps each zone center back to its value', () => {
+    for (let z of wheelZones(8)) {
+      let rad = z.angle * Math.PI / 180
+      expect(getWheelZone(Math.cos(rad), Math.sin(rad), 8)).toBe(z.value)
+    }
+    expect(getWheelZone(0, -1, 8)).toBe(0)
+    expect(getWheelZone(-1, 0, 8)).toBe(7)
+  })
+})
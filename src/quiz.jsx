@@ -1,34 +1,102 @@
 import { useState, useEffect, useCallback, useRef, useMemo } from 'preact/hooks'
-import { init, step, phase, isLockedVertex } from './session.js'
+import { init, step, phase, finalized, isLockedVertex, canCheckpoint, resumeState, semeaiRace, guessPending, questionMove, illegalMoves, skippedTurn, shownSetup, nextPlacementSign, nextCaptureMark, nextMoveMark, currentMoveQuestion, moveQuestions } from './session.js'
 import { derive } from './derive.js'
 import { buildMaps, rotateMaps } from './display.js'
 import { pickBoardLayout, QuizBoard } from './quiz-board.jsx'
 import { RadialMenu, useWheel } from './quiz-wheel.jsx'
 import { FinishPopup, StatsBar } from './quiz-finish.jsx'
+import { SemeaiPicker } from './quiz-semeai.jsx'
 import { playCorrect, playWrong, playComplete, playStoneClick, playMark, resetStreak, isSoundEnabled, toggleSound } from './sounds.js'
-import { kv, kvSet, addReplay, getLatestReplay } from './db.js'
+import { kv, kvSet, kvRemove, addReplay, getLatestReplay, getLatestScoreDate, getSessionLogs } from './db.js'
 import config from './config.js'
-import { sideEffectsFor, computeFinalizeData } from './effects.js'
+import { sideEffectsFor, computeFinalizeData, unlockEffects } from './effects.js'
+import { checkAchievements } from './achievements.jsx'
+import { shareText, renderBoardCard, shareImage } from './share.js'
+import { parseQuizAt, promptQuizAt } from './quiz-at.js'
+import { illegalMoveSummary } from './legality.js'
+
+// Session config for a new attempt, from the user's quiz settings in kv.
+export function liveSessionConfig({ quizAt = null, variation = 0 } = {}) {
+  return {
+    maxSubmits: config.maxSubmits,
+    maxQuestions: parseInt(kv('quizMaxQ', '2')),
+    questionMode: kv('quizMode', 'liberties'),
+    semeaiQuestion: kv('quizSemeai', '0') === '1',
+    guessMoves: kv('quizGuess', '0') === '1',
+    // Honour maxQuestions. Replays recorded before this flag fold without the cap.
+    selectQuestions: true,
+    quizAt: parseQuizAt(quizAt),
+    libertyCap: parseInt(kv('quizLibCap', String(config.maxLibertyLabel))),
+    strictMoves: kv('quizStrict', '0') === '1',
+    // Passes are moves. Replays recorded before this flag fold without them.
+    keepPasses: true,
+    // Likewise mid-tree setup steps (AB/AW/AE below the root).
+    setupSteps: true,
+    variation,
+  }
+}
 
-export function Quiz({ sgf, sgfId, wasSolved, restored, initialEvents, onBack, onSolved, onProgress, onLoadError, onNextUnsolved, onPrev, onNext }) {
+// autoAdvance: run-style play (Rush). No resume offer and no finish
+// popup — the parent swaps in the next problem from onSolved.
+// shareLabel: prefix of the finish popup's share text ("TsumeSight").
+// quizAt: the problem's "quiz at move" setting text (see quiz-at.js);
+// onQuizAtChange(text | null) saves a new one, used from the next attempt.
+// variation: which line of the SGF to play (0 = main line); sgfId is then
+// that line's own score key (see navigation.js exerciseKey).
+// kvPrefix: prepended to the live log and replay keys, for runs kept out
+// of the problem's own history (daily.js DAILY_KV_PREFIX).
+// onUnlocked(achievement): a finalize unlocked it; app.jsx shows the
+// toast, since an autoAdvance Quiz is gone before the check resolves.
+export function Quiz({ sgf, sgfId, wasSolved, restored, initialEvents, autoAdvance, shareLabel = 'TsumeSight', quizAt = null, variation = 0, kvPrefix = '', onQuizAtChange, onBack, onSolved, onProgress, onUnlocked, onLoadError, onNextUnsolved, onPrev, onNext }) {
   let [maxQ] = useState(() => parseInt(kv('quizMaxQ', '2')))
-  let sessionConfig = useMemo(() => ({ maxSubmits: config.maxSubmits, maxQuestions: maxQ }), [maxQ])
+  let [liveConfig, setLiveConfig] = useState(() => liveSessionConfig({ quizAt, variation }))
 
   // Initial events: explicit `initialEvents` prop wins (tests inject
   // fixture events here). Otherwise, if reopening a solved puzzle,
   // fold its stored replay. Otherwise start fresh.
   let [initState] = useState(() => {
-    if (initialEvents) return { events: initialEvents, autoSolved: true }
+    if (initialEvents) return { events: initialEvents, autoSolved: true, config: {} }
     let events = []
     let autoSolved = false
+    let recordConfig = null
     if (wasSolved && restored) {
       let record = getLatestReplay(sgfId)
       if (record?.events?.length > 0) {
         events = record.events
         autoSolved = true
+        recordConfig = record.config || {}
       }
     }
-    return { events, autoSolved }
+    return { events, autoSolved, config: recordConfig }
+  })
+
+  // Stored events fold under the config they were recorded with; flags
+  // an older record lacks keep their old (off) behaviour. Restart drops
+  // back to the live settings.
+  let [replayConfig, setReplayConfig] = useState(() => initState.autoSolved
+    ? { maxSubmits: config.maxSubmits, maxQuestions: maxQ, ...initState.config }
+    : null)
+  let sessionConfig = replayConfig || liveConfig
+  let questionMode = sessionConfig.questionMode || 'liberties'
+  let libertyCap = sessionConfig.libertyCap || config.maxLibertyLabel
+  let recall = questionMode === 'stones'
+  let captures = questionMode === 'captures'
+  let moves = questionMode === 'moves'
+  let libpoints = questionMode === 'libpoints'
+
+  // Unfinished attempt left behind when the app was closed or killed
+  // mid-problem: the newest live `session:*` log started after the latest
+  // score that still folds to an unfinished state. Offered on mount; only
+  // folded in if the user accepts.
+  let [resumeOffer, setResumeOffer] = useState(() => {
+    if (initState.autoSolved || autoAdvance) return null
+    let latestScore = getLatestScoreDate(sgfId)
+    for (let log of getSessionLogs(sgfId, kvPrefix)) {
+      if (log.startTime < latestScore) break
+      let s = resumeState(sgf, sessionConfig, log.events)
+      if (s) return { key: log.key, events: log.events, moveNumber: s.engine.moveNumber, moveCount: s.engine.moveCount, inExercise: phase(s) === 'exercise' }
+    }
+    return null
   })
 
   let [error, setError] = useState(null)
@@ -97,14 +165,37 @@ export function Quiz({ sgf, sgfId, wasSolved, restored, initialEvents, onBack, o
   // First dispatch also pins the session kv key so the live event log
   // survives a reload.
   function dispatch(evt) {
+    if (resumeOffer) setResumeOffer(null)
     if (startTimeRef.current == null) {
       startTimeRef.current = performance.now()
-      sessionKeyRef.current = `session:${sgfId}:${Date.now()}`
+      sessionKeyRef.current = `${kvPrefix}session:${sgfId}:${Date.now()}`
     }
     let t = evt.t ?? Math.round(performance.now() - startTimeRef.current)
     setEvents(e => [...e, { ...evt, t }])
   }
 
+  // Resume: adopt the old log wholesale — same kv key, clocks shifted so
+  // the last logged event lands at "now". The time the app was closed
+  // never counts toward elapsed time or the speed score; only the
+  // before-first-tap pause of the original attempt is lost. Marking the
+  // folded events as already seen keeps their sounds from replaying.
+  function resumeSession() {
+    let { key, events: logged } = resumeOffer
+    let lastT = logged.at(-1).t ?? 0
+    startTimeRef.current = performance.now() - lastT
+    loadTimeRef.current = startTimeRef.current
+    sessionKeyRef.current = key
+    lastEventIdxRef.current = logged.length - 1
+    setResumeOffer(null)
+    setEvents(logged)
+  }
+
+  // Start over: the declined log is discarded so it isn't offered again.
+  function discardResume() {
+    kvRemove(resumeOffer.key)
+    setResumeOffer(null)
+  }
+
   // Eager persistence: on every events change, mirror the full log into
   // kv. Review-mode sessions (autoSolved) skip this — they'd just
   // duplicate an already-finalized replay.
@@ -116,11 +207,11 @@ export function Quiz({ sgf, sgfId, wasSolved, restored, initialEvents, onBack, o
   }, [events])
 
   // Run a single effect descriptor from sideEffectsFor. Closure over
-  // setWrongFlash + onProgress captures the UI-level targets.
+  // setWrongFlash + onProgress + onUnlocked captures the UI-level targets.
   function runEffect(e) {
     switch (e.kind) {
       case 'sound/stoneClick': playStoneClick(); break
-      case 'sound/mark': playMark(e.value); break
+      case 'sound/mark': playMark(e.value, e.max); break
       case 'sound/correct': playCorrect(); break
       case 'sound/wrong': playWrong(); break
       case 'wrongFlash':
@@ -133,6 +224,9 @@ export function Quiz({ sgf, sgfId, wasSolved, restored, initialEvents, onBack, o
       case 'cooldown':
         setCooldownUntil(Date.now() + e.seconds * 1000)
         break
+      case 'unlocked':
+        onUnlocked(e)
+        break
     }
   }
 
@@ -154,8 +248,8 @@ export function Quiz({ sgf, sgfId, wasSolved, restored, initialEvents, onBack, o
 
   // Finalize effect: computeFinalizeData folds the scoring math; the
   // runner fans out into addReplay / onSolved / setFinishPopup /
-  // playComplete. Gated by solvedRef so it fires exactly once per
-  // session.
+  // playComplete, then checks achievements against the updated history.
+  // Gated by solvedRef so it fires exactly once per session.
   useEffect(() => {
     if (!state) return
     if (phase(state) !== 'finished' || solvedRef.current) return
@@ -169,9 +263,21 @@ export function Quiz({ sgf, sgfId, wasSolved, restored, initialEvents, onBack, o
     }
     let data = computeFinalizeData(state, ctx)
     playComplete(data.stars)
-    addReplay(sgfId, data.date, data.replayPayload)
-    onSolved(data.correct, data.total, data.scoreEntry)
-    setFinishPopup(data.popupData)
+    addReplay(sgfId, data.date, data.replayPayload, kvPrefix)
+    onSolved(data.correct, data.total, data.scoreEntry, data.popupData)
+    if (!autoAdvance) setFinishPopup(data.popupData)
+    // An unreadable history only costs the toast, never the finished quiz.
+    checkAchievements(kvPrefix ? null : data.replayPayload)
+      .then(list => unlockEffects(list).forEach(runEffect))
+      .catch(() => {})
+  }, [state])
+
+  // Checkpoint finalize: a mid-sequence exercise doesn't end the session.
+  // Snap the played stones into the visible position (rebase) and drop the
+  // user back into the showing phase for the next segment.
+  useEffect(() => {
+    if (!state) return
+    if (state.checkpointActive && finalized(state)) dispatch({ kind: 'rebase' })
   }, [state])
 
   if (error) {
@@ -190,6 +296,11 @@ export function Quiz({ sgf, sgfId, wasSolved, restored, initialEvents, onBack, o
 
   let inExercise = phase(state) === 'exercise'
   let isFinished = phase(state) === 'finished'
+  // The capture race is asked once the exercise starts (the engine reads
+  // it on the last move).
+  let race = state.hasExercise && (inExercise || isFinished) ? semeaiRace(state) : null
+  let answers = recall ? state.placements : state.marks
+  let hasMarks = answers.size > 0 || state.semeaiAnswer?.winner != null
 
   function dispatchAdvance() {
     if (phase(state) !== 'showing') return
@@ -200,9 +311,14 @@ export function Quiz({ sgf, sgfId, wasSolved, restored, initialEvents, onBack, o
     if (willClick) playStoneClick()
   }
 
+  function dispatchCheckpoint() {
+    if (!canCheckpoint(state)) return
+    dispatch({ kind: 'checkpoint' })
+  }
+
   function dispatchSubmit() {
     if (!inExercise) return
-    if (state.marks.size === 0) return
+    if (!hasMarks) return
     if (cooldownActive) return
     dispatch({ kind: 'submit' })
     // Sound + wrong-flash + onProgress + cooldown + finalize handled in useEffects.
@@ -215,11 +331,12 @@ export function Quiz({ sgf, sgfId, wasSolved, restored, initialEvents, onBack, o
 
   let isLocked = useCallback(v => isLockedVertex(state, v), [state])
   let { wheel, wheelUsedRef, onPointerDown: onVertexPointerDown, onPointerUp: onVertexPointerUp } = useWheel({
-    enabled: inExercise,
+    enabled: inExercise && questionMode === 'liberties',
     isLocked,
     commitMark,
     vertexSize,
     boardRowRef,
+    cap: libertyCap,
   })
 
   function doRewind() {
@@ -236,6 +353,8 @@ export function Quiz({ sgf, sgfId, wasSolved, restored, initialEvents, onBack, o
     setWrongFlash(false)
     setCooldownUntil(0)
     resetStreak()
+    setLiveConfig(c => ({ ...c, quizAt: parseQuizAt(quizAt) }))
+    setReplayConfig(null)
     setEvents([])
   }
 
@@ -243,10 +362,21 @@ export function Quiz({ sgf, sgfId, wasSolved, restored, initialEvents, onBack, o
     if (wheelUsedRef.current) { wheelUsedRef.current = false; return }
     if (confirmExit) { setConfirmExit(false); return }
     if (phase(state) === 'showing') {
+      // Guess mode: the tap is the guess, then the move is revealed.
+      if (guessPending(state)) dispatch({ kind: 'guess', vertex })
       dispatchAdvance()
       return
     }
-    // Exercise: marking handled by radial menu (pointer events)
+    // Stone recall / captures / liberty points / move order: taps place
+    // stones, toggle point marks or answer the current move question.
+    // Liberty marking is handled by the radial menu (pointer events).
+    if (!inExercise || finalized(state)) return
+    if (recall) dispatch({ kind: 'placeStone', vertex, sign: nextPlacementSign(state, vertex) })
+    else if (captures || libpoints) dispatch({ kind: 'setMark', vertex, value: nextCaptureMark(state, vertex) })
+    else if (moves) {
+      let value = nextMoveMark(state, vertex)
+      if (value != null) dispatch({ kind: 'setMark', vertex, value })
+    }
   }, [state, confirmExit])
 
   let tryBack = useCallback(() => {
@@ -263,7 +393,8 @@ export function Quiz({ sgf, sgfId, wasSolved, restored, initialEvents, onBack, o
       if (e.key === 'Escape') { e.preventDefault(); tryBack() }
       else if (e.key === 'Enter') {
         e.preventDefault()
-        if (isFinished) onNextUnsolved()
+        if (resumeOffer) resumeSession()
+        else if (isFinished) onNextUnsolved()
         else if (inExercise) dispatchSubmit()
       }
       else if (e.key === 'r' || e.key === 'R') {
@@ -276,6 +407,10 @@ export function Quiz({ sgf, sgfId, wasSolved, restored, initialEvents, onBack, o
         if (inExercise) dispatchSubmit()
         else if (phase(state) === 'showing') dispatchAdvance()
       }
+      else if (e.key === 'm' || e.key === 'M') {
+        e.preventDefault()
+        dispatchCheckpoint()
+      }
     }
     window.addEventListener('keydown', onKeyDown)
     return () => window.removeEventListener('keydown', onKeyDown)
@@ -285,8 +420,8 @@ export function Quiz({ sgf, sgfId, wasSolved, restored, initialEvents, onBack, o
   let engine = state.engine
   let rangeX = engine.boardRange ? [engine.boardRange[0], engine.boardRange[2]] : undefined
   let rangeY = engine.boardRange ? [engine.boardRange[1], engine.boardRange[3]] : undefined
-  let cols = rangeX ? rangeX[1] - rangeX[0] + 1 : engine.boardSize
-  let rows = rangeY ? rangeY[1] - rangeY[0] + 1 : engine.boardSize
+  let cols = rangeX ? rangeX[1] - rangeX[0] + 1 : engine.boardWidth
+  let rows = rangeY ? rangeY[1] - rangeY[0] + 1 : engine.boardHeight
   useEffect(() => {
     let el = boardRowRef.current
     let bb = bottomBarRef.current
@@ -335,10 +470,16 @@ export function Quiz({ sgf, sgfId, wasSolved, restored, initialEvents, onBack, o
     ? (evt, [x, y]) => onVertexPointerUp(evt, [y, x])
     : onVertexPointerUp
 
-  let hasMarks = state.marks.size > 0
   let showingMoveClass = phase(state) === 'showing' && engine.showingMove ? ' showing-move' : ''
-  let hasEvalColors = [...state.marks.values()].some(m => m.color)
+  let hasEvalColors = [...answers.values()].some(m => m.color) || !!state.semeaiAnswer?.color
   let feedbackClass = hasEvalColors && inExercise ? ' lib-feedback' : ''
+  let moveQuestion = moves && inExercise && !finalized(state) ? currentMoveQuestion(state) : null
+  let quizMove = questionMove(state)
+  let changeQuizAt = () => {
+    let next = promptQuizAt('This problem', quizAt || '')
+    if (next !== undefined) onQuizAtChange(next)
+  }
+  let showCheckpoint = sessionConfig.maxQuestions > 0 && questionMode === 'liberties' && phase(state) === 'showing'
 
   return (
     <div class="quiz">
@@ -356,12 +497,27 @@ export function Quiz({ sgf, sgfId, wasSolved, restored, initialEvents, onBack, o
           onVertexPointerDown={handlePointerDown}
           onVertexPointerUp={handlePointerUp}
         />
-        {finishPopup && <FinishPopup data={finishPopup} onClose={() => setFinishPopup(null)} />}
+        {finishPopup && (() => {
+          let text = shareText(shareLabel, finishPopup)
+          let onShareImage = () => renderBoardCard(engine.trueBoard.signMap, { rangeX, rangeY, caption: text })
+            .then(blob => blob ? shareImage(blob, text) : 'failed')
+          return <FinishPopup data={finishPopup} shareText={text} onShareImage={onShareImage} onClose={() => setFinishPopup(null)} />
+        })()}
       </div>
-      {wheel && <RadialMenu cx={wheel.wcx} cy={wheel.wcy} activeZone={wheel.active} vertexSize={vertexSize} boardHeight={wheel.boardHeight} />}
+      {wheel && <RadialMenu cx={wheel.wcx} cy={wheel.wcy} activeZone={wheel.active} vertexSize={vertexSize} boardHeight={wheel.boardHeight} cap={libertyCap} />}
 
       <div class="bottom-bar" ref={bottomBarRef}>
-        {confirmExit
+        {resumeOffer && !confirmExit
+          ? <>
+              <div class="action-hint">
+                Unfinished attempt: {resumeOffer.inExercise ? (recall ? 'placing stones' : captures ? 'marking captures' : libpoints ? 'marking liberty points' : moves ? 'answering moves' : 'marking liberties') : `move ${resumeOffer.moveNumber}/${resumeOffer.moveCount}`}. Resume?
+              </div>
+              <div class="bottom-bar-row">
+                <button class="bar-btn" title="Discard the unfinished attempt" onClick={discardResume}>Start over</button>
+                <button class="next-hero" title="Resume where you left off (Enter)" onClick={resumeSession}>Resume</button>
+              </div>
+            </>
+          : confirmExit
           ? <>
               <div class="action-hint">Exit this problem?</div>
               <div class="bottom-bar-row">
@@ -370,6 +526,21 @@ export function Quiz({ sgf, sgfId, wasSolved, restored, initialEvents, onBack, o
               </div>
             </>
           : <>
+              {illegalMoves(state).length > 0 && !inExercise && <div class="action-hint hint-warning">
+                &#x26A0; {illegalMoveSummary(illegalMoves(state), state.strictMoves)}
+              </div>}
+              {engine.variationCount > 1 && (state.variation > 0 || kv('quizVariations', '0') === '1') &&
+                <div class="action-hint">
+                  {state.variation > 0 ? `Variation ${state.variation + 1}` : 'Main line'} of {engine.variationCount}
+                  {engine.wrongVariation && <> — <span class="hint-blue">wrong</span> variation</>}
+                </div>}
+              {quizMove != null && (!isFinished || state.hasExercise) &&
+                <QuizAtHint state={state} move={quizMove} libpoints={libpoints} />}
+              {moveQuestion && <div class="action-hint">
+                Tap <span class="hint-blue">move {moveQuestion.moveNumber}</span> ({moveQuestions(state).indexOf(moveQuestion) + 1}/{moveQuestions(state).length})
+              </div>}
+              {race && <SemeaiPicker race={race} answer={state.semeaiAnswer} finished={isFinished}
+                onPick={(winner, margin) => dispatch({ kind: 'setSemeai', winner, margin })} />}
               {inExercise
                 ? <button
                     class={`next-hero${hasMarks ? '' : ' next-hero-hidden'}${cooldownActive ? ' next-hero-cooldown' : ''}`}
@@ -380,12 +551,26 @@ export function Quiz({ sgf, sgfId, wasSolved, restored, initialEvents, onBack, o
                       ? `Fix marks — ${cooldownRemaining}s`
                       : hasMarks
                         ? 'Done'
-                        : 'Press and swipe each group to set its liberty count'}
+                        : recall
+                          ? 'Tap to rebuild the final position — tap again to change colour'
+                          : captures
+                            ? 'Tap every intersection where a stone was captured'
+                            : libpoints
+                              ? 'Tap every liberty of the circled groups'
+                              : moves
+                                ? 'Tap where each asked move was played'
+                                : 'Press and swipe each group to set its liberty count'}
                   </button>
+                : guessPending(state)
+                  ? <div class="action-hint"><StepNote state={state} /><span class="hint-blue">Tap</span> where you think move {engine.moveNumber + 1} goes. <span class="hint-blue">Remember</span> the variation. Move {engine.moveNumber}/{engine.moveCount}.</div>
                 : phase(state) === 'showing'
-                  ? <div class="action-hint"><span class="hint-blue">Tap</span> board to advance. <span class="hint-blue">Remember</span> the variation. Move {state.cursor}/{state.totalMoves}.</div>
+                  ? <div class="action-hint"><StepNote state={state} /><span class="hint-blue">Tap</span> board to advance. <span class="hint-blue">Remember</span> the variation. Move {engine.moveNumber}/{engine.moveCount}.</div>
                   : null}
               {isFinished && <StatsBar sgfId={sgfId} />}
+              {isFinished && onQuizAtChange && (questionMode === 'liberties' || libpoints) &&
+                <button class="bar-btn quiz-at-btn" title="Ask the liberty questions about an earlier move (from the next attempt)" onClick={changeQuizAt}>
+                  Questions at {quizAt ? `move ${quizAt}` : 'the final position'} &#x270E;
+                </button>}
               <div class="bottom-bar-row">
                 <button class="bar-btn nav-btn" title={`Sound ${soundOn ? 'on' : 'off'}`} onClick={() => { setSoundOn(toggleSound()) }}>
                   <span class="nav-icon">{soundOn ? '\uD83D\uDD0A' : '\uD83D\uDD07'}</span>
@@ -395,10 +580,10 @@ export function Quiz({ sgf, sgfId, wasSolved, restored, initialEvents, onBack, o
                   <span class="nav-icon">{showSeqStones ? '\uD83D\uDCAD' : '\uD83D\uDC41'}</span>
                   <span class="nav-label">{showSeqStones ? 'Hide' : 'Show'}</span>
                 </button>}
-                <button class="bar-btn nav-btn" title="Previous problem" onClick={onPrev}>
+                {onPrev && <button class="bar-btn nav-btn" title="Previous problem" onClick={onPrev}>
                   <span class="nav-icon">&#x25C2;</span>
                   <span class="nav-label">Prev</span>
-                </button>
+                </button>}
                 <button class="bar-btn nav-btn" title="Back to library (Esc)" onClick={tryBack}>
                   <span class="nav-icon">&#x25B4;</span>
                   <span class="nav-label">Back</span>
@@ -407,7 +592,11 @@ export function Quiz({ sgf, sgfId, wasSolved, restored, initialEvents, onBack, o
                   <span class="nav-icon">&#x25B8;</span>
                   <span class="nav-label">Next</span>
                 </button>
-                {!isFinished && <button class="bar-btn nav-btn" title="Rewind to move 1 (R)" onClick={doRewind}>
+                {showCheckpoint && <button class="bar-btn nav-btn" title="Mark liberties at this position (M)" disabled={!canCheckpoint(state)} onClick={dispatchCheckpoint}>
+                  <span class="nav-icon">&#x270E;</span>
+                  <span class="nav-label">Mark Libs</span>
+                </button>}
+                {!isFinished && <button class="bar-btn nav-btn" title={`Rewind to move ${state.segmentStart + 1} (R)`} onClick={doRewind}>
                   <span class="nav-icon">&#x21BA;</span>
                   <span class="nav-label">Rewind</span>
                 </button>}
@@ -423,3 +612,35 @@ export function Quiz({ sgf, sgfId, wasSolved, restored, initialEvents, onBack, o
   )
 }
 
+// Before the showing hint: "White passes." when the move shown is a pass,
+// "White played elsewhere." when Black plays twice in a row, and what a
+// setup step changed ("Position changes: 2 black stones added.").
+function StepNote({ state }) {
+  let setup = shownSetup(state)
+  if (setup) {
+    let stones = (n, what) => `${n} ${what}${n > 1 ? 's' : ''}`
+    let parts = [
+      setup.black.length > 0 && `${stones(setup.black.length, 'black stone')} added`,
+      setup.white.length > 0 && `${stones(setup.white.length, 'white stone')} added`,
+      setup.empty.length > 0 && `${stones(setup.empty.length, 'point')} cleared`,
+    ].filter(Boolean)
+    return <><span class="hint-blue">Position changes:</span> {parts.join(', ')}. </>
+  }
+  let skipped = skippedTurn(state)
+  if (!skipped) return null
+  let side = skipped.sign === 1 ? 'Black' : 'White'
+  return <><span class="hint-blue">{side} {skipped.pass ? 'passes' : 'played elsewhere'}.</span> </>
+}
+
+// "Quiz at move K" hint: which position the questions are about, with a
+// nudge to hold it when the sequence reaches it.
+function QuizAtHint({ state, move, libpoints }) {
+  let at = <span class="hint-blue">move {move}</span>
+  if (phase(state) !== 'showing')
+    return <div class="action-hint">{libpoints ? 'Liberty points' : 'Liberties'} at {at}</div>
+  // A setup step after move K is already past the position asked about.
+  let { moveNumber } = state.engine
+  if (moveNumber === move && !shownSetup(state))
+    return <div class="action-hint"><span class="hint-blue">Hold</span> this position — the questions are about {at}.</div>
+  return <div class="action-hint">Questions about the position at {at}{moveNumber >= move ? ' — keep reading to the end' : ''}.</div>
+}
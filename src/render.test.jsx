@@ -43,6 +43,14 @@ describe('Goban basic rendering', () => {
     expect(vertices.length).toBe(81)
   })
 
+  it('renders a rectangular SZ[9:5] position with 45 vertices', () => {
+    let engine = new QuizEngine('(;SZ[9:5]AB[ae]AW[be];W[ad])')
+    let c = renderGoban({ signMap: engine.getDisplaySignMap() })
+    expect(c.querySelectorAll('.shudan-vertex').length).toBe(45)
+    expect(getVertex(c, 8, 4)).not.toBeNull()
+    expect(getVertex(c, 0, 4).classList.contains('shudan-sign_1')).toBe(true)
+  })
+
   it('vertex has correct data-x and data-y attributes', () => {
     let c = renderGoban()
     let v = getVertex(c, 2, 3)
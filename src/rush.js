@@ -0,0 +1,97 @@
+// Rush mode: solve as many problems from one folder as possible inside a
+// fixed time window (or untimed, until the folder runs out). Score is the
+// total number of correct groups across every problem finished in time.
+//
+// Pure run bookkeeping — rush.jsx owns the clock and the UI. A run is a
+// plain object replaced (not mutated) on every change so it can live in
+// component state directly:
+//   { variant, queue, index, results: [{sgfId, correct, total}],
+//     startedAt, endedAt }
+
+export const RUSH_VARIANTS = {
+  '3min': { label: '3 min', ms: 3 * 60 * 1000 },
+  '5min': { label: '5 min', ms: 5 * 60 * 1000 },
+  untimed: { label: 'Untimed', ms: null },
+}
+
+function assert(cond, msg) {
+  if (!cond) throw new Error(msg)
+}
+
+// Problems with an exercise, shuffled — the point of a rush is not knowing
+// what comes next. `random` is injectable so tests can pin the order.
+export function rushQueue(list, random = Math.random) {
+  let queue = list.filter(s => (s.moveCount || 0) > 0)
+  for (let i = queue.length - 1; i > 0; i--) {
+    let j = Math.floor(random() * (i + 1))
+    ;[queue[i], queue[j]] = [queue[j], queue[i]]
+  }
+  return queue
+}
+
+export function initRun(variant, queue, now) {
+  assert(variant in RUSH_VARIANTS, `unknown rush variant ${variant}`)
+  return { variant, queue, index: 0, results: [], startedAt: now, endedAt: null }
+}
+
+export function currentProblem(run) {
+  return run.queue[run.index] || null
+}
+
+// Time left in ms, or null for untimed runs. Never negative.
+export function remainingMs(run, now) {
+  let limit = RUSH_VARIANTS[run.variant].ms
+  if (limit == null) return null
+  return Math.max(0, run.startedAt + limit - now)
+}
+
+export function runOver(run, now) {
+  if (run.endedAt != null) return true
+  if (run.index >= run.queue.length) return true
+  return remainingMs(run, now) === 0
+}
+
+// A finalized problem: bank its groups and move on. Results landing after
+// the clock ran out don't count — the run is already over.
+export function recordResult(run, { correct, total }, now) {
+  if (runOver(run, now)) return run
+  let sgfId = currentProblem(run).id
+  return { ...run, index: run.index + 1, results: [...run.results, { sgfId, correct, total }] }
+}
+
+// Skip the current problem without scoring it.
+export function skipProblem(run, now) {
+  if (runOver(run, now)) return run
+  return { ...run, index: run.index + 1 }
+}
+
+export function endRun(run, now) {
+  if (run.endedAt != null) return run
+  return { ...run, endedAt: now }
+}
+
+export function runScore(run) {
+  return run.results.reduce((s, r) => s + r.correct, 0)
+}
+
+// The history entry persisted per variant (kv `rush:<variant>`).
+export function runSummary(run, now) {
+  let end = run.endedAt ?? now
+  let limit = RUSH_VARIANTS[run.variant].ms
+  return {
+    date: end,
+    score: runScore(run),
+    problems: run.results.length,
+    perfect: run.results.filter(r => r.correct === r.total).length,
+    groups: run.results.reduce((s, r) => s + r.total, 0),
+    durationMs: limit == null ? end - run.startedAt : Math.min(limit, end - run.startedAt),
+  }
+}
+
+// Best history entry: highest score, faster run breaks ties.
+export function rushBest(history) {
+  if (!history || history.length === 0) return null
+  return history.reduce((best, h) =>
+    h.score > best.score || (h.score === best.score && h.durationMs < best.durationMs) ? h : best
+  )
+}
@@ -0,0 +1,106 @@
+import { useState, useEffect } from 'preact/hooks'
+import { Quiz } from './quiz.jsx'
+import { getAllSgfs, updateSgf, addScore, getRushHistory, addRushRun } from './db.js'
+import { siblings } from './navigation.js'
+import {
+  RUSH_VARIANTS, rushQueue, initRun, currentProblem, remainingMs, runOver,
+  recordResult, skipProblem, endRun, runScore, runSummary, rushBest,
+} from './rush.js'
+
+export function formatClock(ms) {
+  let sec = Math.ceil(ms / 1000)
+  return `${Math.floor(sec / 60)}:${String(sec % 60).padStart(2, '0')}`
+}
+
+// Rush run over the problems directly in `path`. Mounts one <Quiz> per
+// problem in autoAdvance mode; each finalize banks its correct groups and
+// swaps in the next problem. The run ends when the clock hits zero, the
+// folder runs out, or the user exits — then the summary screen shows the
+// score against the variant's personal best.
+export function Rush({ variant, path, onExit, onUnlocked }) {
+  let [run, setRun] = useState(null)
+  let [summary, setSummary] = useState(null)
+  let [, setTick] = useState(0)
+  let timed = RUSH_VARIANTS[variant].ms != null
+
+  let start = async () => {
+    let all = await getAllSgfs()
+    setSummary(null)
+    setRun(initRun(variant, rushQueue(siblings(all, path)), Date.now()))
+  }
+  useEffect(() => { start() }, [])
+
+  // Countdown ticker: re-render 4×/s so the clock and the end check run.
+  useEffect(() => {
+    if (!run || summary || !timed) return
+    let id = setInterval(() => setTick(n => n + 1), 250)
+    return () => clearInterval(id)
+  }, [run != null, summary, timed])
+
+  // End of run: persist the history entry once and flip to the summary.
+  useEffect(() => {
+    if (!run || summary || !runOver(run, Date.now())) return
+    let entry = runSummary(endRun(run, Date.now()), Date.now())
+    let prevBest = rushBest(getRushHistory(variant))
+    addRushRun(variant, entry)
+    setSummary({ ...entry, prevBest })
+  })
+
+  if (summary) return <RushSummary variant={variant} summary={summary} onAgain={start} onExit={onExit} />
+  if (!run) return <p class="loading">Loading...</p>
+  let sgf = currentProblem(run)
+  if (!sgf || runOver(run, Date.now())) return null
+
+  let onSolved = (correct, total, scoreEntry) => {
+    updateSgf(sgf.id, { solved: true, correct, done: total })
+    if (scoreEntry) addScore(sgf.id, scoreEntry)
+    setRun(r => recordResult(r, { correct, total }, Date.now()))
+  }
+  let skip = () => setRun(r => skipProblem(r, Date.now()))
+  let stop = () => setRun(r => endRun(r, Date.now()))
+  let left = remainingMs(run, Date.now())
+
+  return <>
+    <div class={`rush-bar${timed && left < 10000 ? ' rush-bar-urgent' : ''}`}>
+      {timed ? `⏱ ${formatClock(left)}` : RUSH_VARIANTS[variant].label}
+      {' · '}{runScore(run)} groups · #{run.index + 1}
+    </div>
+    <Quiz key={`${run.index}:${sgf.id}`} sgf={sgf.content} sgfId={sgf.id}
+      wasSolved={false} restored={false} autoAdvance
+      onBack={stop} onSolved={onSolved}
+      onProgress={({ correct, done, total }) => updateSgf(sgf.id, { correct, done, total })}
+      onUnlocked={onUnlocked}
+      onLoadError={skip} onNext={skip} onNextUnsolved={skip} />
+  </>
+}
+
+// End-of-run screen: score, per-run stats, personal best for the variant.
+function RushSummary({ variant, summary, onAgain, onExit }) {
+  let { score, problems, perfect, groups, prevBest } = summary
+  let isBest = score > 0 && (!prevBest || score > prevBest.score)
+  useEffect(() => {
+    function onKeyDown(e) {
+      if (e.key === 'Enter') { e.preventDefault(); onAgain() }
+      else if (e.key === 'Escape') { e.preventDefault(); onExit() }
+    }
+    window.addEventListener('keydown', onKeyDown)
+    return () => window.removeEventListener('keydown', onKeyDown)
+  }, [])
+  return (
+    <div class="rush-summary">
+      <h2>Rush · {RUSH_VARIANTS[variant].label}</h2>
+      <div class="rush-score">{score}</div>
+      <div class="rush-score-label">correct groups</div>
+      {isBest && <div class="complete-badge">New personal best!</div>}
+      <table class="rush-stats"><tbody>
+        <tr><td>Problems finished</td><td>{problems}</td></tr>
+        <tr><td>Perfect</td><td>{perfect}</td></tr>
+        <tr><td>Groups asked</td><td>{groups}</td></tr>
+        <tr><td>Time</td><td>{formatClock(summary.durationMs)}</td></tr>
+        {prevBest && <tr><td>Previous best</td><td>{prevBest.score}</td></tr>}
+      </tbody></table>
+      <button class="next-hero" title="Start another run (Enter)" onClick={onAgain}>Again</button>
+      <button class="bar-btn" title="Back to library (Esc)" onClick={onExit}>Library</button>
+    </div>
+  )
+}
@@ -0,0 +1,87 @@
+import { describe, it, expect } from 'vitest'
+import {
+  rushQueue, initRun, currentProblem, remainingMs, runOver, recordResult,
+  skipProblem, endRun, runScore, runSummary, rushBest,
+} from './rush.js'
+
+function mk(id, extra = {}) {
+  return { id, filename: `${id}.sgf`, moveCount: 3, ...extra }
+}
+
+describe('rushQueue', () => {
+  it('drops problems without moves and keeps every other one', () => {
+    let list = [mk(1), mk(2, { moveCount: 0 }), mk(3), mk(4)]
+    let queue = rushQueue(list, () => 0.5)
+    expect(queue.map(s => s.id).sort()).toEqual([1, 3, 4])
+  })
+
+  it('order follows the injected random source', () => {
+    let list = [mk(1), mk(2), mk(3)]
+    expect(rushQueue(list, () => 0).map(s => s.id)).toEqual([2, 3, 1])
+    expect(rushQueue(list, () => 0.99).map(s => s.id)).toEqual([1, 2, 3])
+  })
+})
+
+describe('rush run', () => {
+  let queue = [mk(1), mk(2), mk(3)]
+
+  it('banks correct groups and advances', () => {
+    let run = initRun('3min', queue, 0)
+    run = recordResult(run, { correct: 2, total: 3 }, 1000)
+    run = recordResult(run, { correct: 1, total: 1 }, 2000)
+    expect(currentProblem(run).id).toBe(3)
+    expect(runScore(run)).toBe(3)
+    expect(run.results.map(r => r.sgfId)).toEqual([1, 2])
+  })
+
+  it('timed runs end when the clock runs out; late results are ignored', () => {
+    let run = initRun('3min', queue, 0)
+    expect(remainingMs(run, 60000)).toBe(120000)
+    expect(runOver(run, 179999)).toBe(false)
+    expect(runOver(run, 180000)).toBe(true)
+    let late = recordResult(run, { correct: 5, total: 5 }, 180001)
+    expect(runScore(late)).toBe(0)
+  })
+
+  it('untimed runs end when the folder runs out', () => {
+    let run = initRun('untimed', queue, 0)
+    expect(remainingMs(run, 1e9)).toBeNull()
+    run = skipProblem(run, 1)
+    run = recordResult(run, { correct: 1, total: 2 }, 2)
+    expect(runOver(run, 3)).toBe(false)
+    run = recordResult(run, { correct: 2, total: 2 }, 4)
+    expect(runOver(run, 5)).toBe(true)
+    expect(runScore(run)).toBe(3)
+  })
+
+  it('endRun stops the run early', () => {
+    let run = endRun(initRun('5min', queue, 0), 1000)
+    expect(runOver(run, 1000)).toBe(true)
+    expect(endRun(run, 5000).endedAt).toBe(1000)
+  })
+
+  it('rejects unknown variants', () => {
+    expect(() => initRun('1min', queue, 0)).toThrow(/variant/)
+  })
+
+  it('summary clamps duration to the time limit', () => {
+    let run = initRun('3min', queue, 0)
+    run = recordResult(run, { correct: 2, total: 2 }, 1000)
+    run = recordResult(run, { correct: 1, total: 3 }, 2000)
+    expect(runSummary(run, 500000)).toEqual({
+      date: 500000, score: 3, problems: 2, perfect: 1, groups: 5, durationMs: 180000,
+    })
+  })
+})
+
+describe('rushBest', () => {
+  it('highest score, faster run breaks ties', () => {
+    let history = [
+      { score: 10, durationMs: 180000 },
+      { score: 12, durationMs: 180000 },
+      { score: 12, durationMs: 150000 },
+    ]
+    expect(rushBest(history)).toBe(history[2])
+    expect(rushBest([])).toBeNull()
+  })
+})
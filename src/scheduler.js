@@ -0,0 +1,62 @@
+// Spaced-repetition scheduler (SM-2 flavoured). Pure: the review state of
+// a problem is a fold over its stored score entries (`scores:<id>`), so
+// nothing extra is persisted and backups/restores carry the schedule for
+// free.
+//
+// Each scoreEntry is graded 0–5 (reviewQuality) from its stars, mistakes
+// and elapsed time. A grade ≥ 3 is a successful recall and grows the
+// interval; below 3 is a lapse and the problem comes back tomorrow.
+
+import { starsFromScore } from './scoring.js'
+
+export const DAY_MS = 24 * 60 * 60 * 1000
+
+const START_EASE = 2.5
+const MIN_EASE = 1.3
+
+// Grade a single attempt, SM-2 style (0–5).
+//   5★ / 4★ with no mistakes map straight through.
+//   Any mistaken group caps the grade at 2 — a lapse.
+//   Mistake-free but slower than the whole time window caps at 3 —
+//   recalled, but with effort.
+// Legacy entries without star data fall back on accuracy alone.
+export function reviewQuality(entry) {
+  let q = starsFromScore(entry)
+  if (q === 0) q = entry.accuracy === 1 ? 3 : 1
+  if ((entry.mistakes || 0) > 0) return Math.min(q, 2)
+  if (entry.maxTimeMs && entry.totalMs > entry.maxTimeMs) return Math.min(q, 3)
+  return q
+}
+
+// Fold score entries (any order) into the review state:
+//   { reps, ease, intervalDays, due, lastQuality }  or null when unscored.
+// A successful review before the due date doesn't advance the schedule —
+// re-solving a problem five times in a row shouldn't push it out for
+// months. A lapse always resets it.
+export function reviewState(scores) {
+  if (!scores || scores.length === 0) return null
+  let sorted = [...scores].sort((a, b) => (a.date || 0) - (b.date || 0))
+  let s = { reps: 0, ease: START_EASE, intervalDays: 0, due: 0, lastQuality: null }
+  for (let entry of sorted) {
+    let q = reviewQuality(entry)
+    let date = entry.date || 0
+    s.lastQuality = q
+    if (q < 3) {
+      s.reps = 0
+      s.intervalDays = 1
+    } else if (date < s.due) {
+      continue
+    } else {
+      s.reps++
+      s.intervalDays = s.reps === 1 ? 1 : s.reps === 2 ? 6 : Math.round(s.intervalDays * s.ease)
+    }
+    s.ease = Math.max(MIN_EASE, s.ease + 0.1 - (5 - q) * (0.08 + (5 - q) * 0.02))
+    s.due = date + s.intervalDays * DAY_MS
+  }
+  return s
+}
+
+// Due timestamp (ms) for a problem's score history, or null if unscored.
+export function dueDate(scores) {
+  return reviewState(scores)?.due ?? null
+}
@@ -0,0 +1,75 @@
+import { describe, it, expect } from 'vitest'
+import { reviewQuality, reviewState, dueDate, DAY_MS } from './scheduler.js'
+
+// Score entries in the current format: parScore 100, accPoints + speedPoints
+// chosen to land on a given star tier.
+function entry(date, { stars = 5, mistakes = 0, totalMs = 10000, maxTimeMs = 60000 } = {}) {
+  let points = { 5: 100, 4: 80, 3: 60, 2: 30, 1: 10 }[stars]
+  return { date, accuracy: mistakes ? 0.5 : 1, mistakes, totalMs, maxTimeMs, parScore: 100, accPoints: points, speedPoints: 0 }
+}
+
+describe('reviewQuality', () => {
+  it('maps clean solves to their star tier', () => {
+    expect(reviewQuality(entry(0, { stars: 5 }))).toBe(5)
+    expect(reviewQuality(entry(0, { stars: 4 }))).toBe(4)
+  })
+
+  it('any mistake is a lapse', () => {
+    expect(reviewQuality(entry(0, { stars: 4, mistakes: 1 }))).toBe(2)
+  })
+
+  it('clean but slower than the time window caps at 3', () => {
+    expect(reviewQuality(entry(0, { stars: 4, totalMs: 90000 }))).toBe(3)
+  })
+
+  it('legacy entries fall back on accuracy', () => {
+    expect(reviewQuality({ accuracy: 1 })).toBe(3)
+    expect(reviewQuality({ accuracy: 0.5, mistakes: 1 })).toBe(1)
+  })
+})
+
+describe('reviewState', () => {
+  it('unscored → null', () => {
+    expect(reviewState([])).toBeNull()
+    expect(dueDate([])).toBeNull()
+  })
+
+  it('intervals grow 1 → 6 → ease-scaled on successful reviews', () => {
+    let t0 = 1000
+    let s1 = reviewState([entry(t0)])
+    expect(s1.intervalDays).toBe(1)
+    let t1 = s1.due
+    let s2 = reviewState([entry(t0), entry(t1)])
+    expect(s2.intervalDays).toBe(6)
+    let s3 = reviewState([entry(t0), entry(t1), entry(s2.due)])
+    expect(s3.intervalDays).toBe(Math.round(6 * s2.ease))
+    expect(s3.due).toBe(s2.due + s3.intervalDays * DAY_MS)
+  })
+
+  it('re-solving before the due date does not advance the schedule', () => {
+    let a = reviewState([entry(0)])
+    let b = reviewState([entry(0), entry(1000), entry(2000)])
+    expect(b.reps).toBe(a.reps)
+    expect(b.due).toBe(a.due)
+  })
+
+  it('a lapse resets to tomorrow and lowers ease', () => {
+    let good = [entry(0), entry(DAY_MS), entry(7 * DAY_MS)]
+    let before = reviewState(good)
+    let lapseAt = before.due + 1
+    let after = reviewState([...good, entry(lapseAt, { stars: 3, mistakes: 1 })])
+    expect(after.reps).toBe(0)
+    expect(after.due).toBe(lapseAt + DAY_MS)
+    expect(after.ease).toBeLessThan(before.ease)
+  })
+
+  it('ease never drops below the floor', () => {
+    let lapses = Array.from({ length: 20 }, (_, i) => entry(i * DAY_MS, { stars: 1, mistakes: 3 }))
+    expect(reviewState(lapses).ease).toBe(1.3)
+  })
+
+  it('order of entries does not matter', () => {
+    let list = [entry(0), entry(DAY_MS), entry(7 * DAY_MS, { stars: 4 })]
+    expect(reviewState([...list].reverse())).toEqual(reviewState(list))
+  })
+})
@@ -16,6 +16,15 @@ export function computeAccPoints(mistakesByGroup, schedule) {
   return mistakesByGroup.reduce((s, m) => s + schedule[Math.min(m, schedule.length - 1)], 0)
 }
 
+// Stone-recall / capture accuracy points: the per-stone schedule fold
+// (same rule as computeAccPoints, over config.stonePointsByMistakes),
+// minus one first-try stone's worth per 'extra' answer — a placement on
+// an intersection the sequence didn't change, or a capture mark where
+// nothing was captured. Floored at 0.
+export function computeRecallPoints(mistakesByStone, extraPlacements, schedule) {
+  return Math.max(0, computeAccPoints(mistakesByStone, schedule) - extraPlacements * schedule[0])
+}
+
 // Speed points: linear from `maxTimeMs/1000` at t=0 down to 0 at
 // elapsed = maxTimeMs. After that, clamped at 0.
 export function computeSpeedPoints(elapsedMs, maxTimeMs) {
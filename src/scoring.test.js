@@ -2,6 +2,7 @@ import { describe, it, expect } from 'vitest'
 import {
   computeParScore,
   computeAccPoints,
+  computeRecallPoints,
   computeSpeedPoints,
   computeStars,
   starsFromScore,
@@ -32,6 +33,14 @@ describe('computeAccPoints', () => {
   })
 })
 
+describe('computeRecallPoints', () => {
+  it('per-stone schedule minus a first-try stone per extra placement, floored at 0', () => {
+    expect(computeRecallPoints([0, 1], 0, SCHEDULE)).toBe(32)
+    expect(computeRecallPoints([0, 1], 1, SCHEDULE)).toBe(12)
+    expect(computeRecallPoints([0], 3, SCHEDULE)).toBe(0)
+  })
+})
+
 describe('computeSpeedPoints', () => {
   it('drops linearly from maxTimeMs/1000 at t=0 to 0 at t=maxTimeMs', () => {
     let maxTimeMs = 20_000
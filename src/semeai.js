@@ -0,0 +1,106 @@
+// Capture-race (semeai) question on the final position. Pure.
+//
+// A race is two adjacent groups of opposite colour, both short of
+// liberties. Each group's liberties split into exclusive ones (its own)
+// and shared ones (both groups'). The attacker fills the defender's
+// exclusive liberties first; a shared liberty takes one from both
+// groups, so filling it can put the attacker's own group in atari —
+// that is what makes seki possible. The outcome is read by exhaustive
+// search over the three counts. There is no eye detection: every
+// liberty counts as fillable from outside.
+//
+// The margin asked is the liberty difference: black (exclusive +
+// shared) minus white (exclusive + shared), as seen by the winner. The
+// shared liberties count for both sides, so they cancel and the margin
+// is the difference in exclusive liberties; 0 means the winner only
+// wins by moving first.
+
+function vertexKey([x, y]) {
+  return `${x},${y}`
+}
+
+// Result of a race between black's and white's liberties with
+// `toMove` (1 black, −1 white) to play: 1 black captures, −1 white
+// captures, 0 seki (neither side can fill a shared liberty without
+// being captured).
+export function raceOutcome(black, white, shared, toMove) {
+  let memo = new Map()
+  let solve = (b, w, s, player, passed) => {
+    let key = `${b},${w},${s},${player},${passed}`
+    if (memo.has(key)) return memo.get(key)
+    let own = player === 1 ? b : w
+    let opp = player === 1 ? w : b
+    let outcomes = []
+    // Fill an exclusive liberty of the opponent.
+    if (opp > 0) {
+      if (opp - 1 + s === 0) outcomes.push(player)
+      else outcomes.push(player === 1 ? solve(b, w - 1, s, -1, false) : solve(b - 1, w, s, 1, false))
+    }
+    // Fill a shared liberty: captures if it was the opponent's last,
+    // suicide (not allowed) if it was our own last.
+    if (s > 0) {
+      if (opp + s - 1 === 0) outcomes.push(player)
+      else if (own + s - 1 > 0) outcomes.push(solve(b, w, s - 1, -player, false))
+    }
+    outcomes.push(passed ? 0 : solve(b, w, s, -player, true))
+    let best = player === 1 ? Math.max(...outcomes) : Math.min(...outcomes)
+    memo.set(key, best)
+    return best
+  }
+  return solve(black, white, shared, toMove, false)
+}
+
+// Pick the race to ask about among the exercise groups ({vertex,
+// chainKeys, libCount, changed}): adjacent opposing groups with at most
+// `maxLibs` liberties each, at least one of them changed by the
+// sequence. The tightest pair (fewest liberties in total) wins; ties go
+// to board-scan order. Returns null when there is no race.
+//   { black: {vertex, chainKeys, exclusive}, white: {...}, shared }
+export function findRace(board, groups, maxLibs) {
+  let short = groups.filter(g => g.libCount <= maxLibs)
+  let best = null
+  for (let i = 0; i < short.length; i++)
+    for (let j = i + 1; j < short.length; j++) {
+      let a = short[i], b = short[j]
+      if (!a.changed && !b.changed) continue
+      if (board.get(a.vertex) === board.get(b.vertex)) continue
+      if (!adjacent(board, a, b)) continue
+      if (best && a.libCount + b.libCount >= best.total) continue
+      best = { a, b, total: a.libCount + b.libCount }
+    }
+  if (!best) return null
+
+  let [black, white] = board.get(best.a.vertex) === 1 ? [best.a, best.b] : [best.b, best.a]
+  let blackLibs = new Set(board.getLiberties(black.vertex).map(vertexKey))
+  let whiteLibs = board.getLiberties(white.vertex).map(vertexKey)
+  let shared = whiteLibs.filter(k => blackLibs.has(k)).length
+  return {
+    black: { vertex: black.vertex, chainKeys: black.chainKeys, exclusive: blackLibs.size - shared },
+    white: { vertex: white.vertex, chainKeys: white.chainKeys, exclusive: whiteLibs.length - shared },
+    shared,
+  }
+}
+
+function adjacent(board, a, b) {
+  for (let k of a.chainKeys) {
+    let v = k.split(',').map(Number)
+    if (board.getNeighbors(v).some(n => b.chainKeys.has(vertexKey(n)))) return true
+  }
+  return false
+}
+
+// The answer key: { winner: 1 | −1 | 0, margin } (margin 0 for seki).
+export function readRace(race, toMove) {
+  let winner = raceOutcome(race.black.exclusive, race.white.exclusive, race.shared, toMove)
+  if (winner === 0) return { winner, margin: 0 }
+  let diff = race.black.exclusive - race.white.exclusive
+  return { winner, margin: Math.max(0, winner * diff) }
+}
+
+// Grade an answer ({winner, margin} or null). Seki has no margin to get
+// right. Returns { status: 'correct'|'wrong'|'missed', winner?, margin? }.
+export function checkRace(key, answer) {
+  if (!answer) return { status: 'missed' }
+  let ok = answer.winner === key.winner && (key.winner === 0 || answer.margin === key.margin)
+  return { status: ok ? 'correct' : 'wrong', winner: answer.winner, margin: answer.margin }
+}
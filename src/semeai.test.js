@@ -0,0 +1,61 @@
+import { describe, it, expect } from 'vitest'
+import Board from '@sabaki/go-board'
+import { raceOutcome, findRace, readRace, checkRace } from './semeai.js'
+
+describe('raceOutcome', () => {
+  it('no shared liberties: more liberties wins, the mover wins ties', () => {
+    expect(raceOutcome(2, 2, 0, 1)).toBe(1)
+    expect(raceOutcome(2, 2, 0, -1)).toBe(-1)
+    expect(raceOutcome(3, 2, 0, -1)).toBe(1)
+  })
+
+  it('a shared liberty is filled last', () => {
+    expect(raceOutcome(1, 1, 1, 1)).toBe(1)
+    expect(raceOutcome(1, 2, 1, 1)).toBe(-1)
+  })
+
+  it('two shared liberties and no outside ones is seki', () => {
+    expect(raceOutcome(0, 0, 2, 1)).toBe(0)
+    expect(raceOutcome(0, 0, 2, -1)).toBe(0)
+  })
+})
+
+// Black aa,ab,ac against white ba,bb; they share bc.
+function raceBoard() {
+  let board = Board.fromDimensions(9)
+  for (let v of [[0, 0], [0, 1], [0, 2]]) board.set(v, 1)
+  for (let v of [[1, 0], [1, 1]]) board.set(v, -1)
+  return board
+}
+
+function group(board, vertex, changed = true) {
+  let chainKeys = new Set(board.getChain(vertex).map(([x, y]) => `${x},${y}`))
+  return { vertex, chainKeys, libCount: board.getLiberties(vertex).length, changed }
+}
+
+describe('findRace', () => {
+  it('splits adjacent short groups into exclusive and shared liberties', () => {
+    let board = raceBoard()
+    let race = findRace(board, [group(board, [0, 0]), group(board, [1, 0])], 4)
+    expect(race.black.exclusive).toBe(1)
+    expect(race.white.exclusive).toBe(2)
+    expect(race.shared).toBe(1)
+    expect(readRace(race, 1)).toEqual({ winner: -1, margin: 1 })
+  })
+
+  it('needs a changed group and few enough liberties', () => {
+    let board = raceBoard()
+    expect(findRace(board, [group(board, [0, 0], false), group(board, [1, 0], false)], 4)).toBe(null)
+    expect(findRace(board, [group(board, [0, 0]), group(board, [1, 0])], 2)).toBe(null)
+  })
+})
+
+describe('checkRace', () => {
+  let key = { winner: -1, margin: 1 }
+  it('grades winner and margin; seki has no margin', () => {
+    expect(checkRace(key, null)).toEqual({ status: 'missed' })
+    expect(checkRace(key, { winner: -1, margin: 1 }).status).toBe('correct')
+    expect(checkRace(key, { winner: -1, margin: 2 }).status).toBe('wrong')
+    expect(checkRace({ winner: 0, margin: 0 }, { winner: 0, margin: 3 }).status).toBe('correct')
+  })
+})
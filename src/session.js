@@ -7,6 +7,16 @@ import config from './config.js'
 // (fixture goldens, v:3 replay records).
 export const MISSED = '?'
 
+// End-of-sequence exercise kinds (config.questionMode), with the labels
+// the settings menu shows. See QuizEngine.
+export const QUESTION_MODES = {
+  liberties: 'Liberties',
+  stones: 'Stone recall',
+  captures: 'Captures',
+  moves: 'Move order',
+  libpoints: 'Liberty points',
+}
+
 function assert(cond, msg) {
   if (!cond) throw new Error(msg)
 }
@@ -38,32 +48,107 @@ function vertexKey(v) {
 //                           1..N  = showing move K (engine.showingMove=true)
 //                           N+1   = past all moves (in exercise or finished)
 //   marks        Map<key, {value, color}>
-//                           value: number 1..maxLibertyLabel, or MISSED sentinel
+//                           value: number 1..libertyCap, or MISSED sentinel
+//                           ('captures' mode: 1 = "captured here",
+//                           'libpoints' mode: 1 = "a liberty";
+//                           'moves' mode: the move number answered there)
 //                           color: null | 'green' | 'red'
+//   questionMode 'liberties' | 'stones' | 'captures' | 'moves' | 'libpoints'
+//                           which end-of-sequence exercise
+//   semeaiQuestion bool     ask the capture-race question ('liberties'
+//                           mode, when the final position has a race)
+//   semeaiAnswer {winner, margin, color} | null  the race answer; winner
+//                           1 | -1 | 0 (seki), or null for a missed
+//                           answer flagged after a submit
+//   placements   Map<key, {sign, color}>  stone-recall edits over the base
+//                           view ('stones' mode). sign: 1 | -1 | 0 (base
+//                           stone marked captured), or null for a missed
+//                           target flagged after a submit
 //   submitCount  int        number of submits done
 //   submitResults array     per-submit array of per-group statuses
 //   events       []         canonical append-only log (source of truth)
 //   engine       QuizEngine internal, mutated in place by step
 //   startTime    number     performance.now() at first event; elapsedMs ref
+//   segmentStart int        cursor at which the current segment began
+//                           (0, or where the last 'rebase' snapped the board)
+//   checkpointActive bool   mid-sequence exercise in progress ('checkpoint'
+//                           seen, matching 'rebase' not yet)
+//   segments     array      finished checkpoint segments, archived by
+//                           'rebase': {start, end, groups, submitResults}
+//   selectQuestions bool    cap the asked groups at maxQuestions (set by
+//                           every new session; older replays fold without)
+//   guessMoves   bool       guess mode: the showing phase asks where each
+//                           next move goes before revealing it
+//   guesses      array      one per guessed move, first guess only:
+//                           {step, vertex, result: 'hit'|'near'|'miss'};
+//                           step is the cursor once the move is shown,
+//                           so passes and setup steps count
+//   quizAt       {from, to} | null  ask the liberty questions about the
+//                           position at a move in this range instead of
+//                           the final one (see quiz-at.js, questionMove)
+//   libertyCap   int        highest liberty count asked exactly; answers
+//                           stop at "cap+" (config.maxLibertyLabel unless
+//                           the user picked another)
+//   strictMoves  bool       end the sequence before the first move the
+//                           rules reject, instead of playing it as
+//                           recorded (see legality.js, illegalMoves)
+//   keepPasses   bool       passes are moves of their own, so move numbers
+//                           and the time budget match the SGF (set by every
+//                           new session; older replays fold without)
+//   setupSteps   bool       the main line's mid-tree setup (AB/AW/AE) is a
+//                           step of its own that changes the visible
+//                           position (set by every new session; older
+//                           replays fold without)
+//   variation    int        which root-to-leaf line of the SGF is played
+//                           (0 = main line; see parseSgf)
 //
 // Phase, finalized, changedGroups, etc. are derived selectors.
 
-export function init(sgf, { maxSubmits = 3, maxQuestions = 2 } = {}) {
-  let engine = new QuizEngine(sgf, true, maxQuestions)
-  return {
+// The state fields QuizEngine is built from, under its option names.
+// init and rewind both build the engine through engineOptions, so a new
+// flag is added here once.
+const ENGINE_OPTIONS = ['maxQuestions', 'questionMode', 'semeaiQuestion', 'selectQuestions',
+  'quizAt', 'libertyCap', 'strictMoves', 'keepPasses', 'setupSteps', 'variation']
+
+function engineOptions(state) {
+  return Object.fromEntries(ENGINE_OPTIONS.map(k => [k, state[k]]))
+}
+
+export function init(sgf, { maxSubmits = 3, maxQuestions = 2, questionMode = 'liberties', semeaiQuestion = false, guessMoves = false, selectQuestions = false, quizAt = null, libertyCap = config.maxLibertyLabel, strictMoves = false, keepPasses = false, setupSteps = false, variation = 0 } = {}) {
+  assert(questionMode in QUESTION_MODES, `unknown question mode ${questionMode}`)
+  let state = {
     sgf,
     maxSubmits,
     maxQuestions,
-    engine,
-    totalMoves: engine.totalMoves,
+    questionMode,
+    semeaiQuestion,
+    guessMoves,
+    selectQuestions,
+    quizAt,
+    libertyCap,
+    strictMoves,
+    keepPasses,
+    setupSteps,
+    variation,
+    engine: null,
+    totalMoves: 0,
     cursor: 0,
     hasExercise: false,
     marks: new Map(),
+    semeaiAnswer: null,
+    placements: new Map(),
     submitCount: 0,
     submitResults: [],
     events: [],
     startTime: null,
+    segmentStart: 0,
+    checkpointActive: false,
+    segments: [],
+    guesses: [],
   }
+  state.engine = new QuizEngine(sgf, engineOptions(state))
+  state.totalMoves = state.engine.totalMoves
+  return state
 }
 
 // Apply a single event to state. Mutates engine, marks, arrays in place;
@@ -86,8 +171,29 @@ export function step(state, event) {
       if (isLockedVertex(state, event.vertex)) return state
       _doSetMark(state, event.vertex, event.value)
       break
+    case 'placeStone':
+      _doPlaceStone(state, event.vertex, event.sign)
+      break
+    case 'guess':
+      // A move already guessed (before a rewind) keeps its first guess;
+      // the repeat is a no-op and not recorded.
+      if (state.guesses.some(g => g.step === state.cursor + 1)) return state
+      _doGuess(state, event.vertex)
+      break
+    case 'setSemeai':
+      _doSetSemeai(state, event.winner, event.margin)
+      break
     case 'submit':
-      _doSubmit(state)
+      if (state.questionMode === 'stones') _doSubmitRecall(state)
+      else if (state.questionMode === 'captures' || state.questionMode === 'libpoints') _doSubmitPoints(state)
+      else if (state.questionMode === 'moves') _doSubmitMoves(state)
+      else _doSubmit(state)
+      break
+    case 'checkpoint':
+      _doCheckpoint(state)
+      break
+    case 'rebase':
+      _doRebase(state)
       break
     default:
       throw new Error(`Unknown event kind: ${event.kind}`)
@@ -100,6 +206,7 @@ export function step(state, event) {
 // --- Pure selectors (state → value) ---
 
 export function phase(state) {
+  if (state.checkpointActive) return 'exercise'
   if (state.cursor <= state.totalMoves) return 'showing'
   if (!state.hasExercise) return 'finished'
   if (finalized(state)) return 'finished'
@@ -118,21 +225,184 @@ export function elapsedMs(state) {
   return Math.round(performance.now() - state.startTime)
 }
 
+// Fold a persisted live event log (kv `session:*`). Returns the state when
+// the log is an attempt worth resuming — non-empty, folds cleanly under
+// the current config, not yet finished — otherwise null.
+export function resumeState(sgf, config, events) {
+  if (!Array.isArray(events) || events.length === 0) return null
+  try {
+    let state = init(sgf, config)
+    for (let e of events) step(state, e)
+    return phase(state) === 'finished' ? null : state
+  } catch {
+    return null
+  }
+}
+
+// Whether a fresh session on sgf asks anything under config: fold the
+// showing phase and see if an exercise opens. An sgf that doesn't load
+// asks nothing.
+export function asksQuestions(sgf, config) {
+  try {
+    let state = init(sgf, config)
+    while (phase(state) === 'showing') step(state, { kind: 'advance' })
+    return state.hasExercise
+  } catch {
+    return false
+  }
+}
+
 export function changedGroups(state) {
   return state.engine.libertyExercise?.groups.filter(g => g.changed) || []
 }
 
+// Stone-recall targets ('stones' mode): [{vertex, key, sign, before}].
+export function recallTargets(state) {
+  return state.engine.recallExercise?.targets || []
+}
+
+// Capture-exercise targets ('captures' mode): [{vertex, key, sign, moveNumber}].
+export function captureTargets(state) {
+  return state.engine.captureExercise?.targets || []
+}
+
+// Liberty-points exercise ('libpoints' mode): the highlighted groups and
+// the liberty intersections to tap, [{vertex, key}].
+export function libertyPointGroups(state) {
+  return state.engine.libertyPointsExercise?.groups || []
+}
+
+export function libertyPointTargets(state) {
+  return state.engine.libertyPointsExercise?.targets || []
+}
+
+// Move-order questions ('moves' mode): [{vertex, key, sign, moveNumber}].
+export function moveQuestions(state) {
+  return state.engine.moveExercise?.questions || []
+}
+
+// The first move-order question still waiting for an answer (no mark
+// carries its number, or only a red one), or null when all are answered.
+export function currentMoveQuestion(state) {
+  let answered = new Set([...state.marks.values()].filter(m => m.color !== 'red').map(m => m.value))
+  return moveQuestions(state).find(q => !answered.has(q.moveNumber)) || null
+}
+
+// Move-order exercise: the value a tap at `vertex` sets. An answer there
+// is taken back (0); an empty intersection answers the current question.
+// null = nothing to do.
+export function nextMoveMark(state, vertex) {
+  let mark = state.marks.get(vertexKey(vertex))
+  if (mark && typeof mark.value === 'number') return 0
+  return currentMoveQuestion(state)?.moveNumber ?? null
+}
+
+// Guess mode: the next move hasn't been guessed yet, so a showing-phase
+// tap records a guess before advancing. A pass or setup step isn't guessed.
+export function guessPending(state) {
+  if (!state.guessMoves || phase(state) !== 'showing') return false
+  if (state.cursor >= state.totalMoves) return false
+  if (state.engine.moves[state.cursor].vertex == null) return false
+  return !state.guesses.some(g => g.step === state.cursor + 1)
+}
+
+// The guess shown with the current move, if it was guessed.
+export function currentGuess(state) {
+  if (phase(state) !== 'showing' || state.cursor === 0) return null
+  return state.guesses.find(g => g.step === state.cursor) || null
+}
+
+// Guess accuracy: { hit, near, miss, total } over the guessed moves.
+export function guessStats(state) {
+  let count = result => state.guesses.filter(g => g.result === result).length
+  return { hit: count('hit'), near: count('near'), miss: count('miss'), total: state.guesses.length }
+}
+
+// The side that didn't answer the move just shown: { sign, pass }.
+// pass = it passed (a pass in the SGF, shown as a step of its own);
+// otherwise the same colour plays twice in a row, so the other side
+// played elsewhere (tenuki) without the SGF recording it. null when
+// the turns alternate, or the step shown is a setup step.
+export function skippedTurn(state) {
+  if (!state.engine.showingMove || state.cursor === 0) return null
+  let { moves } = state.engine
+  let move = moves[state.cursor - 1]
+  if (move.setup) return null
+  if (move.vertex == null) return { sign: move.sign, pass: true }
+  let prev = moves.slice(0, state.cursor - 1).findLast(m => !m.setup)
+  if (prev && prev.sign === move.sign) return { sign: -move.sign, pass: false }
+  return null
+}
+
+// The setup step just shown ({ black, white, empty } vertex lists), or
+// null when the step shown is a move.
+export function shownSetup(state) {
+  if (!state.engine.showingMove || state.cursor === 0) return null
+  return state.engine.moves[state.cursor - 1].setup || null
+}
+
+// The capture race asked alongside the liberty counts, or null. See
+// semeai.js for the reading.
+export function semeaiRace(state) {
+  return state.engine.semeai
+}
+
+// The move whose position the liberty questions are about, or null for
+// the final position (no quizAt, or it resolved to the last move).
+export function questionMove(state) {
+  return state.engine.quizMove
+}
+
+// Moves of the SGF the rules reject: [{ moveNumber, vertex, reason }].
+// Played as recorded unless strictMoves cut the sequence before the first.
+export function illegalMoves(state) {
+  return state.engine.illegalMoves
+}
+
+// The scored questions of the current exercise, whatever its kind:
+// changed groups (then the capture race, scored as one more item),
+// recall/capture/liberty-point targets or move questions. Each exposes
+// `.vertex`.
+export function exerciseItems(state) {
+  if (state.questionMode === 'stones') return recallTargets(state)
+  if (state.questionMode === 'captures') return captureTargets(state)
+  if (state.questionMode === 'libpoints') return libertyPointTargets(state)
+  if (state.questionMode === 'moves') return moveQuestions(state)
+  let race = semeaiRace(state)
+  if (race) return [...changedGroups(state), { vertex: race.black.vertex, semeai: true }]
+  return changedGroups(state)
+}
+
 // The representative intersection of a pre-marked (unchanged) group shows
 // its fixed liberty count as a label. That specific intersection is not
 // editable by the user. Other stones of the same group stay tappable.
+// In the move-order exercise a correctly answered move is locked.
 export function isLockedVertex(state, vertex) {
   let key = vertexKey(vertex)
+  if (state.questionMode === 'moves') return state.marks.get(key)?.color === 'green'
   let groups = state.engine.libertyExercise?.groups || []
   return groups.some(g => !g.changed && vertexKey(g.vertex) === key)
 }
 
+// Stone recall: the sign a tap at `vertex` sets next. Empty base
+// intersections cycle empty → black → white → empty; a base stone
+// toggles between present and captured (0).
+export function nextPlacementSign(state, vertex) {
+  let before = state.engine.baseSignMap[vertex[1]][vertex[0]]
+  let current = state.placements.get(vertexKey(vertex))?.sign ?? before
+  if (before !== 0) return current === before ? 0 : before
+  return current === 0 ? 1 : current === 1 ? -1 : 0
+}
+
+// Capture and liberty-point exercises: a tap toggles the mark on the
+// intersection (1 ↔ cleared). A flagged miss becomes a mark.
+export function nextCaptureMark(state, vertex) {
+  return state.marks.get(vertexKey(vertex))?.value === 1 ? 0 : 1
+}
+
 // Per-submit: which groups count toward the mistake tally. Returns a
-// 0/1 array — 1 for each non-correct status ('wrong' or 'missed').
+// 0/1 array — 1 for each non-correct status ('wrong', 'missed', or an
+// 'extra' answer in the stone-recall / capture exercises).
 // Shared between scoring (`mistakesByGroup` fold) and the UI cooldown
 // (effects.js) so both always agree on what counts.
 export function penaltyByGroup(submitResult) {
@@ -141,7 +411,7 @@ export function penaltyByGroup(submitResult) {
 
 // Per-group: number of submits on which this group was not correct.
 export function mistakesByGroup(state) {
-  let n = changedGroups(state).length
+  let n = exerciseItems(state).length
   let counts = new Array(n).fill(0)
   for (let r of state.submitResults) {
     let p = penaltyByGroup(r)
@@ -150,8 +420,65 @@ export function mistakesByGroup(state) {
   return counts
 }
 
+// Scored groups across the whole session: every archived checkpoint
+// segment's groups, then the current segment's. Identical to
+// changedGroups when no checkpoint was taken.
+export function scoredGroups(state) {
+  return [...state.segments.flatMap(seg => seg.groups), ...exerciseItems(state)]
+}
+
+// Per-group mistakes across the whole session, aligned with scoredGroups.
+// Each segment folds its own submits — a checkpoint exercise is scored
+// independently of the exercises before and after it.
+export function sessionMistakesByGroup(state) {
+  let archived = state.segments.flatMap(seg => {
+    let counts = new Array(seg.groups.length).fill(0)
+    for (let r of seg.submitResults) {
+      let p = penaltyByGroup(r)
+      for (let i = 0; i < counts.length; i++) counts[i] += p[i]
+    }
+    return counts
+  })
+  return [...archived, ...mistakesByGroup(state)]
+}
+
+// Stone-recall placements on intersections the sequence didn't change
+// (or capture marks where nothing was captured), summed over every submit. They aren't tied to a target, so they're
+// counted beside the per-item tally rather than in it.
+export function extraPlacements(state) {
+  return state.submitResults.flat().filter(r => r.status === 'extra').length
+}
+
 export function totalMistakes(state) {
-  return mistakesByGroup(state).reduce((a, b) => a + b, 0)
+  return sessionMistakesByGroup(state).reduce((a, b) => a + b, 0) + extraPlacements(state)
+}
+
+// Answers still wrong when their exercise closed: the non-correct results
+// of each segment's last submit, extras included. A group wrong at first
+// and fixed on a resubmit isn't one — it only cost points.
+export function unresolvedMistakes(state) {
+  let lastSubmits = [...state.segments.map(seg => seg.submitResults.at(-1)), state.submitResults.at(-1)]
+  return lastSubmits.reduce((n, r) => n + penaltyByGroup(r || []).reduce((a, b) => a + b, 0), 0)
+}
+
+// Number of segments the sequence was split into (1 + rebases so far).
+export function segmentCount(state) {
+  return state.segments.length + 1
+}
+
+// Whether a 'checkpoint' event is allowed now. Drives the "Mark Libs"
+// button: enough moves into the segment, not on the last move (the
+// end-of-sequence exercise covers that), and the position would actually
+// ask something. Not while the questions are about an earlier move —
+// a rebase would drop the boards they are read from.
+export function canCheckpoint(state) {
+  if (state.maxQuestions === 0) return false
+  if (state.questionMode !== 'liberties') return false
+  if (questionMove(state) != null) return false
+  if (phase(state) !== 'showing') return false
+  if (state.cursor - state.segmentStart < config.checkpointMinMoves) return false
+  if (state.cursor >= state.totalMoves) return false
+  return state.engine.wouldHaveChangedGroups()
 }
 
 // --- Private event handlers ---
@@ -169,30 +496,186 @@ function _doAdvance(state) {
     // state into the next phase.
     state.engine.activateQuestions()
     state.cursor++
-    state.hasExercise = state.engine.libertyExerciseActive
+    let e = state.engine
+    state.hasExercise = e.libertyExerciseActive || e.recallExerciseActive
+      || e.captureExerciseActive || e.moveExerciseActive || e.libertyPointsExerciseActive
   }
 }
 
 function _doRewind(state) {
-  // Rebuild engine from scratch; preserve session-level state (marks,
-  // submitCount, submitResults, startTime, events).
-  state.engine = new QuizEngine(state.sgf, true, state.maxQuestions)
-  state.cursor = 0
+  // Rebuild engine and replay up to the start of the current segment;
+  // rewind never crosses a rebase boundary. Preserve session-level state
+  // (marks, submitCount, submitResults, startTime, events) — except that
+  // rewinding out of a checkpoint abandons it: its submits belong to no
+  // exercise once the segment is replayed.
+  if (state.checkpointActive) {
+    state.marks = new Map()
+    state.submitCount = 0
+    state.submitResults = []
+  }
+  let engine = new QuizEngine(state.sgf, engineOptions(state))
+  for (let i = 0; i < state.segmentStart; i++) engine.advance()
+  if (state.segmentStart > 0) engine.rebase()
+  state.engine = engine
+  state.cursor = state.segmentStart
+  state.checkpointActive = false
   state.hasExercise = false
 }
 
+function _doCheckpoint(state) {
+  assert(phase(state) === 'showing', `checkpoint in phase=${phase(state)}`)
+  assert(state.cursor - state.segmentStart >= config.checkpointMinMoves,
+    `checkpoint after ${state.cursor - state.segmentStart} moves`)
+  state.engine.setupCheckpointExercise()
+  assert(state.engine.libertyExerciseActive, `checkpoint with no changed groups`)
+  state.checkpointActive = true
+  state.hasExercise = true
+  // Fresh exercise state for this segment.
+  state.marks = new Map()
+  state.submitCount = 0
+  state.submitResults = []
+}
+
+function _doRebase(state) {
+  assert(state.checkpointActive && finalized(state), `rebase before checkpoint finalized`)
+  state.segments.push({
+    start: state.segmentStart,
+    end: state.cursor,
+    groups: changedGroups(state),
+    submitResults: state.submitResults,
+  })
+  state.engine.rebase()
+  state.segmentStart = state.cursor
+  state.checkpointActive = false
+  state.hasExercise = false
+  state.marks = new Map()
+  state.submitCount = 0
+  state.submitResults = []
+}
+
 function _doSetMark(state, vertex, value) {
-  assert(state.cursor === state.totalMoves + 1, `setMark at cursor=${state.cursor}`)
   assert(!finalized(state), `setMark after finalized`)
+  assert(phase(state) === 'exercise', `setMark at cursor=${state.cursor}`)
   let key = vertexKey(vertex)
+  // One answer per move-order question: answering it here takes back
+  // the answer given elsewhere.
+  if (state.questionMode === 'moves' && value !== 0) {
+    for (let [k, m] of state.marks) if (m.value === value) state.marks.delete(k)
+  }
   if (value === 0) state.marks.delete(key)
   else state.marks.set(key, { value, color: null })
 }
 
-function _doSubmit(state) {
-  assert(state.cursor === state.totalMoves + 1, `submit at cursor=${state.cursor}`)
+// Hit = the move itself, near = one of the eight intersections around it.
+function _doGuess(state, vertex) {
+  assert(state.guessMoves, `guess with guess mode off`)
+  assert(phase(state) === 'showing' && state.cursor < state.totalMoves, `guess at cursor=${state.cursor}`)
+  let move = state.engine.moves[state.cursor]
+  assert(move.vertex != null, `guess at a pass or setup step, cursor=${state.cursor}`)
+  let [mx, my] = move.vertex
+  let d = Math.max(Math.abs(vertex[0] - mx), Math.abs(vertex[1] - my))
+  let result = d === 0 ? 'hit' : d === 1 ? 'near' : 'miss'
+  state.guesses.push({ step: state.cursor + 1, vertex, result })
+}
+
+function _doSetSemeai(state, winner, margin) {
+  assert(semeaiRace(state), `setSemeai with no capture race`)
+  assert(!finalized(state), `setSemeai after finalized`)
+  assert(phase(state) === 'exercise', `setSemeai at cursor=${state.cursor}`)
+  state.semeaiAnswer = { winner, margin, color: null }
+}
+
+// Stone recall: tap cycles an intersection through the colours. Setting
+// it back to what the base view shows drops the edit.
+function _doPlaceStone(state, vertex, sign) {
+  assert(state.questionMode === 'stones', `placeStone in ${state.questionMode} mode`)
+  assert(!finalized(state), `placeStone after finalized`)
+  assert(phase(state) === 'exercise', `placeStone at cursor=${state.cursor}`)
+  let key = vertexKey(vertex)
+  if (sign === state.engine.baseSignMap[vertex[1]][vertex[0]]) state.placements.delete(key)
+  else state.placements.set(key, { sign, color: null })
+}
+
+function _doSubmitRecall(state) {
+  assert(!finalized(state), `submit after finalized`)
+  assert(phase(state) === 'exercise', `submit at cursor=${state.cursor}`)
+  assert(state.hasExercise, `submit with no exercise`)
+
+  // Flagged missed targets (sign null) aren't edits.
+  let plain = new Map()
+  for (let [k, p] of state.placements) {
+    if (p.sign != null) plain.set(k, p.sign)
+  }
+  let result = state.engine.checkStoneRecall(plain)
+  state.submitResults.push(result)
+  state.submitCount++
+
+  // Colour every graded intersection: the user's stone green/red, a
+  // missed target flagged red without revealing its colour.
+  let targets = recallTargets(state)
+  for (let r of result.slice(targets.length)) {
+    state.placements.set(r.vertex, { sign: r.userSign, color: 'red' })
+  }
+  for (let i = 0; i < targets.length; i++) {
+    let r = result[i]
+    if (r.status === 'missed') state.placements.set(targets[i].key, { sign: null, color: 'red' })
+    else state.placements.set(targets[i].key, { sign: r.userSign, color: r.status === 'correct' ? 'green' : 'red' })
+  }
+}
+
+// Capture and liberty-point exercises: the marked intersections against
+// the target points.
+function _doSubmitPoints(state) {
+  assert(!finalized(state), `submit after finalized`)
+  assert(phase(state) === 'exercise', `submit at cursor=${state.cursor}`)
+  assert(state.hasExercise, `submit with no exercise`)
+
+  let taps = new Set()
+  for (let [k, m] of state.marks) {
+    if (m.value === 1) taps.add(k)
+  }
+  let result = state.questionMode === 'captures'
+    ? state.engine.checkCaptureExercise(taps)
+    : state.engine.checkLibertyPoints(taps)
+  state.submitResults.push(result)
+  state.submitCount++
+
+  // Found points go green, taps elsewhere red, missed ones flagged.
+  let targets = exerciseItems(state)
+  for (let r of result.slice(targets.length)) {
+    state.marks.set(r.vertex, { value: 1, color: 'red' })
+  }
+  for (let i = 0; i < targets.length; i++) {
+    let correct = result[i].status === 'correct'
+    state.marks.set(targets[i].key, { value: correct ? 1 : MISSED, color: correct ? 'green' : 'red' })
+  }
+}
+
+function _doSubmitMoves(state) {
+  assert(!finalized(state), `submit after finalized`)
+  assert(phase(state) === 'exercise', `submit at cursor=${state.cursor}`)
   assert(state.hasExercise, `submit with no exercise`)
+
+  let plain = new Map()
+  for (let [k, m] of state.marks) {
+    if (typeof m.value === 'number') plain.set(k, m.value)
+  }
+  let result = state.engine.checkMoveExercise(plain)
+  state.submitResults.push(result)
+  state.submitCount++
+
+  // Answers go green/red where the user put them. A missed question
+  // gets no mark — flagging its intersection would give the answer away.
+  for (let r of result) {
+    if (r.status === 'missed') continue
+    state.marks.set(r.userVertex, { value: r.userVal, color: r.status === 'correct' ? 'green' : 'red' })
+  }
+}
+
+function _doSubmit(state) {
   assert(!finalized(state), `submit after finalized`)
+  assert(phase(state) === 'exercise', `submit at cursor=${state.cursor}`)
+  assert(state.hasExercise, `submit with no exercise`)
 
   // Engine wants Map<key, number>. MISSED sentinels left over from
   // previous missed-group submits are filtered out (user never
@@ -202,6 +685,16 @@ function _doSubmit(state) {
     if (typeof m.value === 'number') plain.set(k, m.value)
   }
   let result = state.engine.checkLibertyExercise(plain)
+  // The capture race is graded after the groups; a missing answer is
+  // flagged, like a missed group.
+  if (semeaiRace(state)) {
+    let answer = state.semeaiAnswer?.winner != null ? state.semeaiAnswer : null
+    let r = state.engine.checkSemeai(answer && { winner: answer.winner, margin: answer.margin })
+    result.push(r)
+    state.semeaiAnswer = r.status === 'missed'
+      ? { winner: null, margin: null, color: 'red' }
+      : { winner: r.winner, margin: r.margin, color: r.status === 'correct' ? 'green' : 'red' }
+  }
   state.submitResults.push(result)
   state.submitCount++
 
@@ -226,9 +719,9 @@ function _doSubmit(state) {
 }
 
 // Pure fold over mistakesByGroup; returns per-group point values using
-// the schedule defined in config.pointsByMistakes. Last schedule entry
-// is the floor (applies for any mᵢ past its index).
-export function pointsByGroup(mistakesByGroup) {
-  let schedule = config.pointsByMistakes
+// the schedule (config.pointsByMistakes, or stonePointsByMistakes for
+// the per-intersection exercises). Last schedule entry is the floor
+// (applies for any mᵢ past its index).
+export function pointsByGroup(mistakesByGroup, schedule = config.pointsByMistakes) {
   return mistakesByGroup.map(m => schedule[Math.min(m, schedule.length - 1)])
 }
@@ -1,7 +1,12 @@
 import { describe, it, expect } from 'vitest'
 import {
   init, step, phase, finalized, changedGroups, isLockedVertex,
-  mistakesByGroup, totalMistakes, pointsByGroup, penaltyByGroup,
+  mistakesByGroup, totalMistakes, unresolvedMistakes, pointsByGroup, penaltyByGroup,
+  canCheckpoint, scoredGroups, sessionMistakesByGroup, segmentCount, resumeState,
+  recallTargets, extraPlacements, nextPlacementSign, captureTargets, nextCaptureMark,
+  moveQuestions, currentMoveQuestion, nextMoveMark, semeaiRace, exerciseItems,
+  libertyPointTargets, libertyPointGroups, guessPending, currentGuess, guessStats,
+  questionMove, skippedTurn, shownSetup,
 } from './session.js'
 import { QuizEngine } from './engine.js'
 
@@ -46,6 +51,13 @@ function dispatchAllAdvances(session) {
   }
 }
 
+// A session already through the showing phase, in its first exercise.
+function started(sgf, opts = {}) {
+  let s = init(sgf, opts)
+  dispatchAllAdvances(s)
+  return s
+}
+
 describe('session — reference puzzles', () => {
   it('simple: each advance produces one visible state change', () => {
     let s = init(refSgfs.simple)
@@ -136,7 +148,7 @@ describe('session — differential vs QuizEngine', () => {
   // flags as driving the old engine directly.
   for (let sgf of allSgfs) {
     it(`${sgf}: matches old engine on final groups`, () => {
-      let old = new QuizEngine(sgf, true, 2)
+      let old = new QuizEngine(sgf, { maxQuestions: 2 })
       while (old.moveIndex < old.totalMoves) old.advance()
       old.activateQuestions()
       let oldGroups = (old.libertyExercise?.groups || []).map(g => ({
@@ -261,6 +273,7 @@ describe('session — mistake counting (fold over submits)', () => {
     let mbg = mistakesByGroup(s)
     expect(mbg).toEqual([3])
     expect(pointsByGroup(mbg)).toEqual([0])    // schedule[3] = 0
+    expect(unresolvedMistakes(s)).toBe(1)
   })
 
   it('1 wrong then correct → 1 mistake → 12 pts', () => {
@@ -274,6 +287,7 @@ describe('session — mistake counting (fold over submits)', () => {
     let mbg = mistakesByGroup(s)
     expect(mbg).toEqual([1])
     expect(pointsByGroup(mbg)).toEqual([12])   // schedule[1] = 12
+    expect(unresolvedMistakes(s)).toBe(0)      // fixed on the resubmit
   })
 
   it('all correct first try → 0 mistakes → 20 pts', () => {
@@ -349,6 +363,32 @@ describe('session — fold event log reconstructs state', () => {
   })
 })
 
+describe('session — resumeState (abandoned live logs)', () => {
+  let sgf = '(;SZ[9];B[ee];W[aa])'
+
+  it('folds an unfinished log into the same state', () => {
+    let s1 = init(sgf)
+    while (phase(s1) === 'showing') step(s1, { kind: 'advance', t: 10 })
+    step(s1, { kind: 'setMark', vertex: [4, 4], value: 1, t: 20 })
+    step(s1, { kind: 'submit', t: 30 })   // wrong, not finalized
+    let s2 = resumeState(sgf, {}, JSON.parse(JSON.stringify(s1.events)))
+    expect(phase(s2)).toBe('exercise')
+    expect(s2.submitCount).toBe(1)
+    expect([...s2.marks.entries()]).toEqual([...s1.marks.entries()])
+  })
+
+  it('returns null for finished, empty or unreplayable logs', () => {
+    let s1 = init('(;SZ[9];B[ee])', { maxSubmits: 1 })
+    while (phase(s1) === 'showing') step(s1, { kind: 'advance' })
+    step(s1, { kind: 'setMark', vertex: [4, 4], value: 2 })
+    step(s1, { kind: 'submit' })
+    expect(resumeState('(;SZ[9];B[ee])', { maxSubmits: 1 }, s1.events)).toBeNull()
+    expect(resumeState(sgf, {}, [])).toBeNull()
+    expect(resumeState(sgf, {}, null)).toBeNull()
+    expect(resumeState(sgf, {}, [{ kind: 'submit', t: 0 }])).toBeNull()
+  })
+})
+
 describe('session — event log', () => {
   it('records every event with timestamps', () => {
     let s = init('(;SZ[9];B[ee])')
@@ -477,3 +517,546 @@ describe('session — eval overwrites marks with colors', () => {
     expect(s.marks.get('4,4')).toEqual({ value: 4, color: 'green' })
   })
 })
+
+describe('session — checkpoint exercises', () => {
+  // 10 moves; after 6 both sides have a fresh group worth asking about.
+  const longSgf = '(;SZ[9];B[cc];W[gg];B[cd];W[gf];B[dc];W[fg];B[ee];W[ef];B[de];W[ff])'
+
+  function advanceN(s, n) {
+    for (let i = 0; i < n; i++) step(s, { kind: 'advance' })
+  }
+
+  function markCorrect(s) {
+    for (let g of changedGroups(s)) {
+      step(s, { kind: 'setMark', vertex: g.vertex, value: Math.min(g.libCount, 5) })
+    }
+  }
+
+  it('canCheckpoint needs 4 moves into the segment', () => {
+    let s = init(longSgf)
+    advanceN(s, 3)
+    expect(canCheckpoint(s)).toBe(false)
+    expect(() => step(s, { kind: 'checkpoint' })).toThrow(/checkpoint after 3 moves/)
+    step(s, { kind: 'advance' })
+    expect(canCheckpoint(s)).toBe(true)
+  })
+
+  it('canCheckpoint is false with maxQuestions=0 and on the last move', () => {
+    let s0 = init(longSgf, { maxQuestions: 0 })
+    advanceN(s0, 6)
+    expect(canCheckpoint(s0)).toBe(false)
+    let s = init(longSgf)
+    advanceN(s, s.totalMoves)
+    expect(canCheckpoint(s)).toBe(false)
+  })
+
+  it('checkpoint enters exercise mid-sequence with fresh exercise state', () => {
+    let s = init(longSgf)
+    advanceN(s, 6)
+    step(s, { kind: 'checkpoint' })
+    expect(s.checkpointActive).toBe(true)
+    expect(s.hasExercise).toBe(true)
+    expect(s.cursor).toBe(6)
+    expect(phase(s)).toBe('exercise')
+    expect(s.marks.size).toBe(0)
+    expect(s.submitCount).toBe(0)
+    expect(changedGroups(s).length).toBeGreaterThan(0)
+  })
+
+  it('checkpoint throws outside the showing phase', () => {
+    let s = init(longSgf)
+    advanceN(s, 6)
+    step(s, { kind: 'checkpoint' })
+    expect(() => step(s, { kind: 'checkpoint' })).toThrow(/checkpoint in phase=exercise/)
+  })
+
+  it('setMark / submit work mid-sequence; phase stays exercise until rebase', () => {
+    let s = init(longSgf)
+    advanceN(s, 6)
+    step(s, { kind: 'checkpoint' })
+    markCorrect(s)
+    step(s, { kind: 'submit' })
+    expect(finalized(s)).toBe(true)
+    expect(phase(s)).toBe('exercise')
+    expect(() => step(s, { kind: 'setMark', vertex: [0, 0], value: 1 })).toThrow(/finalized/)
+  })
+
+  it('rebase throws before the checkpoint exercise is finalized', () => {
+    let s = init(longSgf)
+    advanceN(s, 6)
+    step(s, { kind: 'checkpoint' })
+    expect(() => step(s, { kind: 'rebase' })).toThrow(/rebase before checkpoint finalized/)
+  })
+
+  it('rebase starts a new segment at the current cursor', () => {
+    let s = init(longSgf)
+    advanceN(s, 6)
+    step(s, { kind: 'checkpoint' })
+    markCorrect(s)
+    step(s, { kind: 'submit' })
+    let askedBefore = changedGroups(s).length
+    step(s, { kind: 'rebase' })
+    expect(s.segmentStart).toBe(6)
+    expect(s.checkpointActive).toBe(false)
+    expect(s.hasExercise).toBe(false)
+    expect(s.marks.size).toBe(0)
+    expect(s.submitResults).toEqual([])
+    expect(phase(s)).toBe('showing')
+    expect(s.engine.invisibleStones.size).toBe(0)
+    expect(segmentCount(s)).toBe(2)
+    expect(scoredGroups(s).length).toBe(askedBefore)
+  })
+
+  it('rewind after rebase returns to the segment start, not move 0', () => {
+    let s = init(longSgf)
+    advanceN(s, 6)
+    step(s, { kind: 'checkpoint' })
+    markCorrect(s)
+    step(s, { kind: 'submit' })
+    step(s, { kind: 'rebase' })
+    let rebased = s.engine.baseSignMap
+    advanceN(s, 2)
+    step(s, { kind: 'rewind' })
+    expect(s.cursor).toBe(6)
+    expect(s.engine.moveIndex).toBe(6)
+    expect(s.engine.baseSignMap).toEqual(rebased)
+    expect(s.engine.invisibleStones.size).toBe(0)
+    expect(phase(s)).toBe('showing')
+  })
+
+  it('rewinding out of a checkpoint drops its submits', () => {
+    let s = init(longSgf)
+    advanceN(s, 6)
+    step(s, { kind: 'checkpoint' })
+    step(s, { kind: 'setMark', vertex: changedGroups(s)[0].vertex, value: 1 })  // wrong
+    step(s, { kind: 'submit' })
+    step(s, { kind: 'rewind' })
+    expect(s.checkpointActive).toBe(false)
+    expect(s.marks.size).toBe(0)
+    expect(s.submitCount).toBe(0)
+    expect(s.submitResults).toEqual([])
+    while (phase(s) === 'showing') step(s, { kind: 'advance' })
+    markCorrect(s)
+    step(s, { kind: 'submit' })
+    expect(phase(s)).toBe('finished')
+    expect(sessionMistakesByGroup(s)).toEqual(changedGroups(s).map(() => 0))
+  })
+
+  it('two segments: checkpoint, rebase, end-of-sequence exercise, finished', () => {
+    let s = init(longSgf)
+    advanceN(s, 6)
+    step(s, { kind: 'checkpoint' })
+    markCorrect(s)
+    step(s, { kind: 'submit' })
+    step(s, { kind: 'rebase' })
+    while (phase(s) === 'showing') step(s, { kind: 'advance' })
+    expect(phase(s)).toBe('exercise')
+    expect(s.cursor).toBe(s.totalMoves + 1)
+    let last = changedGroups(s)
+    step(s, { kind: 'setMark', vertex: last[0].vertex, value: 1 })  // wrong
+    step(s, { kind: 'submit' })
+    markCorrect(s)
+    step(s, { kind: 'submit' })
+    expect(phase(s)).toBe('finished')
+
+    // Each segment is scored on its own submits.
+    let firstCount = s.segments[0].groups.length
+    let mbg = sessionMistakesByGroup(s)
+    expect(mbg.length).toBe(firstCount + last.length)
+    expect(mbg.slice(0, firstCount).every(m => m === 0)).toBe(true)
+    expect(mbg[firstCount]).toBe(1)
+    expect(totalMistakes(s)).toBe(1)
+  })
+
+  it('folding the event log reproduces a checkpoint session', () => {
+    let s1 = init(longSgf)
+    advanceN(s1, 6)
+    step(s1, { kind: 'checkpoint' })
+    markCorrect(s1)
+    step(s1, { kind: 'submit' })
+    step(s1, { kind: 'rebase' })
+    advanceN(s1, 2)
+
+    let s2 = init(longSgf)
+    for (let evt of s1.events) step(s2, evt)
+    expect(s2.cursor).toBe(s1.cursor)
+    expect(s2.segmentStart).toBe(s1.segmentStart)
+    expect(s2.segments).toEqual(s1.segments)
+  })
+})
+
+describe('session — stone recall', () => {
+  let captureBase = '(;SZ[9]AB[aa]AW[ba];W[ab])'
+
+  let recall = { questionMode: 'stones' }
+
+  it('enters an exercise on the recall targets, with no liberty questions', () => {
+    let s = started(captureBase, recall)
+    expect(phase(s)).toBe('exercise')
+    expect(changedGroups(s)).toEqual([])
+    expect(recallTargets(s).map(t => t.key)).toEqual(['0,0', '0,1'])
+    expect(canCheckpoint(s)).toBe(false)
+  })
+
+  it('tap cycle: empty → black → white → empty; base stone ↔ captured', () => {
+    let s = started(captureBase, recall)
+    expect(nextPlacementSign(s, [4, 4])).toBe(1)
+    step(s, { kind: 'placeStone', vertex: [4, 4], sign: 1 })
+    expect(nextPlacementSign(s, [4, 4])).toBe(-1)
+    step(s, { kind: 'placeStone', vertex: [4, 4], sign: -1 })
+    expect(nextPlacementSign(s, [4, 4])).toBe(0)
+    step(s, { kind: 'placeStone', vertex: [4, 4], sign: 0 })
+    expect(s.placements.has('4,4')).toBe(false)
+    expect(nextPlacementSign(s, [0, 0])).toBe(0)
+    step(s, { kind: 'placeStone', vertex: [0, 0], sign: 0 })
+    expect(nextPlacementSign(s, [0, 0])).toBe(1)
+  })
+
+  it('correct reconstruction finalizes on the first submit', () => {
+    let s = started(captureBase, recall)
+    step(s, { kind: 'placeStone', vertex: [0, 0], sign: 0 })
+    step(s, { kind: 'placeStone', vertex: [0, 1], sign: -1 })
+    step(s, { kind: 'submit' })
+    expect(finalized(s)).toBe(true)
+    expect(mistakesByGroup(s)).toEqual([0, 0])
+    expect(totalMistakes(s)).toBe(0)
+    expect(s.placements.get('0,1')).toEqual({ sign: -1, color: 'green' })
+  })
+
+  it('misses are flagged without revealing the colour; extras block finalize', () => {
+    let s = started(captureBase, { ...recall, maxSubmits: 3 })
+    step(s, { kind: 'placeStone', vertex: [0, 1], sign: -1 })
+    step(s, { kind: 'placeStone', vertex: [5, 5], sign: 1 })
+    step(s, { kind: 'submit' })
+    expect(finalized(s)).toBe(false)
+    expect(s.placements.get('0,0')).toEqual({ sign: null, color: 'red' })
+    expect(s.placements.get('5,5')).toEqual({ sign: 1, color: 'red' })
+    // Fix both: capture the base stone, take back the extra.
+    step(s, { kind: 'placeStone', vertex: [0, 0], sign: 0 })
+    step(s, { kind: 'placeStone', vertex: [5, 5], sign: 0 })
+    step(s, { kind: 'submit' })
+    expect(finalized(s)).toBe(true)
+    expect(mistakesByGroup(s)).toEqual([1, 0])
+    expect(extraPlacements(s)).toBe(1)
+    expect(totalMistakes(s)).toBe(2)
+    expect(scoredGroups(s)).toHaveLength(2)
+  })
+
+  it('folds identically from its event log', () => {
+    let s = started(captureBase, recall)
+    step(s, { kind: 'placeStone', vertex: [0, 1], sign: -1 })
+    step(s, { kind: 'submit' })
+    let replayed = resumeState(captureBase, { questionMode: 'stones' }, s.events)
+    expect(replayed.placements).toEqual(s.placements)
+    expect(replayed.submitResults).toEqual(s.submitResults)
+  })
+
+  it('placeStone is rejected outside stone-recall mode', () => {
+    let s = init(captureBase)
+    dispatchAllAdvances(s)
+    expect(() => step(s, { kind: 'placeStone', vertex: [0, 1], sign: -1 })).toThrow(/liberties mode/)
+  })
+})
+
+describe('session — capture exercise', () => {
+  let captures = { questionMode: 'captures' }
+
+  it('asks for the captured intersections instead of liberties', () => {
+    let s = started(refSgfs.capture, captures)
+    expect(phase(s)).toBe('exercise')
+    expect(changedGroups(s)).toEqual([])
+    expect(captureTargets(s).map(t => t.key)).toEqual(['0,0'])
+  })
+
+  it('taps toggle the capture mark', () => {
+    let s = started(refSgfs.capture, captures)
+    expect(nextCaptureMark(s, [0, 0])).toBe(1)
+    step(s, { kind: 'setMark', vertex: [0, 0], value: 1 })
+    expect(nextCaptureMark(s, [0, 0])).toBe(0)
+  })
+
+  it('a wrong tap is an extra; the miss is flagged and fixed next submit', () => {
+    let s = started(refSgfs.capture, { ...captures, maxSubmits: 3 })
+    step(s, { kind: 'setMark', vertex: [4, 4], value: 1 })
+    step(s, { kind: 'submit' })
+    expect(finalized(s)).toBe(false)
+    expect(s.marks.get('0,0')).toEqual({ value: '?', color: 'red' })
+    expect(s.marks.get('4,4')).toEqual({ value: 1, color: 'red' })
+    step(s, { kind: 'setMark', vertex: [4, 4], value: 0 })
+    step(s, { kind: 'setMark', vertex: [0, 0], value: nextCaptureMark(s, [0, 0]) })
+    step(s, { kind: 'submit' })
+    expect(finalized(s)).toBe(true)
+    expect(s.marks.get('0,0')).toEqual({ value: 1, color: 'green' })
+    expect(mistakesByGroup(s)).toEqual([1])
+    expect(extraPlacements(s)).toBe(1)
+    expect(totalMistakes(s)).toBe(2)
+  })
+})
+
+describe('session — move-order exercise', () => {
+  let moves = { questionMode: 'moves', maxQuestions: 4 }
+
+  it('asks the moves one at a time, in move order', () => {
+    let s = started(refSgfs.capture, moves)
+    expect(phase(s)).toBe('exercise')
+    expect(moveQuestions(s).map(q => q.moveNumber)).toEqual([1, 2, 3, 4])
+    expect(currentMoveQuestion(s).moveNumber).toBe(1)
+    expect(nextMoveMark(s, [0, 0])).toBe(1)
+    step(s, { kind: 'setMark', vertex: [0, 0], value: 1 })
+    expect(currentMoveQuestion(s).moveNumber).toBe(2)
+    // Tapping an answer takes it back.
+    expect(nextMoveMark(s, [0, 0])).toBe(0)
+  })
+
+  it('an answer given twice keeps only the latest', () => {
+    let s = started(refSgfs.capture, moves)
+    step(s, { kind: 'setMark', vertex: [4, 4], value: 1 })
+    step(s, { kind: 'setMark', vertex: [0, 0], value: 1 })
+    expect([...s.marks.keys()]).toEqual(['0,0'])
+  })
+
+  it('grades answers in place, never flags a missed move, locks right ones', () => {
+    let s = started(refSgfs.capture, { ...moves, maxSubmits: 3 })
+    step(s, { kind: 'setMark', vertex: [0, 0], value: 1 })
+    step(s, { kind: 'setMark', vertex: [4, 4], value: 2 })
+    step(s, { kind: 'submit' })
+    expect(s.marks.get('0,0')).toEqual({ value: 1, color: 'green' })
+    expect(s.marks.get('4,4')).toEqual({ value: 2, color: 'red' })
+    expect(s.marks.size).toBe(2)
+    expect(isLockedVertex(s, [0, 0])).toBe(true)
+    // The wrong answer makes its question current again.
+    expect(currentMoveQuestion(s).moveNumber).toBe(2)
+    for (let [v, n] of [[[1, 0], 2], [[4, 4], 3], [[0, 1], 4]]) step(s, { kind: 'setMark', vertex: v, value: n })
+    step(s, { kind: 'submit' })
+    expect(finalized(s)).toBe(true)
+    expect(mistakesByGroup(s)).toEqual([0, 1, 1, 1])
+    expect(totalMistakes(s)).toBe(3)
+  })
+})
+
+describe('session — capture-race question', () => {
+  // Black aa-ab-ac (1 outside liberty) against white ba-bb (2), sharing
+  // bc; black to play after W[bb] — white wins by one.
+  let raceSgf = '(;SZ[9]AB[ab];B[aa];W[ba];B[ac];W[bb])'
+
+  let race = { semeaiQuestion: true, maxQuestions: 2 }
+
+  it('is only asked when enabled', () => {
+    let off = init(raceSgf, { maxQuestions: 2 })
+    dispatchAllAdvances(off)
+    expect(semeaiRace(off)).toBe(null)
+    expect(exerciseItems(off).length).toBe(changedGroups(off).length)
+  })
+
+  it('is scored as one more item after the changed groups', () => {
+    let s = started(raceSgf, race)
+    expect(semeaiRace(s)).toMatchObject({ winner: -1, margin: 1, shared: 1, toMove: 1 })
+    let items = exerciseItems(s)
+    expect(items.length).toBe(changedGroups(s).length + 1)
+    expect(items.at(-1).semeai).toBe(true)
+  })
+
+  it('a missing answer is flagged; a right one is graded green', () => {
+    let s = started(raceSgf, { ...race, maxSubmits: 3 })
+    let groups = changedGroups(s)
+    for (let g of groups) step(s, { kind: 'setMark', vertex: g.vertex, value: Math.min(g.libCount, 5) })
+    step(s, { kind: 'submit' })
+    expect(finalized(s)).toBe(false)
+    expect(s.submitResults[0].at(-1)).toEqual({ status: 'missed' })
+    expect(s.semeaiAnswer).toEqual({ winner: null, margin: null, color: 'red' })
+    step(s, { kind: 'setSemeai', winner: -1, margin: 1 })
+    step(s, { kind: 'submit' })
+    expect(finalized(s)).toBe(true)
+    expect(s.semeaiAnswer.color).toBe('green')
+    expect(mistakesByGroup(s)).toEqual([...groups.map(() => 0), 1])
+  })
+})
+
+describe('session — liberty-points exercise', () => {
+  it('grades each liberty point; misses and extras both cost', () => {
+    let s = init('(;SZ[9];B[ee];W[ef])', { questionMode: 'libpoints', maxSubmits: 1 })
+    dispatchAllAdvances(s)
+    expect(phase(s)).toBe('exercise')
+    expect(libertyPointGroups(s).length).toBe(2)
+    expect(libertyPointTargets(s).length).toBe(6)
+    for (let t of libertyPointTargets(s).slice(1)) step(s, { kind: 'setMark', vertex: t.vertex, value: 1 })
+    step(s, { kind: 'setMark', vertex: [0, 0], value: 1 })
+    step(s, { kind: 'submit' })
+    expect(finalized(s)).toBe(true)
+    expect(s.marks.get('4,3')).toEqual({ value: '?', color: 'red' })
+    expect(s.marks.get('3,4')).toEqual({ value: 1, color: 'green' })
+    expect(s.marks.get('0,0')).toEqual({ value: 1, color: 'red' })
+    expect(mistakesByGroup(s)).toEqual([1, 0, 0, 0, 0, 0])
+    expect(totalMistakes(s)).toBe(2)
+  })
+})
+
+describe('session — next-move guessing', () => {
+  // Moves: B[ee] (4,4), W[ef] (4,5), B[ge] (6,4)
+  let sgf = '(;SZ[9];B[ee];W[ef];B[ge])'
+
+  it('grades each guess against the move it precedes', () => {
+    let s = init(sgf, { guessMoves: true })
+    expect(guessPending(s)).toBe(true)
+    step(s, { kind: 'guess', vertex: [4, 4] })
+    step(s, { kind: 'advance' })
+    expect(currentGuess(s)).toEqual({ step: 1, vertex: [4, 4], result: 'hit' })
+    step(s, { kind: 'guess', vertex: [5, 6] })
+    step(s, { kind: 'advance' })
+    step(s, { kind: 'guess', vertex: [0, 0] })
+    step(s, { kind: 'advance' })
+    expect(guessPending(s)).toBe(false)  // last move shown, next advance starts the exercise
+    expect(s.guesses.map(g => g.result)).toEqual(['hit', 'near', 'miss'])
+    expect(guessStats(s)).toEqual({ hit: 1, near: 1, miss: 1, total: 3 })
+  })
+
+  it('keeps the first guess across a rewind', () => {
+    let s = init(sgf, { guessMoves: true })
+    step(s, { kind: 'guess', vertex: [0, 0] })
+    step(s, { kind: 'advance' })
+    step(s, { kind: 'rewind' })
+    expect(guessPending(s)).toBe(false)
+    let before = s.events.length
+    step(s, { kind: 'guess', vertex: [4, 4] })
+    expect(s.events.length).toBe(before)
+    expect(guessStats(s)).toEqual({ hit: 0, near: 0, miss: 1, total: 1 })
+  })
+
+  it('skips passes and setup steps and keys each guess by its step', () => {
+    // Steps: B[ee], W pass, AB[cc], W[gc], B[cd]
+    let s = init('(;SZ[9];B[ee];W[];AB[cc];W[gc];B[cd])', { guessMoves: true, keepPasses: true, setupSteps: true })
+    step(s, { kind: 'guess', vertex: [4, 4] })
+    step(s, { kind: 'advance' })
+    expect(guessPending(s)).toBe(false)  // the pass
+    expect(() => step(s, { kind: 'guess', vertex: [4, 4] })).toThrow()
+    step(s, { kind: 'advance' })
+    expect(guessPending(s)).toBe(false)  // the setup step
+    step(s, { kind: 'advance' })
+    expect(currentGuess(s)).toBe(null)
+    expect(guessPending(s)).toBe(true)
+    step(s, { kind: 'guess', vertex: [6, 3] })
+    step(s, { kind: 'advance' })
+    expect(currentGuess(s)).toEqual({ step: 4, vertex: [6, 3], result: 'near' })
+    step(s, { kind: 'guess', vertex: [2, 3] })
+    step(s, { kind: 'advance' })
+    expect(currentGuess(s)).toEqual({ step: 5, vertex: [2, 3], result: 'hit' })
+    expect(guessStats(s)).toEqual({ hit: 2, near: 1, miss: 0, total: 3 })
+  })
+
+  it('is off unless configured', () => {
+    let s = init(sgf)
+    expect(guessPending(s)).toBe(false)
+    expect(() => step(s, { kind: 'guess', vertex: [4, 4] })).toThrow()
+  })
+})
+
+describe('session — question selection', () => {
+  let sgf = '(;SZ[9];B[cc];W[gg];B[cd];W[gf];B[dc];W[fg];B[ee];W[ef];B[de];W[ff])'
+
+  it('caps the asked groups at maxQuestions; pre-marked ones are locked', () => {
+    let s = init(sgf, { maxQuestions: 2, selectQuestions: true })
+    dispatchAllAdvances(s)
+    expect(changedGroups(s).length).toBe(2)
+    let premarked = s.engine.libertyExercise.groups.filter(g => !g.changed)
+    expect(premarked.every(g => isLockedVertex(s, g.vertex))).toBe(true)
+  })
+})
+
+describe('session — quiz at move K', () => {
+  let sgf = '(;SZ[9]AB[ee];W[de];B[aa];W[fe];B[bb];W[ed];B[cc];W[ef])'
+
+  it('asks about move K, survives a rewind and blocks checkpoints', () => {
+    let s = init(sgf, { quizAt: { from: 5, to: 5 } })
+    expect(questionMove(s)).toBe(5)
+    for (let i = 0; i < 4; i++) step(s, { kind: 'advance' })
+    expect(canCheckpoint(s)).toBe(false)
+    step(s, { kind: 'rewind' })
+    expect(questionMove(s)).toBe(5)
+    dispatchAllAdvances(s)
+    expect(phase(s)).toBe('exercise')
+    expect(changedGroups(s).find(g => g.chainKeys.has('4,4')).libCount).toBe(1)
+  })
+
+  it('is the final position unless configured', () => {
+    let s = init(sgf)
+    expect(questionMove(s)).toBe(null)
+    for (let i = 0; i < 4; i++) step(s, { kind: 'advance' })
+    expect(canCheckpoint(s)).toBe(true)
+  })
+})
+
+describe('session — passes', () => {
+  // White passes at move 2; move 4 is a second black move in a row.
+  let sgf = '(;SZ[9];B[ee];W[];B[ce];B[gc])'
+
+  it('a pass is a step of its own, numbered as in the SGF', () => {
+    let s = init(sgf, { keepPasses: true })
+    expect(s.totalMoves).toBe(4)
+    step(s, { kind: 'advance' })
+    expect(skippedTurn(s)).toBe(null)
+    step(s, { kind: 'advance' })
+    expect(skippedTurn(s)).toEqual({ sign: -1, pass: true })
+    step(s, { kind: 'advance' })
+    expect(skippedTurn(s)).toBe(null)
+    step(s, { kind: 'advance' })
+    expect(skippedTurn(s)).toEqual({ sign: -1, pass: false })
+    expect(s.engine.invisibleStones.get('6,2').moveNumber).toBe(4)
+  })
+
+  it('a pass is not guessed', () => {
+    let s = init(sgf, { keepPasses: true, guessMoves: true })
+    step(s, { kind: 'guess', vertex: [4, 4] })
+    step(s, { kind: 'advance' })
+    expect(guessPending(s)).toBe(false)
+    step(s, { kind: 'advance' })
+    expect(guessPending(s)).toBe(true)
+  })
+
+  it('older sessions drop passes', () => {
+    let s = init(sgf)
+    expect(s.totalMoves).toBe(3)
+  })
+})
+
+describe('session — setup steps', () => {
+  let sgf = '(;SZ[9];B[ee];AW[ce][cf];W[gc];B[cc])'
+
+  it('a setup step is shown as a step of its own, not a turn', () => {
+    let s = init(sgf, { keepPasses: true, setupSteps: true })
+    expect(s.totalMoves).toBe(4)
+    step(s, { kind: 'advance' })
+    expect(shownSetup(s)).toBe(null)
+    step(s, { kind: 'advance' })
+    expect(shownSetup(s)).toEqual({ black: [], white: [[2, 4], [2, 5]], empty: [] })
+    expect(skippedTurn(s)).toBe(null)
+    step(s, { kind: 'advance' })
+    step(s, { kind: 'advance' })
+    expect(skippedTurn(s)).toBe(null)
+    step(s, { kind: 'rewind' })
+    expect(s.engine.baseSignMap[4][2]).toBe(0)
+  })
+
+  it('guessing passes over the setup step to the move after it', () => {
+    let s = init(sgf, { setupSteps: true, guessMoves: true })
+    step(s, { kind: 'guess', vertex: [4, 4] })
+    step(s, { kind: 'advance' })
+    expect(guessPending(s)).toBe(false)
+    step(s, { kind: 'advance' })
+    expect(currentGuess(s)).toBe(null)
+    expect(guessPending(s)).toBe(true)
+    step(s, { kind: 'guess', vertex: [6, 2] })
+    step(s, { kind: 'advance' })
+    expect(currentGuess(s)).toEqual({ step: 3, vertex: [6, 2], result: 'hit' })
+    expect(guessStats(s)).toEqual({ hit: 2, near: 0, miss: 0, total: 2 })
+  })
+
+  it('quiz at move K counts moves, not setup steps', () => {
+    let s = init(sgf, { setupSteps: true, quizAt: { from: 2, to: 2 } })
+    expect(questionMove(s)).toBe(2)
+    dispatchAllAdvances(s)
+    expect(phase(s)).toBe('exercise')
+    let keys = changedGroups(s).flatMap(g => [...g.chainKeys])
+    expect(keys).toContain('6,2')    // W[gc], move 2
+    expect(keys).not.toContain('2,2')  // B[cc], move 3
+  })
+})
@@ -95,12 +95,86 @@ function walkMainLine(node) {
   return nodes
 }
 
-export function parseSgf(sgfString) {
+// Variations are the tree's root-to-leaf lines: the main line first,
+// then the other leaves in tree order. One line per leaf, so counting
+// them needs no paths.
+function countLeaves(node) {
+  if (!node.children || node.children.length === 0) return 1
+  return node.children.reduce((n, child) => n + countLeaves(child), 0)
+}
+
+// The nodes of variation n. Only the line asked for is copied out of the
+// walk's shared stack; the main line is walked directly.
+function variationLine(root, n) {
+  let main = walkMainLine(root)
+  if (n === 0) return main
+  let mainLeaf = main[main.length - 1]
+  let stack = [], seen = 0, line = null
+  let walk = node => {
+    stack.push(node)
+    if (!node.children || node.children.length === 0) {
+      if (node !== mainLeaf && ++seen === n) line = [...stack]
+    } else {
+      for (let child of node.children) if (!line) walk(child)
+    }
+    stack.pop()
+  }
+  walk(root)
+  return line
+}
+
+// Game trees of an SGF collection, `(;...)(;...)`: each is a problem
+// of its own. A single-tree SGF comes back as is; otherwise entry n is
+// tree n alone, so parseSgf (which reads the first tree) and the engine
+// only ever see their own tree. Each entry is that tree's slice of the
+// original text — importing the same file again yields the same content,
+// which is what backup merges dedupe on. Should the slicing not line up
+// with the parser's trees, they are re-serialised instead.
+export function splitCollection(sgfString) {
+  let trees = sgf.parse(sgfString)
+  if (trees.length <= 1) return [sgfString]
+  let slices = topLevelTrees(sgfString)
+  if (slices.length === trees.length) return slices
+  return trees.map(tree => sgf.stringify([tree], { linebreak: '' }))
+}
+
+// The text of each top-level `(...)`, skipping brackets inside property
+// values (where `\` escapes the next character).
+function topLevelTrees(text) {
+  let slices = []
+  let depth = 0, start = 0, inValue = false
+  for (let i = 0; i < text.length; i++) {
+    let c = text[i]
+    if (inValue) {
+      if (c === '\\') i++
+      else if (c === ']') inValue = false
+    } else if (c === '[') {
+      inValue = true
+    } else if (c === '(') {
+      if (depth++ === 0) start = i
+    } else if (c === ')' && depth > 0 && --depth === 0) {
+      slices.push(text.slice(start, i + 1))
+    }
+  }
+  return slices
+}
+
+// Board dimensions from the root's SZ: SZ[19] is square, SZ[19:13] is
+// 19 wide and 13 high. Missing → 19×19.
+function boardDimensions(root) {
+  if (!root.data.SZ) return [19, 19]
+  let [w, h] = String(root.data.SZ[0]).split(':').map(s => parseInt(s))
+  return [w, h || w]
+}
+
+// `variation` picks the line to read (see variationLine); 0 is the
+// main line. `wrongVariation` marks a line through a WV node.
+export function parseSgf(sgfString, variation = 0) {
   let trees = sgf.parse(sgfString)
   assert(trees.length > 0, 'SGF contains no game trees')
   let root = trees[0]
 
-  let boardSize = root.data.SZ ? parseInt(root.data.SZ[0]) : 19
+  let [boardWidth, boardHeight] = boardDimensions(root)
 
   // Setup stones from root node
   let setupBlack = []
@@ -125,39 +199,58 @@ export function parseSgf(sgfString) {
   let playerWhite = root.data.PW ? root.data.PW[0] : ''
   let gameName = root.data.GN ? root.data.GN[0] : ''
 
-  // Extract moves from main line (skip root node)
-  let nodes = walkMainLine(root)
+  // Extract moves from main line (skip root node). A node that adds or
+  // removes stones (AB/AW/AE) gives a setup step before its move:
+  // { sign: 0, vertex: null, setup: { black, white, empty } }.
+  let variationCount = countLeaves(root)
+  assert(variation < variationCount, `SGF has no variation ${variation}`)
+  let nodes = variationLine(root, variation)
   let moves = []
   for (let i = 1; i < nodes.length; i++) {
     let node = nodes[i]
+    let setup = parseSetup(node)
+    if (setup) moves.push({ sign: 0, vertex: null, setup })
     if (node.data.B != null) {
-      moves.push({ sign: 1, vertex: parseMove(node.data.B[0], boardSize) })
+      moves.push({ sign: 1, vertex: parseMove(node.data.B[0], boardWidth, boardHeight) })
     } else if (node.data.W != null) {
-      moves.push({ sign: -1, vertex: parseMove(node.data.W[0], boardSize) })
+      moves.push({ sign: -1, vertex: parseMove(node.data.W[0], boardWidth, boardHeight) })
     }
   }
 
   return {
-    boardSize,
+    boardWidth,
+    boardHeight,
     moves,
     setupBlack,
     setupWhite,
     playerBlack,
     playerWhite,
     gameName,
-    moveCount: moves.length,
+    moveCount: moves.filter(m => !m.setup).length,
+    variationCount,
+    wrongVariation: nodes.some(n => 'WV' in n.data),
   }
 }
 
-// Walk entire tree collecting all stone coordinates (setup + moves in all variations)
+// Setup properties of a non-root node, or null if it changes nothing
+function parseSetup(node) {
+  if (!node.data.AB && !node.data.AW && !node.data.AE) return null
+  let list = values => (values || []).flatMap(v => sgf.parseCompressedVertices(v))
+  let setup = { black: list(node.data.AB), white: list(node.data.AW), empty: list(node.data.AE) }
+  return setup.black.length + setup.white.length + setup.empty.length > 0 ? setup : null
+}
+
+function hasSetup(node) {
+  return !!(node.data.AB || node.data.AW || node.data.AE) || (node.children || []).some(hasSetup)
+}
+
+// Walk entire tree collecting all stone coordinates (setup, cleared
+// points + moves in all variations)
 function collectAllVertices(node) {
   let vertices = []
-  if (node.data.AB) {
-    for (let v of node.data.AB)
-      for (let vertex of sgf.parseCompressedVertices(v)) vertices.push(vertex)
-  }
-  if (node.data.AW) {
-    for (let v of node.data.AW)
+  for (let prop of ['AB', 'AW', 'AE']) {
+    if (!node.data[prop]) continue
+    for (let v of node.data[prop])
       for (let vertex of sgf.parseCompressedVertices(v)) vertices.push(vertex)
   }
   if (node.data.B && node.data.B[0] && node.data.B[0] !== 'tt')
@@ -170,18 +263,19 @@ function collectAllVertices(node) {
   return vertices
 }
 
-// For problems (have setup stones): compute bounding box of all stones + 1 margin
+// For problems (have setup stones, in the root or further down): compute
+// bounding box of all stones + 1 margin
 // Returns [minX, minY, maxX, maxY] or null for full games
 export function computeRange(sgfString) {
   let trees = sgf.parse(sgfString)
   let root = trees[0]
-  if (!root.data.AB && !root.data.AW) return null
+  if (!hasSetup(root)) return null
 
-  let size = root.data.SZ ? parseInt(root.data.SZ[0]) : 19
+  let [width, height] = boardDimensions(root)
   let vertices = collectAllVertices(root)
   if (vertices.length === 0) return null
 
-  let minX = size, maxX = 0, minY = size, maxY = 0
+  let minX = width, maxX = 0, minY = height, maxY = 0
   for (let [x, y] of vertices) {
     minX = Math.min(minX, x)
     maxX = Math.max(maxX, x)
@@ -191,23 +285,23 @@ export function computeRange(sgfString) {
 
   // Add 1 margin, clamped to board
   minX = Math.max(0, minX - 1)
-  maxX = Math.min(size - 1, maxX + 1)
+  maxX = Math.min(width - 1, maxX + 1)
   minY = Math.max(0, minY - 1)
-  maxY = Math.min(size - 1, maxY + 1)
+  maxY = Math.min(height - 1, maxY + 1)
 
   // If a dimension spans 16+, expand it to full board
-  if (maxX - minX >= 15) { minX = 0; maxX = size - 1 }
-  if (maxY - minY >= 15) { minY = 0; maxY = size - 1 }
-  if (minX === 0 && maxX === size - 1 && minY === 0 && maxY === size - 1) return null
+  if (maxX - minX >= 15) { minX = 0; maxX = width - 1 }
+  if (maxY - minY >= 15) { minY = 0; maxY = height - 1 }
+  if (minX === 0 && maxX === width - 1 && minY === 0 && maxY === height - 1) return null
 
   return [minX, minY, maxX, maxY]
 }
 
 // Parse move coordinate; treat empty, 'tt', and out-of-bounds as pass (null)
-function parseMove(raw, boardSize) {
+function parseMove(raw, width, height) {
   if (!raw || raw === 'tt') return null
   let vertex = sgf.parseVertex(raw)
-  if (vertex[0] < 0 || vertex[0] >= boardSize || vertex[1] < 0 || vertex[1] >= boardSize) return null
+  if (vertex[0] < 0 || vertex[0] >= width || vertex[1] < 0 || vertex[1] >= height) return null
   return vertex
 }
 
@@ -1,5 +1,5 @@
 import { describe, it, expect } from 'vitest'
-import { parseSgf } from './sgf-utils.js'
+import { parseSgf, computeRange, splitCollection } from './sgf-utils.js'
 
 // Minimal SGF: 9x9, 3 moves, no setup
 let simpleSgf = '(;SZ[9]PB[Alice]PW[Bob];B[ee];W[ce];B[gc])'
@@ -16,12 +16,19 @@ let compressedSgf = '(;SZ[9]AB[aa:cc];B[ee])'
 describe('parseSgf', () => {
   it('parses board size', () => {
     let result = parseSgf(simpleSgf)
-    expect(result.boardSize).toBe(9)
+    expect(result.boardWidth).toBe(9)
+    expect(result.boardHeight).toBe(9)
+  })
+
+  it('parses a rectangular board; moves off it are passes', () => {
+    let result = parseSgf('(;SZ[19:13];B[sa];W[am];B[an])')
+    expect([result.boardWidth, result.boardHeight]).toEqual([19, 13])
+    expect(result.moves.map(m => m.vertex)).toEqual([[18, 0], [0, 12], null])
   })
 
   it('defaults board size to 19', () => {
     let result = parseSgf('(;PB[X];B[dd])')
-    expect(result.boardSize).toBe(19)
+    expect([result.boardWidth, result.boardHeight]).toEqual([19, 19])
   })
 
   it('extracts player names', () => {
@@ -55,6 +62,41 @@ describe('parseSgf', () => {
     ])
   })
 
+  it('emits setup steps for AB/AW/AE further down the main line', () => {
+    let result = parseSgf('(;SZ[9]AB[cc];B[dd];AE[cc]AW[ee][ef];W[fe])')
+    expect(result.moves).toEqual([
+      { sign: 1, vertex: [3, 3] },
+      { sign: 0, vertex: null, setup: { black: [], white: [[4, 4], [4, 5]], empty: [[2, 2]] } },
+      { sign: -1, vertex: [5, 4] },
+    ])
+    expect(result.moveCount).toBe(2)
+  })
+
+  it('reads any root-to-leaf line, the main line first', () => {
+    // The WV branch B[bb] is skipped by the main line; W[cc] has two answers.
+    let tree = '(;SZ[9];B[aa](;W[bb]WV[];B[cb])(;W[cc](;B[dd])(;B[ee])))'
+    let line = v => parseSgf(tree, v).moves.map(m => m.vertex)
+    expect(parseSgf(tree).variationCount).toBe(3)
+    expect(line(0)).toEqual([[0, 0], [2, 2], [3, 3]])
+    expect(line(1)).toEqual([[0, 0], [1, 1], [2, 1]])
+    expect(line(2)).toEqual([[0, 0], [2, 2], [4, 4]])
+    expect(parseSgf(tree, 1).wrongVariation).toBe(true)
+    expect(parseSgf(tree, 2).wrongVariation).toBe(false)
+    expect(() => parseSgf(tree, 3)).toThrow()
+  })
+
+  it('reads a late variation of a deep, bushy tree', () => {
+    // 60 moves, each with a one-move sidestep: 61 lines.
+    let v = i => 'abcdefghi'[i % 9] + 'abcdefghi'[Math.floor(i / 9) % 9]
+    let tree = '(;SZ[9]'
+    for (let i = 0; i < 60; i++) tree += `(;${i % 2 ? 'W' : 'B'}[${v(i)}]WV[])(;${i % 2 ? 'W' : 'B'}[${v(i + 9)}]`
+    tree += ')'.repeat(61)
+    expect(parseSgf(tree).variationCount).toBe(61)
+    expect(parseSgf(tree).moveCount).toBe(60)
+    expect(parseSgf(tree, 60).moves).toHaveLength(60)
+    expect(parseSgf(tree, 60).wrongVariation).toBe(true)
+  })
+
   it('handles compressed vertex lists', () => {
     let result = parseSgf(compressedSgf)
     // aa:cc = 3x3 rectangle: [0,0] [1,0] [2,0] [0,1] [1,1] [2,1] [0,2] [1,2] [2,2]
@@ -75,3 +117,37 @@ describe('parseSgf', () => {
     expect(result.moves[0]).toEqual({ sign: 1, vertex: expect.any(Array) })
   })
 })
+
+describe('computeRange', () => {
+  it('crops each axis of a rectangular board to its own edge', () => {
+    // Corner problem on a 19×7 board: the crop stops at the bottom edge (y=6).
+    expect(computeRange('(;SZ[19:7]AB[ae][bf]AW[ag];B[cg])')).toEqual([0, 3, 3, 6])
+  })
+
+  it('a span of 16+ opens that axis to the full width', () => {
+    expect(computeRange('(;SZ[19:7]AB[ab][sb];B[cc])')).toEqual([0, 0, 18, 3])
+  })
+
+  it('includes setup stones and cleared points below the root', () => {
+    expect(computeRange('(;SZ[19];B[cc];AW[ee];W[dd];AE[ff])')).toEqual([1, 1, 6, 6])
+  })
+})
+
+describe('splitCollection', () => {
+  it('returns a single-tree SGF unchanged', () => {
+    let one = '(;SZ[9]AB[cc];B[dd])'
+    expect(splitCollection(one)).toEqual([one])
+  })
+
+  it('returns each tree of a collection on its own, as written', () => {
+    let trees = splitCollection('(;SZ[9]AB[cc];B[dd])\n(;SZ[13]AW[ee]C[a (note\\]) here];W[ff](;B[gg])(;B[hh]))')
+    expect(trees).toHaveLength(2)
+    expect(trees[0]).toBe('(;SZ[9]AB[cc];B[dd])')
+    expect(trees[1]).toBe('(;SZ[13]AW[ee]C[a (note\\]) here];W[ff](;B[gg])(;B[hh]))')
+    expect(parseSgf(trees[0]).moves).toEqual([{ sign: 1, vertex: [3, 3] }])
+    let second = parseSgf(trees[1])
+    expect(second.boardWidth).toBe(13)
+    expect(second.setupWhite).toEqual([[4, 4]])
+    expect(second.variationCount).toBe(2)
+  })
+})
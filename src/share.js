@@ -0,0 +1,145 @@
+// Shareable result card (Wordle style): a spoiler-free emoji line per
+// problem, one square per group in display order (the order of
+// popupData.pointsByGroup — see orderGroupsByDisplay), e.g.
+//   TsumeSight Daily #47 Easy: 🟩🟩🟥 2/3 ⏱ 23s ★★☆
+// 🟩 first try, 🟨 right on a later try, 🟥 never.
+//
+// Pure text builders, plus the browser glue: shareResult hands the text
+// to the Web Share API when it exists and falls back to the clipboard;
+// renderBoardCard / shareImage produce the optional PNG of the final
+// board with the text as its caption.
+
+import { starLabel } from './scoring.js'
+
+export function groupSquares(pointsByGroup, schedule) {
+  return pointsByGroup.map(p => p >= schedule[0] ? '🟩' : p > 0 ? '🟨' : '🟥').join('')
+}
+
+function firstTry(pointsByGroup, schedule) {
+  return pointsByGroup.filter(p => p >= schedule[0]).length
+}
+
+// One finished problem, from FinishPopup's popupData.
+export function shareText(label, popupData) {
+  let { pointsByGroup, schedule, elapsedSec, stars } = popupData
+  let squares = groupSquares(pointsByGroup, schedule)
+  return `${label}: ${squares} ${firstTry(pointsByGroup, schedule)}/${pointsByGroup.length} ⏱ ${elapsedSec}s ${starLabel(stars)}`
+}
+
+// A day's daily challenge: a header line, then one line per played tier.
+// Entries recorded before squares were stored fall back on correct/total.
+export function dailyShareText(number, result, tiers, schedule) {
+  let entries = tiers.map(t => result?.problems?.[t]).filter(Boolean)
+  let lines = entries.map(e => {
+    let points = e.pointsByGroup
+      || Array.from({ length: e.total }, (_, i) => i < e.correct ? schedule[0] : 0)
+    let squares = groupSquares(points, schedule)
+    return e.stars != null ? `${squares} ${starLabel(e.stars)}` : squares
+  })
+  let correct = entries.reduce((s, e) =>
+    s + (e.pointsByGroup ? firstTry(e.pointsByGroup, schedule) : e.correct), 0)
+  let total = entries.reduce((s, e) => s + e.total, 0)
+  let sec = Math.round(entries.reduce((s, e) => s + (e.totalMs || 0), 0) / 1000)
+  return [`TsumeSight Daily #${number}: ${correct}/${total} ⏱ ${sec}s`, ...lines].join('\n')
+}
+
+// Share via the Web Share API when available, else copy to the
+// clipboard. Resolves to 'shared' | 'copied' | 'cancelled' | 'failed'.
+// `nav` is injectable for tests.
+export async function shareResult(text, nav = globalThis.navigator) {
+  if (nav?.share) {
+    try {
+      await nav.share({ text })
+      return 'shared'
+    } catch (e) {
+      if (e?.name === 'AbortError') return 'cancelled'
+    }
+  }
+  return copyResult(text, nav)
+}
+
+export async function copyResult(text, nav = globalThis.navigator) {
+  try {
+    await nav.clipboard.writeText(text)
+    return 'copied'
+  } catch {
+    return 'failed'
+  }
+}
+
+const CELL = 28
+const CAPTION_H = 2 * CELL
+
+// Draw the (cropped) board with the caption underneath. Resolves to a PNG
+// Blob, or null where canvas isn't available.
+export function renderBoardCard(signMap, { rangeX, rangeY, caption }) {
+  let [x0, x1] = rangeX || [0, signMap[0].length - 1]
+  let [y0, y1] = rangeY || [0, signMap.length - 1]
+  let cols = x1 - x0 + 1, rows = y1 - y0 + 1
+  let canvas = document.createElement('canvas')
+  canvas.width = (cols + 1) * CELL
+  canvas.height = (rows + 1) * CELL + CAPTION_H
+  let ctx = canvas.getContext?.('2d')
+  if (!ctx) return Promise.resolve(null)
+
+  ctx.fillStyle = '#dcb35c'
+  ctx.fillRect(0, 0, canvas.width, canvas.height - CAPTION_H)
+  ctx.strokeStyle = '#3a2a10'
+  ctx.lineWidth = 1
+  let px = x => (x - x0 + 1) * CELL
+  let py = y => (y - y0 + 1) * CELL
+  // Lines run to the board edge only where the crop includes it.
+  let lastX = signMap[0].length - 1, lastY = signMap.length - 1
+  for (let x = x0; x <= x1; x++) {
+    ctx.beginPath()
+    ctx.moveTo(px(x), y0 === 0 ? py(0) : 0)
+    ctx.lineTo(px(x), y1 === lastY ? py(y1) : canvas.height - CAPTION_H)
+    ctx.stroke()
+  }
+  for (let y = y0; y <= y1; y++) {
+    ctx.beginPath()
+    ctx.moveTo(x0 === 0 ? px(0) : 0, py(y))
+    ctx.lineTo(x1 === lastX ? px(x1) : canvas.width, py(y))
+    ctx.stroke()
+  }
+  for (let y = y0; y <= y1; y++) {
+    for (let x = x0; x <= x1; x++) {
+      let sign = signMap[y][x]
+      if (!sign) continue
+      ctx.beginPath()
+      ctx.arc(px(x), py(y), CELL * 0.47, 0, 2 * Math.PI)
+      ctx.fillStyle = sign > 0 ? '#111' : '#f4f4f4'
+      ctx.fill()
+      if (sign < 0) ctx.stroke()
+    }
+  }
+
+  ctx.fillStyle = '#1c1a18'
+  ctx.fillRect(0, canvas.height - CAPTION_H, canvas.width, CAPTION_H)
+  ctx.fillStyle = '#ddd'
+  ctx.font = `${Math.round(CELL * 0.5)}px sans-serif`
+  ctx.textAlign = 'center'
+  ctx.textBaseline = 'middle'
+  ctx.fillText(caption, canvas.width / 2, canvas.height - CAPTION_H / 2, canvas.width - CELL)
+  return new Promise(resolve => canvas.toBlob(resolve, 'image/png'))
+}
+
+// Share the PNG as a file where the platform supports it, else download it.
+export async function shareImage(blob, text, nav = globalThis.navigator) {
+  let file = new File([blob], 'tsumesight.png', { type: 'image/png' })
+  if (nav?.canShare?.({ files: [file] })) {
+    try {
+      await nav.share({ files: [file], text })
+      return 'shared'
+    } catch (e) {
+      if (e?.name === 'AbortError') return 'cancelled'
+    }
+  }
+  let url = URL.createObjectURL(blob)
+  let a = document.createElement('a')
+  a.href = url
+  a.download = file.name
+  a.click()
+  setTimeout(() => URL.revokeObjectURL(url), 1000)
+  return 'downloaded'
+}
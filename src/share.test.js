@@ -0,0 +1,64 @@
+import { describe, it, expect, vi } from 'vitest'
+import { groupSquares, shareText, dailyShareText, shareResult, copyResult } from './share.js'
+
+const schedule = [20, 12, 6, 0]
+
+describe('groupSquares', () => {
+  it('green first try, yellow later try, red never — in the given order', () => {
+    expect(groupSquares([20, 0, 12, 6], schedule)).toBe('🟩🟥🟨🟨')
+  })
+})
+
+describe('shareText', () => {
+  it('formats squares, first-try count, time and star label', () => {
+    let popupData = { pointsByGroup: [20, 20, 0], schedule, elapsedSec: 23, stars: 2 }
+    expect(shareText('TsumeSight Daily #47', popupData)).toBe('TsumeSight Daily #47: 🟩🟩🟥 2/3 ⏱ 23s ★★☆')
+  })
+
+  it('uses the trophy for 5 stars', () => {
+    let popupData = { pointsByGroup: [20], schedule, elapsedSec: 4, stars: 5 }
+    expect(shareText('TsumeSight', popupData)).toBe('TsumeSight: 🟩 1/1 ⏱ 4s 🏆')
+  })
+})
+
+describe('dailyShareText', () => {
+  it('one line per played tier under a totals header', () => {
+    let result = {
+      problems: {
+        easy: { correct: 2, total: 2, totalMs: 10000, pointsByGroup: [20, 20], stars: 5 },
+        medium: { correct: 1, total: 2, totalMs: 12400, pointsByGroup: [12, 20], stars: 3 },
+        hard: { correct: 1, total: 3, totalMs: 30000 },
+      },
+    }
+    expect(dailyShareText(47, result, ['easy', 'medium', 'hard'], schedule)).toBe([
+      'TsumeSight Daily #47: 4/7 ⏱ 52s',
+      '🟩🟩 🏆',
+      '🟨🟩 ★★★',
+      '🟩🟥🟥',
+    ].join('\n'))
+  })
+})
+
+describe('shareResult', () => {
+  it('prefers the Web Share API', async () => {
+    let nav = { share: vi.fn(async () => {}), clipboard: { writeText: vi.fn() } }
+    expect(await shareResult('x', nav)).toBe('shared')
+    expect(nav.share).toHaveBeenCalledWith({ text: 'x' })
+    expect(nav.clipboard.writeText).not.toHaveBeenCalled()
+  })
+
+  it('a dismissed share sheet is not an error', async () => {
+    let nav = { share: async () => { throw Object.assign(new Error('no'), { name: 'AbortError' }) } }
+    expect(await shareResult('x', nav)).toBe('cancelled')
+  })
+
+  it('falls back to the clipboard', async () => {
+    let nav = { clipboard: { writeText: vi.fn(async () => {}) } }
+    expect(await shareResult('x', nav)).toBe('copied')
+    expect(nav.clipboard.writeText).toHaveBeenCalledWith('x')
+  })
+
+  it('reports failure without a clipboard', async () => {
+    expect(await copyResult('x', {})).toBe('failed')
+  })
+})
@@ -80,8 +80,9 @@ export function playStoneClick() {
   osc.stop(c.currentTime + 0.05)
 }
 
-// value: 0 = clear, 1..(max-1) = normal, max = capped (e.g. "5+")
-export function playMark(value) {
+// value: 0 = clear, 1..(max-1) = normal, max = capped (e.g. "5+");
+// max is the liberty cap.
+export function playMark(value, max = config.maxLibertyLabel) {
   if (!getEnabled()) return
   let c = getCtx()
   if (value === 0) {
@@ -98,7 +99,6 @@ export function playMark(value) {
   }
   // Hold base → glide to target → hold target. Target ratio spans
   // unison (value=1) to ~3× (value=max), so each rung sounds distinct.
-  let max = config.maxLibertyLabel
   let ratio = 1 + (value - 1) / (max - 1) * 2
   let base = 330, target = base * ratio
   let total = 0.1, sum = 2 + 6 + 6
@@ -0,0 +1,108 @@
+// Time Trial: problems from one folder (those that ask something; see
+// trialQueue), each on its own clock, with a fixed stock of lives. A
+// wrong finalize or running out the problem clock costs a life; the run
+// ends at zero lives or when the folder runs out.
+// A finalize is wrong when an answer is still wrong as the exercise
+// closes (scoreEntry.unresolved, see session.unresolvedMistakes). Groups
+// missed at first and corrected on a resubmit only cost points, as in
+// the regular score.
+//
+// Score = problems solved + lives left + time bonus, where each solved
+// problem adds one point per config.timeTrialBonusSec seconds still on
+// its clock.
+//
+// Pure run controller, replaced (not mutated) on every change so it can
+// live in component state; time-trial.jsx owns the clock and the UI. The
+// per-problem play itself is a regular <Quiz> session — step() folds the
+// events, computeFinalizeData produces the scoreEntry handed back here.
+//   { queue, index, lives, results: [{sgfId, outcome, remainingMs}],
+//     startedAt, problemStartedAt, endedAt }
+//   outcome: 'solved' | 'wrong' | 'timeout' | 'skipped'
+
+import config from './config.js'
+import { rushQueue } from './rush.js'
+import { asksQuestions } from './session.js'
+
+// The run's problems: Rush's shuffled queue, minus those that ask nothing
+// under sessionConfig — finalizing one of those would be a free solve.
+export function trialQueue(list, sessionConfig, random = Math.random) {
+  return rushQueue(list, random).filter(s => asksQuestions(s.content, sessionConfig))
+}
+
+export function initTrial(queue, now, { lives = config.timeTrialLives } = {}) {
+  return { queue, index: 0, lives, results: [], startedAt: now, problemStartedAt: now, endedAt: null }
+}
+
+export function currentTrialProblem(trial) {
+  return trial.queue[trial.index] || null
+}
+
+// Time left on the current problem's clock, never negative.
+export function problemRemainingMs(trial, now) {
+  return Math.max(0, trial.problemStartedAt + config.timeTrialProblemSec * 1000 - now)
+}
+
+export function trialOver(trial) {
+  return trial.endedAt != null || trial.lives <= 0 || trial.index >= trial.queue.length
+}
+
+function advance(trial, outcome, now) {
+  let lost = outcome === 'solved' ? 0 : 1
+  let result = { sgfId: currentTrialProblem(trial).id, outcome, remainingMs: problemRemainingMs(trial, now) }
+  let next = {
+    ...trial,
+    index: trial.index + 1,
+    lives: trial.lives - lost,
+    results: [...trial.results, result],
+    problemStartedAt: now,
+  }
+  return trialOver(next) ? { ...next, endedAt: now } : next
+}
+
+// A finalized problem (its scoreEntry). Every answer right by the last
+// submit and inside the clock is a solve; anything else costs a life.
+export function recordTrialFinalize(trial, { unresolved }, now) {
+  if (trialOver(trial)) return trial
+  if (problemRemainingMs(trial, now) === 0) return advance(trial, 'timeout', now)
+  return advance(trial, unresolved > 0 ? 'wrong' : 'solved', now)
+}
+
+// The problem clock ran out before finalize.
+export function recordTrialTimeout(trial, now) {
+  if (trialOver(trial)) return trial
+  return advance(trial, 'timeout', now)
+}
+
+// Giving up on the current problem costs a life, same as a timeout.
+export function skipTrialProblem(trial, now) {
+  if (trialOver(trial)) return trial
+  return advance(trial, 'skipped', now)
+}
+
+// Quitting forfeits the remaining lives — otherwise stopping right away
+// would bank a free score.
+export function endTrial(trial, now) {
+  if (trial.endedAt != null) return trial
+  return { ...trial, lives: 0, endedAt: now }
+}
+
+export function trialScore(trial) {
+  let solved = trial.results.filter(r => r.outcome === 'solved')
+  let timeBonus = solved.reduce((s, r) => s + Math.floor(r.remainingMs / 1000 / config.timeTrialBonusSec), 0)
+  let lives = Math.max(0, trial.lives)
+  return { solved: solved.length, lives, timeBonus, score: solved.length + lives + timeBonus }
+}
+
+// History entry persisted in kv `timeTrial`.
+export function trialSummary(trial, now) {
+  let end = trial.endedAt ?? now
+  return { date: end, ...trialScore(trial), problems: trial.results.length, durationMs: end - trial.startedAt }
+}
+
+// Best history entry: highest score, more problems solved breaks ties.
+export function trialBest(history) {
+  if (!history || history.length === 0) return null
+  return history.reduce((best, h) =>
+    h.score > best.score || (h.score === best.score && h.solved > best.solved) ? h : best
+  )
+}
@@ -0,0 +1,105 @@
+import { useState, useEffect } from 'preact/hooks'
+import { Quiz, liveSessionConfig } from './quiz.jsx'
+import { getAllSgfs, updateSgf, addScore, getTimeTrialHistory, addTimeTrialRun } from './db.js'
+import { siblings } from './navigation.js'
+import { formatClock } from './rush.jsx'
+import {
+  trialQueue, initTrial, currentTrialProblem, problemRemainingMs, trialOver, recordTrialFinalize,
+  recordTrialTimeout, skipTrialProblem, endTrial, trialScore, trialSummary, trialBest,
+} from './time-trial.js'
+import config from './config.js'
+
+// Time Trial over the problems directly in `path`. The run controller in
+// time-trial.js decides what comes next and when it's over; this
+// component only runs the clock, mounts one autoAdvance <Quiz> per
+// problem and feeds finalizes/timeouts back in.
+export function TimeTrial({ path, onExit, onUnlocked }) {
+  let [trial, setTrial] = useState(null)
+  let [summary, setSummary] = useState(null)
+  let [, setTick] = useState(0)
+
+  let start = async () => {
+    let all = await getAllSgfs()
+    setSummary(null)
+    setTrial(initTrial(trialQueue(siblings(all, path), liveSessionConfig()), Date.now()))
+  }
+  useEffect(() => { start() }, [])
+
+  // Clock ticker: re-render 4×/s so the countdown and timeout check run.
+  useEffect(() => {
+    if (!trial || summary) return
+    let id = setInterval(() => setTick(n => n + 1), 250)
+    return () => clearInterval(id)
+  }, [trial != null, summary])
+
+  // Per-problem timeout, then end of run (persist once, show summary).
+  useEffect(() => {
+    if (!trial || summary) return
+    if (!trialOver(trial) && problemRemainingMs(trial, Date.now()) === 0) {
+      setTrial(t => recordTrialTimeout(t, Date.now()))
+      return
+    }
+    if (!trialOver(trial)) return
+    let entry = trialSummary(trial, Date.now())
+    let prevBest = trialBest(getTimeTrialHistory())
+    addTimeTrialRun(entry)
+    setSummary({ ...entry, prevBest })
+  })
+
+  if (summary) return <TimeTrialSummary summary={summary} onAgain={start} onExit={onExit} />
+  if (!trial) return <p class="loading">Loading...</p>
+  let sgf = currentTrialProblem(trial)
+  if (!sgf || trialOver(trial)) return null
+
+  let onSolved = (correct, total, scoreEntry) => {
+    updateSgf(sgf.id, { solved: true, correct, done: total })
+    addScore(sgf.id, scoreEntry)
+    setTrial(t => recordTrialFinalize(t, scoreEntry, Date.now()))
+  }
+  let skip = () => setTrial(t => skipTrialProblem(t, Date.now()))
+  let stop = () => setTrial(t => endTrial(t, Date.now()))
+  let left = problemRemainingMs(trial, Date.now())
+  let hearts = '♥'.repeat(trial.lives) + '♡'.repeat(Math.max(0, config.timeTrialLives - trial.lives))
+
+  return <>
+    <div class={`rush-bar${left < 10000 ? ' rush-bar-urgent' : ''}`}>
+      ⏱ {formatClock(left)} · {hearts} · {trialScore(trial).solved} solved
+    </div>
+    <Quiz key={`${trial.index}:${sgf.id}`} sgf={sgf.content} sgfId={sgf.id}
+      wasSolved={false} restored={false} autoAdvance
+      onBack={stop} onSolved={onSolved}
+      onProgress={({ correct, done, total }) => updateSgf(sgf.id, { correct, done, total })}
+      onUnlocked={onUnlocked}
+      onLoadError={skip} onNext={skip} onNextUnsolved={skip} />
+  </>
+}
+
+// End-of-run screen: score breakdown and previous best.
+function TimeTrialSummary({ summary, onAgain, onExit }) {
+  let { score, solved, lives, timeBonus, problems, prevBest } = summary
+  let isBest = score > 0 && (!prevBest || score > prevBest.score)
+  useEffect(() => {
+    function onKeyDown(e) {
+      if (e.key === 'Enter') { e.preventDefault(); onAgain() }
+      else if (e.key === 'Escape') { e.preventDefault(); onExit() }
+    }
+    window.addEventListener('keydown', onKeyDown)
+    return () => window.removeEventListener('keydown', onKeyDown)
+  }, [])
+  return (
+    <div class="rush-summary">
+      <h2>Time Trial</h2>
+      <div class="rush-score">{score}</div>
+      <div class="rush-score-label">points</div>
+      {isBest && <div class="complete-badge">New personal best!</div>}
+      <table class="rush-stats"><tbody>
+        <tr><td>Solved</td><td>{solved} / {problems}</td></tr>
+        <tr><td>Lives left</td><td>+{lives}</td></tr>
+        <tr><td>Time bonus</td><td>+{timeBonus}</td></tr>
+        {prevBest && <tr><td>Previous best</td><td>{prevBest.score}</td></tr>}
+      </tbody></table>
+      <button class="next-hero" title="Start another run (Enter)" onClick={onAgain}>Again</button>
+      <button class="bar-btn" title="Back to library (Esc)" onClick={onExit}>Library</button>
+    </div>
+  )
+}
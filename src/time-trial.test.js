@@ -0,0 +1,96 @@
+import { describe, it, expect } from 'vitest'
+import {
+  trialQueue, initTrial, currentTrialProblem, problemRemainingMs, trialOver, recordTrialFinalize,
+  recordTrialTimeout, skipTrialProblem, endTrial, trialScore, trialSummary, trialBest,
+} from './time-trial.js'
+import config from './config.js'
+
+const queue = [1, 2, 3, 4, 5, 6].map(id => ({ id, moveCount: 2 }))
+const CLOCK = config.timeTrialProblemSec * 1000
+
+describe('trialQueue', () => {
+  it('drops problems that ask nothing, as well as those without moves', () => {
+    let list = [
+      { id: 1, moveCount: 2, content: '(;SZ[9];B[ee];W[ef])' },
+      { id: 2, moveCount: 0, content: '(;SZ[9])' },
+      { id: 3, moveCount: 3, content: '(;SZ[9]AW[aa];B[ba];W[cc];B[ab])' },
+    ]
+    expect(trialQueue(list, {}, () => 0.5).map(s => s.id).sort()).toEqual([1, 3])
+    // Only problem 3 captures anything to ask about.
+    expect(trialQueue(list, { questionMode: 'captures' }, () => 0.5).map(s => s.id)).toEqual([3])
+  })
+})
+
+describe('time trial controller', () => {
+  it('clean finalize solves; an answer still wrong at the end costs a life', () => {
+    let t = initTrial(queue, 0)
+    t = recordTrialFinalize(t, { mistakes: 0, unresolved: 0 }, 10000)
+    t = recordTrialFinalize(t, { mistakes: 1, unresolved: 1 }, 20000)
+    expect(t.lives).toBe(config.timeTrialLives - 1)
+    expect(t.results.map(r => r.outcome)).toEqual(['solved', 'wrong'])
+    expect(currentTrialProblem(t).id).toBe(3)
+  })
+
+  it('a group corrected on a resubmit costs points, not a life', () => {
+    let t = initTrial(queue, 0)
+    t = recordTrialFinalize(t, { mistakes: 1, unresolved: 0 }, 10000)
+    expect(t.results[0].outcome).toBe('solved')
+    expect(t.lives).toBe(config.timeTrialLives)
+  })
+
+  it('each problem gets a fresh clock', () => {
+    let t = initTrial(queue, 0)
+    expect(problemRemainingMs(t, 15000)).toBe(CLOCK - 15000)
+    t = recordTrialFinalize(t, { mistakes: 0, unresolved: 0 }, 15000)
+    expect(problemRemainingMs(t, 15000)).toBe(CLOCK)
+  })
+
+  it('timeouts and late finalizes cost a life', () => {
+    let t = initTrial(queue, 0)
+    t = recordTrialTimeout(t, CLOCK)
+    t = recordTrialFinalize(t, { mistakes: 0, unresolved: 0 }, 2 * CLOCK + 1)
+    expect(t.results.map(r => r.outcome)).toEqual(['timeout', 'timeout'])
+    expect(t.lives).toBe(config.timeTrialLives - 2)
+  })
+
+  it('ends at zero lives', () => {
+    let t = initTrial(queue, 0, { lives: 2 })
+    t = skipTrialProblem(t, 1)
+    expect(trialOver(t)).toBe(false)
+    t = recordTrialFinalize(t, { mistakes: 2, unresolved: 1 }, 2)
+    expect(trialOver(t)).toBe(true)
+    expect(t.endedAt).toBe(2)
+    expect(recordTrialFinalize(t, { mistakes: 0, unresolved: 0 }, 3)).toBe(t)
+  })
+
+  it('ends when the folder runs out, keeping lives', () => {
+    let t = initTrial(queue.slice(0, 1), 0)
+    t = recordTrialFinalize(t, { mistakes: 0, unresolved: 0 }, 1000)
+    expect(trialOver(t)).toBe(true)
+    expect(trialScore(t).lives).toBe(config.timeTrialLives)
+  })
+
+  it('quitting forfeits remaining lives', () => {
+    let t = endTrial(initTrial(queue, 0), 5)
+    expect(trialOver(t)).toBe(true)
+    expect(trialScore(t).score).toBe(0)
+  })
+
+  it('score = solved + lives + time bonus', () => {
+    let t = initTrial(queue.slice(0, 3), 0)
+    let bonusSec = config.timeTrialBonusSec
+    // Solved with 2.5 bonus intervals left → 2 bonus points.
+    t = recordTrialFinalize(t, { mistakes: 0, unresolved: 0 }, CLOCK - 2.5 * bonusSec * 1000)
+    t = recordTrialFinalize(t, { mistakes: 1, unresolved: 1 }, t.problemStartedAt + 1000)
+    t = recordTrialFinalize(t, { mistakes: 0, unresolved: 0 }, t.problemStartedAt + CLOCK - 1000)
+    let lives = config.timeTrialLives - 1
+    expect(trialScore(t)).toEqual({ solved: 2, lives, timeBonus: 2, score: 2 + lives + 2 })
+    expect(trialSummary(t, 999999)).toMatchObject({ score: 4 + lives, problems: 3, durationMs: t.endedAt })
+  })
+
+  it('trialBest: highest score, more solved breaks ties', () => {
+    let h = [{ score: 8, solved: 3 }, { score: 9, solved: 2 }, { score: 9, solved: 4 }]
+    expect(trialBest(h)).toBe(h[2])
+    expect(trialBest([])).toBeNull()
+  })
+})